@@ -10,31 +10,186 @@
 // ============================================
 
 const CONFIG = {
+    // Database of the first vault; vaults added later get their own
     DB_NAME: 'CredentialSaverDB',
-    DB_VERSION: 1,
+    DB_VERSION: 4,
     STORES: {
         CREDENTIALS: 'credentials',
         SETTINGS: 'settings',
-        AUDIT_LOG: 'audit_log'
+        AUDIT_LOG: 'audit_log',
+        BACKUPS: 'backups',
+        BREACHES: 'breaches'
     },
     ENCRYPTION: {
         ALGORITHM: 'AES-GCM',
         KEY_LENGTH: 256,
         SALT_LENGTH: 16,
         IV_LENGTH: 12,
-        ITERATIONS: 100000
+        KEY_CHECK_VALUE: 'credentialsaver-key-check'
+    },
+    KDF: {
+        // Parameters for new vaults; existing vaults keep theirs in settings
+        DEFAULT: { name: 'PBKDF2', hash: 'SHA-256', iterations: 100000 },
+        // Vaults created before parameters were stored always used these
+        LEGACY: { name: 'PBKDF2', hash: 'SHA-256', iterations: 100000 },
+        ARGON2ID: { name: 'Argon2id', memory: 65536, iterations: 3, parallelism: 1 },
+        MIN_PBKDF2_ITERATIONS: 100000,
+        MIN_ARGON2_MEMORY: 19456,
+        MIN_ARGON2_ITERATIONS: 2,
+        // Upper bounds for parameters read from backup files
+        MAX_PBKDF2_ITERATIONS: 10000000,
+        MAX_ARGON2_MEMORY: 1048576,
+        MAX_ARGON2_ITERATIONS: 64,
+        TARGET_UNLOCK_MS: 1000
+    },
+    // Passphrase-encrypted backups
+    EXPORT: {
+        FORMAT: 'credentialsaver-backup',
+        VERSION: 2
+    },
+    // KeePass exports; Argon2d takes its cost from the vault's Argon2id settings when it has them
+    KDBX: {
+        AES_ROUNDS: 1000000
+    },
+    // Automatic snapshots, kept in the backups store and optionally a folder
+    BACKUP: {
+        FORMAT: 'credentialsaver-snapshot',
+        VERSION: 1,
+        INTERVAL_HOURS: [0, 1, 6, 24, 168]
+    },
+    // Offline breached password lookups, relative to public/index.html
+    BREACHES: {
+        WORKER: '../src/js/breach-worker.js'
     },
     AUTO_LOCK_MINUTES: 5,
-    MAX_AUDIT_ENTRIES: 500
+    MAX_AUDIT_ENTRIES: 500,
+    // User-adjustable vault settings, stored in the settings store
+    PREFERENCES: {
+        historyLimit: 10,
+        trashRetentionDays: 30,
+        backupIntervalHours: 24,
+        backupsKept: 10,
+        passwordMaxAgeDays: 365
+    },
+    MAX_HISTORY_LIMIT: 100,
+    MAX_TRASH_RETENTION_DAYS: 365,
+    MAX_PASSWORD_AGE_DAYS: 3650,
+    MAX_BACKUPS_KEPT: 100,
+    POLICY_LENGTH: { MIN: 4, MAX: 64 },
+    // Only cards near the visible part of the credential list are rendered
+    // once it holds this many; rows are estimated until one is measured
+    VIRTUAL_LIST: {
+        MIN_ITEMS: 200,
+        OVERSCAN_ROWS: 4,
+        ESTIMATED_ROW_HEIGHT: 180
+    }
+};
+
+/**
+ * Categories a new vault starts with. Users can rename, recolor, nest and
+ * reorder them; `other` is kept as the fallback for unknown categories.
+ */
+const DEFAULT_CATEGORIES = [
+    { id: 'social', name: 'Social Media', color: '#8b5cf6', parent: null },
+    { id: 'email', name: 'Email', color: '#0ea5e9', parent: null },
+    { id: 'banking', name: 'Banking', color: '#10b981', parent: null },
+    { id: 'shopping', name: 'Shopping', color: '#f59e0b', parent: null },
+    { id: 'work', name: 'Work', color: '#6366f1', parent: null },
+    { id: 'other', name: 'Other', color: '#64748b', parent: null }
+];
+
+/**
+ * Credential templates. Field values are stored as top-level properties of
+ * the credential object; `secret` names the field shown on the card.
+ */
+const CREDENTIAL_TYPES = {
+    login: {
+        label: 'Login',
+        secret: 'password',
+        fields: [
+            { key: 'username', label: 'Email / Username', column: 'Username', required: true },
+            { key: 'password', label: 'Password', kind: 'hidden', required: true },
+            { key: 'website', label: 'Website', kind: 'url' },
+            {
+                key: 'totp', label: 'Two-Factor Secret', column: 'TOTP', kind: 'hidden',
+                validate: (value) => CredentialTypes.checkTotp(value)
+            }
+        ]
+    },
+    card: {
+        label: 'Credit Card',
+        secret: 'number',
+        fields: [
+            { key: 'cardholder', label: 'Cardholder Name', required: true },
+            {
+                key: 'number', label: 'Card Number', kind: 'hidden', required: true,
+                validate: (value) => CredentialTypes.luhn(value) ? null : 'Card number is not valid'
+            },
+            {
+                key: 'expiry', label: 'Expiry', placeholder: 'MM/YY', required: true,
+                validate: (value) => /^(0[1-9]|1[0-2])\/\d{2}$/.test(value) ? null : 'Expiry must be MM/YY'
+            },
+            {
+                key: 'cvv', label: 'Security Code', kind: 'hidden',
+                validate: (value) => /^\d{3,4}$/.test(value) ? null : 'Security code must be 3 or 4 digits'
+            },
+            {
+                key: 'pin', label: 'PIN', kind: 'hidden',
+                validate: (value) => /^\d{4,12}$/.test(value) ? null : 'PIN must be 4 to 12 digits'
+            }
+        ]
+    },
+    ssh: {
+        label: 'SSH Key',
+        secret: 'privateKey',
+        fields: [
+            { key: 'username', label: 'Username', column: 'Username' },
+            { key: 'host', label: 'Host', placeholder: 'server.example.com' },
+            {
+                key: 'privateKey', label: 'Private Key', kind: 'hidden', multiline: true, required: true,
+                validate: (value) => /-----BEGIN [A-Z0-9 ]*PRIVATE KEY-----/.test(value)
+                    ? null : 'Private key must be in PEM or OpenSSH format'
+            },
+            {
+                key: 'publicKey', label: 'Public Key', multiline: true,
+                validate: (value) => /^(ssh-|ecdsa-|sk-)/.test(value) ? null : 'Public key must be in OpenSSH format'
+            },
+            { key: 'passphrase', label: 'Passphrase', kind: 'hidden' }
+        ]
+    },
+    api: {
+        label: 'API Token',
+        secret: 'token',
+        fields: [
+            { key: 'token', label: 'Token', kind: 'hidden', required: true },
+            { key: 'website', label: 'Service URL', column: 'Website', kind: 'url' },
+            { key: 'expires', label: 'Expires', kind: 'date' }
+        ]
+    },
+    wifi: {
+        label: 'Wi-Fi Network',
+        secret: 'password',
+        fields: [
+            { key: 'ssid', label: 'Network Name (SSID)', column: 'SSID', required: true },
+            { key: 'password', label: 'Password', kind: 'hidden' },
+            { key: 'security', label: 'Security', kind: 'select', options: ['WPA3', 'WPA2', 'WPA', 'WEP', 'None'], default: 'WPA2' }
+        ],
+        validate: (credential) => !credential.password && credential.security !== 'None'
+            ? 'Password is required unless security is None' : null
+    },
+    note: {
+        label: 'Secure Note',
+        secret: 'notes',
+        fields: [],
+        validate: (credential) => credential.notes ? null : 'Secure notes need some text'
+    }
 };
 
-const CATEGORIES = {
-    social: 'Social Media',
-    email: 'Email',
-    banking: 'Banking',
-    shopping: 'Shopping',
-    work: 'Work',
-    other: 'Other'
+const CUSTOM_FIELD_TYPES = {
+    text: 'Text',
+    hidden: 'Hidden',
+    url: 'URL',
+    date: 'Date'
 };
 
 // ============================================
@@ -43,13 +198,38 @@ const CATEGORIES = {
 
 const AppState = {
     isUnlocked: false,
-    masterKey: null,
+    vaultKey: null,
+    manifestKey: null,
+    // The vault whose database is open, as listed by Vaults
+    vault: null,
+    integrityProblems: [],
+    // Promise of id -> decrypted credential, filled on first use after
+    // unlock and dropped on lock
+    credentialCache: null,
     credentials: [],
+    // Cards for the credential list, rendered a window at a time when long
+    cardList: null,
     currentCategory: 'all',
     searchQuery: '',
+    // Tags in use, and the completions shown under the search box
+    tags: [],
+    searchSuggestions: [],
     viewMode: 'grid',
     inactivityTimer: null,
+    totpTimer: null,
+    backupTimer: null,
+    // Credential id -> { count } for passwords found in the breach list
+    breaches: new Map(),
+    // SHA-1 -> lookup result, so unchanged passwords are not looked up again
+    breachCache: new Map(),
+    // Category tree in display order, loaded on unlock
+    categories: DEFAULT_CATEGORIES.map(category => ({ ...category })),
+    // Password policies offered in the generator, loaded when it opens
+    passwordPolicies: [],
+    // The user's own random mode settings while a policy overrides them
+    generatorOwnSettings: null,
     currentCredentialId: null,
+    pendingImport: null,
     theme: 'light'
 };
 
@@ -73,9 +253,14 @@ const CryptoUtils = {
     },
 
     /**
-     * Derive encryption key from master password using PBKDF2
+     * Derive encryption key from master password using the given KDF
+     * parameters (PBKDF2 or Argon2id)
      */
-    async deriveKey(password, salt) {
+    async deriveKey(password, salt, kdf = CONFIG.KDF.DEFAULT) {
+        if (kdf.name === 'Argon2id') {
+            return this.deriveArgon2idKey(password, salt, kdf);
+        }
+
         const encoder = new TextEncoder();
         const keyMaterial = await crypto.subtle.importKey(
             'raw',
@@ -89,27 +274,156 @@ const CryptoUtils = {
             {
                 name: 'PBKDF2',
                 salt: salt,
-                iterations: CONFIG.ENCRYPTION.ITERATIONS,
-                hash: 'SHA-256'
+                iterations: kdf.iterations,
+                hash: kdf.hash
             },
             keyMaterial,
             { name: CONFIG.ENCRYPTION.ALGORITHM, length: CONFIG.ENCRYPTION.KEY_LENGTH },
             false,
+            ['encrypt', 'decrypt', 'wrapKey', 'unwrapKey']
+        );
+    },
+
+    /**
+     * Derive encryption key using the bundled Argon2id WASM implementation
+     */
+    async deriveArgon2idKey(password, salt, kdf) {
+        if (typeof hashwasm === 'undefined') {
+            throw new Error('Argon2id is not available');
+        }
+
+        const raw = await hashwasm.argon2id({
+            password,
+            salt: new Uint8Array(salt),
+            parallelism: kdf.parallelism,
+            iterations: kdf.iterations,
+            memorySize: kdf.memory,
+            hashLength: CONFIG.ENCRYPTION.KEY_LENGTH / 8,
+            outputType: 'binary'
+        });
+
+        try {
+            return await crypto.subtle.importKey(
+                'raw',
+                raw,
+                { name: CONFIG.ENCRYPTION.ALGORITHM },
+                false,
+                ['encrypt', 'decrypt', 'wrapKey', 'unwrapKey']
+            );
+        } finally {
+            raw.fill(0);
+        }
+    },
+
+    /**
+     * Time a single key derivation in milliseconds
+     */
+    async timeKdf(kdf) {
+        const salt = await this.generateSalt();
+        const start = performance.now();
+        await this.deriveKey('benchmark-password', salt, kdf);
+        return performance.now() - start;
+    },
+
+    /**
+     * Suggest KDF parameters that take roughly CONFIG.KDF.TARGET_UNLOCK_MS
+     * to derive on this device
+     */
+    async suggestKdf(name) {
+        const target = CONFIG.KDF.TARGET_UNLOCK_MS;
+
+        if (name === 'Argon2id') {
+            const base = CONFIG.KDF.ARGON2ID;
+            const elapsed = await this.timeKdf({ ...base, iterations: 1 });
+            let iterations = Math.min(10, Math.floor(target / elapsed));
+            let memory = base.memory;
+
+            // Too slow for the minimum pass count: trade memory for time
+            if (iterations < CONFIG.KDF.MIN_ARGON2_ITERATIONS) {
+                iterations = CONFIG.KDF.MIN_ARGON2_ITERATIONS;
+                memory = Math.floor(base.memory * target / (iterations * elapsed) / 1024) * 1024;
+                memory = Math.max(CONFIG.KDF.MIN_ARGON2_MEMORY, memory);
+            }
+
+            const kdf = { ...base, memory, iterations };
+            return { kdf, estimatedMs: elapsed * iterations * memory / base.memory };
+        }
+
+        const probe = CONFIG.KDF.MIN_PBKDF2_ITERATIONS;
+        const elapsed = await this.timeKdf({ ...CONFIG.KDF.DEFAULT, iterations: probe });
+        const iterations = Math.max(probe, Math.round(probe * target / elapsed / 10000) * 10000);
+
+        const kdf = { ...CONFIG.KDF.DEFAULT, iterations };
+        return { kdf, estimatedMs: elapsed * iterations / probe };
+    },
+
+    /**
+     * Generate a random vault key. It is extractable only so it can be
+     * wrapped; the copy held in AppState comes from unwrapKey and is not.
+     */
+    async generateVaultKey() {
+        return crypto.subtle.generateKey(
+            { name: CONFIG.ENCRYPTION.ALGORITHM, length: CONFIG.ENCRYPTION.KEY_LENGTH },
+            true,
+            ['encrypt', 'decrypt']
+        );
+    },
+
+    /**
+     * Wrap the vault key with a password-derived key using AES-GCM
+     */
+    async wrapKey(key, wrappingKey) {
+        const iv = await this.generateIV();
+        const wrapped = await crypto.subtle.wrapKey(
+            'raw',
+            key,
+            wrappingKey,
+            { name: CONFIG.ENCRYPTION.ALGORITHM, iv: iv }
+        );
+
+        const combined = new Uint8Array(iv.length + wrapped.byteLength);
+        combined.set(iv);
+        combined.set(new Uint8Array(wrapped), iv.length);
+
+        return this.arrayBufferToBase64(combined);
+    },
+
+    /**
+     * Unwrap the vault key. Throws if the wrapping key is wrong.
+     */
+    async unwrapKey(wrappedKey, wrappingKey, extractable = false) {
+        const combined = this.base64ToArrayBuffer(wrappedKey);
+        const iv = combined.slice(0, CONFIG.ENCRYPTION.IV_LENGTH);
+        const data = combined.slice(CONFIG.ENCRYPTION.IV_LENGTH);
+
+        return crypto.subtle.unwrapKey(
+            'raw',
+            data,
+            wrappingKey,
+            { name: CONFIG.ENCRYPTION.ALGORITHM, iv: iv },
+            { name: CONFIG.ENCRYPTION.ALGORITHM, length: CONFIG.ENCRYPTION.KEY_LENGTH },
+            extractable,
             ['encrypt', 'decrypt']
         );
     },
 
     /**
-     * Encrypt data using AES-GCM
+     * Encrypt data using AES-GCM. Optional additional data is authenticated
+     * but not stored, so decrypt must be given the same value.
      */
-    async encrypt(data, key) {
+    async encrypt(data, key, additionalData) {
         const iv = await this.generateIV();
         const encoder = new TextEncoder();
+        const params = {
+            name: CONFIG.ENCRYPTION.ALGORITHM,
+            iv: iv
+        };
+        if (additionalData !== undefined) {
+            params.additionalData = encoder.encode(additionalData);
+        }
+
         const encrypted = await crypto.subtle.encrypt(
-            {
-                name: CONFIG.ENCRYPTION.ALGORITHM,
-                iv: iv
-            },
+            params,
             key,
             encoder.encode(JSON.stringify(data))
         );
@@ -125,16 +439,20 @@ const CryptoUtils = {
     /**
      * Decrypt data using AES-GCM
      */
-    async decrypt(encryptedData, key) {
+    async decrypt(encryptedData, key, additionalData) {
         const combined = this.base64ToArrayBuffer(encryptedData);
         const iv = combined.slice(0, CONFIG.ENCRYPTION.IV_LENGTH);
         const data = combined.slice(CONFIG.ENCRYPTION.IV_LENGTH);
+        const params = {
+            name: CONFIG.ENCRYPTION.ALGORITHM,
+            iv: iv
+        };
+        if (additionalData !== undefined) {
+            params.additionalData = new TextEncoder().encode(additionalData);
+        }
 
         const decrypted = await crypto.subtle.decrypt(
-            {
-                name: CONFIG.ENCRYPTION.ALGORITHM,
-                iv: iv
-            },
+            params,
             key,
             data
         );
@@ -143,6 +461,19 @@ const CryptoUtils = {
         return JSON.parse(decoder.decode(decrypted));
     },
 
+    /**
+     * Verify a derived key against a key-check blob from a vault that
+     * predates the wrapped vault key
+     */
+    async verifyKeyCheck(keyCheck, key) {
+        try {
+            return await this.decrypt(keyCheck, key) === CONFIG.ENCRYPTION.KEY_CHECK_VALUE;
+        } catch (e) {
+            // AES-GCM authentication fails when the key is wrong
+            return false;
+        }
+    },
+
     /**
      * Hash a value using SHA-256
      */
@@ -189,9 +520,9 @@ const Storage = {
     /**
      * Initialize IndexedDB
      */
-    async init() {
+    async init(name = CONFIG.DB_NAME) {
         return new Promise((resolve, reject) => {
-            const request = indexedDB.open(CONFIG.DB_NAME, CONFIG.DB_VERSION);
+            const request = indexedDB.open(name, CONFIG.DB_VERSION);
 
             request.onerror = () => reject(request.error);
             request.onsuccess = () => {
@@ -201,13 +532,11 @@ const Storage = {
 
             request.onupgradeneeded = (event) => {
                 const db = event.target.result;
+                const transaction = event.target.transaction;
 
                 // Credentials store
                 if (!db.objectStoreNames.contains(CONFIG.STORES.CREDENTIALS)) {
-                    const credentialStore = db.createObjectStore(CONFIG.STORES.CREDENTIALS, { keyPath: 'id' });
-                    credentialStore.createIndex('category', 'category', { unique: false });
-                    credentialStore.createIndex('favorite', 'favorite', { unique: false });
-                    credentialStore.createIndex('created', 'created', { unique: false });
+                    db.createObjectStore(CONFIG.STORES.CREDENTIALS, { keyPath: 'id' });
                 }
 
                 // Settings store
@@ -217,13 +546,44 @@ const Storage = {
 
                 // Audit log store
                 if (!db.objectStoreNames.contains(CONFIG.STORES.AUDIT_LOG)) {
-                    const auditStore = db.createObjectStore(CONFIG.STORES.AUDIT_LOG, { keyPath: 'id' });
-                    auditStore.createIndex('timestamp', 'timestamp', { unique: false });
+                    db.createObjectStore(CONFIG.STORES.AUDIT_LOG, { keyPath: 'id' });
+                }
+
+                // Backup snapshots store
+                if (!db.objectStoreNames.contains(CONFIG.STORES.BACKUPS)) {
+                    db.createObjectStore(CONFIG.STORES.BACKUPS, { keyPath: 'id' });
+                }
+
+                // Breached password hashes, by 5-character SHA-1 prefix
+                if (!db.objectStoreNames.contains(CONFIG.STORES.BREACHES)) {
+                    db.createObjectStore(CONFIG.STORES.BREACHES, { keyPath: 'key' });
+                }
+
+                // Version 2 moved metadata inside the ciphertext, so the
+                // plaintext indexes from version 1 are no longer used
+                if (event.oldVersion === 1) {
+                    const credentialStore = transaction.objectStore(CONFIG.STORES.CREDENTIALS);
+                    ['category', 'favorite', 'created'].forEach(name => {
+                        if (credentialStore.indexNames.contains(name)) credentialStore.deleteIndex(name);
+                    });
+
+                    const auditStore = transaction.objectStore(CONFIG.STORES.AUDIT_LOG);
+                    if (auditStore.indexNames.contains('timestamp')) auditStore.deleteIndex('timestamp');
                 }
             };
         });
     },
 
+    /**
+     * Close the open database, before another vault's is opened
+     */
+    close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    },
+
     /**
      * Get all items from a store
      */
@@ -280,6 +640,32 @@ const Storage = {
         });
     },
 
+    /**
+     * Apply several writes in a single transaction, so either all of them
+     * are committed or none are. Each operation is
+     * { type: 'put', store, value } or { type: 'delete', store, key }.
+     */
+    async batch(operations) {
+        const storeNames = [...new Set(operations.map(op => op.store))];
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(storeNames, 'readwrite');
+
+            for (const op of operations) {
+                const store = transaction.objectStore(op.store);
+                if (op.type === 'delete') {
+                    store.delete(op.key);
+                } else {
+                    store.put(op.value);
+                }
+            }
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    },
+
     /**
      * Clear all items from a store
      */
@@ -296,1403 +682,8417 @@ const Storage = {
 };
 
 // ============================================
-// Password Strength Checker
+// Vaults
 // ============================================
 
-const PasswordStrength = {
+/**
+ * Named vaults in this browser. Each vault is its own IndexedDB database
+ * with its own master password, salt and wrapped vault key. The list holds
+ * only names and database names, and is kept in localStorage so the unlock
+ * screen can offer it before anything is unlocked.
+ */
+const Vaults = {
+    STORAGE_KEY: 'credentialsaver-vaults',
+    LAST_USED_KEY: 'credentialsaver-last-vault',
+    DB_PREFIX: 'CredentialSaverDB-',
+    NAME_MAX_LENGTH: 50,
+
     /**
-     * Calculate password strength
+     * Every vault in the order they were added. Until the list is first
+     * saved, the database from before there were several vaults is the
+     * only one.
      */
-    calculate(password) {
-        let score = 0;
-        let feedback = [];
+    list() {
+        const vaults = JSON.parse(localStorage.getItem(this.STORAGE_KEY) || '[]');
+        return vaults.length > 0
+            ? vaults
+            : [{ id: 'default', name: 'My Vault', dbName: CONFIG.DB_NAME, created: null }];
+    },
 
-        if (!password) {
-            return { score: 0, label: 'Enter password', color: 'weak' };
-        }
-
-        // Length
-        if (password.length >= 8) score += 1;
-        if (password.length >= 12) score += 1;
-        if (password.length >= 16) score += 1;
-
-        // Character types
-        if (/[a-z]/.test(password)) score += 1;
-        if (/[A-Z]/.test(password)) score += 1;
-        if (/[0-9]/.test(password)) score += 1;
-        if (/[^a-zA-Z0-9]/.test(password)) score += 2;
-
-        // Bonus for variety
-        const uniqueChars = new Set(password).size;
-        if (uniqueChars / password.length > 0.7) score += 1;
-
-        // Determine label
-        let label, color;
-        if (score < 3) {
-            label = 'Weak';
-            color = 'weak';
-            feedback.push('Use a longer password');
-        } else if (score < 5) {
-            label = 'Fair';
-            color = 'fair';
-            feedback.push('Add more character types');
-        } else if (score < 7) {
-            label = 'Good';
-            color = 'good';
-        } else {
-            label = 'Strong';
-            color = 'strong';
-        }
+    save(vaults) {
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(vaults));
+    },
 
-        return { score, label, color, feedback };
+    get(id) {
+        return this.list().find(vault => vault.id === id) || null;
     },
 
     /**
-     * Update strength indicator
+     * The vault opened last, or the first one
      */
-    updateIndicator(password, fillElement, textElement) {
-        const result = this.calculate(password);
-
-        fillElement.className = 'strength-fill ' + result.color;
-        textElement.textContent = result.label;
+    current() {
+        return this.get(localStorage.getItem(this.LAST_USED_KEY)) || this.list()[0];
+    },
 
-        return result;
-    }
-};
+    /**
+     * List vault databases that exist but are missing from the list, for
+     * example after localStorage was cleared without IndexedDB. Their
+     * names are not stored in them, so they come back as "Recovered Vault".
+     */
+    async recover() {
+        if (!indexedDB.databases) return;
+
+        const vaults = this.list();
+        const known = new Set(vaults.map(vault => vault.dbName));
+        const found = (await indexedDB.databases())
+            .map(db => db.name)
+            .filter(name => !known.has(name) && (name === CONFIG.DB_NAME || name.startsWith(this.DB_PREFIX)));
+        if (found.length === 0) return;
+
+        for (const dbName of found) {
+            let name = 'Recovered Vault';
+            for (let n = 2; vaults.some(vault => vault.name.toLowerCase() === name.toLowerCase()); n++) {
+                name = `Recovered Vault ${n}`;
+            }
+            const id = dbName === CONFIG.DB_NAME ? 'default' : dbName.slice(this.DB_PREFIX.length);
+            vaults.push({ id, name, dbName, created: null });
+        }
+        this.save(vaults);
+    },
 
-// ============================================
-// Password Generator
-// ============================================
+    /**
+     * Error message for an invalid vault name, or null
+     */
+    validate(name, id = null) {
+        const trimmed = (name || '').trim();
+        if (!trimmed) {
+            return 'Vault name is required';
+        }
+        if (trimmed.length > this.NAME_MAX_LENGTH) {
+            return `Vault names can be at most ${this.NAME_MAX_LENGTH} characters`;
+        }
+        if (this.list().some(vault => vault.id !== id && vault.name.toLowerCase() === trimmed.toLowerCase())) {
+            return `There is already a vault named "${trimmed}"`;
+        }
+        return null;
+    },
 
-const PasswordGenerator = {
     /**
-     * Generate a random password
+     * Add an empty vault. Its database is created when it is first opened.
      */
-    generate(options = {}) {
-        const {
-            length = 16,
-            uppercase = true,
-            lowercase = true,
-            numbers = true,
-            symbols = true
-        } = options;
+    create(name) {
+        const error = this.validate(name);
+        if (error) throw new Error(error);
+
+        const id = crypto.randomUUID();
+        const vault = { id, name: name.trim(), dbName: this.DB_PREFIX + id, created: Date.now() };
+        this.save([...this.list(), vault]);
+        return vault;
+    },
 
-        let chars = '';
-        if (uppercase) chars += 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
-        if (lowercase) chars += 'abcdefghijklmnopqrstuvwxyz';
-        if (numbers) chars += '0123456789';
-        if (symbols) chars += '!@#$%^&*()_+-=[]{}|;:,.<>?';
+    rename(id, name) {
+        const error = this.validate(name, id);
+        if (error) throw new Error(error);
 
-        if (!chars) {
-            chars = 'abcdefghijklmnopqrstuvwxyz';
+        this.save(this.list().map(vault => vault.id === id ? { ...vault, name: name.trim() } : vault));
+        if (AppState.vault && AppState.vault.id === id) {
+            AppState.vault = this.get(id);
         }
+    },
 
-        let password = '';
-        const array = new Uint32Array(length);
-        crypto.getRandomValues(array);
+    /**
+     * Close the open vault's database and open this one's. Only allowed
+     * while locked, so nothing decrypted from one vault is still in memory
+     * when another is opened.
+     */
+    async open(id) {
+        const vault = this.get(id);
+        if (!vault) throw new Error('Vault not found');
+        if (AppState.isUnlocked) throw new Error('Lock the vault before switching to another');
+
+        Storage.close();
+        await Storage.init(vault.dbName);
+        AppState.vault = vault;
+        localStorage.setItem(this.LAST_USED_KEY, id);
+        return vault;
+    },
 
-        for (let i = 0; i < length; i++) {
-            password += chars[array[i] % chars.length];
+    /**
+     * Delete a vault's database and take it off the list. The last vault
+     * cannot be deleted.
+     */
+    async remove(id) {
+        const vaults = this.list();
+        const vault = vaults.find(other => other.id === id);
+        if (!vault) throw new Error('Vault not found');
+        if (vaults.length === 1) throw new Error('The only vault cannot be deleted');
+        if (AppState.isUnlocked) throw new Error('Lock the vault before deleting one');
+
+        const isOpen = AppState.vault && AppState.vault.id === id;
+        if (isOpen) Storage.close();
+
+        await new Promise((resolve, reject) => {
+            const request = indexedDB.deleteDatabase(vault.dbName);
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error(`${vault.name} is open in another tab. Close it there and try again.`));
+        });
+
+        this.save(vaults.filter(other => other.id !== id));
+        if (localStorage.getItem(this.LAST_USED_KEY) === id) {
+            localStorage.removeItem(this.LAST_USED_KEY);
         }
+        if (isOpen) AppState.vault = null;
+    }
+};
 
-        return password;
+// ============================================
+// Preferences
+// ============================================
+
+const Preferences = {
+    /**
+     * Get the vault's preferences merged over the defaults
+     */
+    async get() {
+        const stored = await Storage.get(CONFIG.STORES.SETTINGS, 'preferences');
+        const { key, ...values } = stored || {};
+        return { ...CONFIG.PREFERENCES, ...values };
+    },
+
+    /**
+     * Save changed preferences
+     */
+    async set(values) {
+        const current = await this.get();
+        await Storage.put(CONFIG.STORES.SETTINGS, { key: 'preferences', ...current, ...values });
     }
 };
 
 // ============================================
-// Audit Log
+// Categories
 // ============================================
 
-const AuditLog = {
+/**
+ * The vault's categories as a flat list in display order, where `parent`
+ * links a category to the one it is nested in. Stored encrypted with the
+ * vault key in the settings store; credentials refer to them by id.
+ */
+const Categories = {
+    FALLBACK: 'other',
+    PATH_SEPARATOR: ' / ',
+
     /**
-     * Add an entry to the audit log
+     * Read the stored categories, or the defaults for a vault that has
+     * never changed them
      */
-    async add(action, details = '') {
-        const entry = {
-            id: crypto.randomUUID(),
-            action,
-            details,
-            timestamp: Date.now()
-        };
+    async load() {
+        const record = await Storage.get(CONFIG.STORES.SETTINGS, 'categories');
+        AppState.categories = record
+            ? await CryptoUtils.decrypt(record.encrypted, AppState.vaultKey, 'categories')
+            : DEFAULT_CATEGORIES.map(category => ({ ...category }));
+    },
 
-        await Storage.put(CONFIG.STORES.AUDIT_LOG, entry);
-        await this.prune();
+    async save(categories) {
+        await Storage.put(CONFIG.STORES.SETTINGS, {
+            key: 'categories',
+            encrypted: await CryptoUtils.encrypt(categories, AppState.vaultKey, 'categories')
+        });
+        AppState.categories = categories;
+    },
+
+    get(id) {
+        return AppState.categories.find(category => category.id === id) || null;
     },
 
     /**
-     * Get all audit log entries
+     * The category a credential belongs in: its own, or the fallback when
+     * that category no longer exists
      */
-    async getAll() {
-        const entries = await Storage.getAll(CONFIG.STORES.AUDIT_LOG);
-        return entries.sort((a, b) => b.timestamp - a.timestamp);
+    resolve(id) {
+        return this.get(id) ? id : this.FALLBACK;
+    },
+
+    children(parent) {
+        return AppState.categories.filter(category => category.parent === parent);
     },
 
     /**
-     * Prune old entries
+     * Depth-first list of { category, depth } for menus and the sidebar,
+     * leaving out the subtree of `exclude`
      */
-    async prune() {
-        const entries = await Storage.getAll(CONFIG.STORES.AUDIT_LOG);
-        if (entries.length > CONFIG.MAX_AUDIT_ENTRIES) {
-            const toDelete = entries
-                .sort((a, b) => a.timestamp - b.timestamp)
-                .slice(0, entries.length - CONFIG.MAX_AUDIT_ENTRIES);
+    tree(exclude = null, parent = null, depth = 0) {
+        return this.children(parent)
+            .filter(category => category.id !== exclude)
+            .flatMap(category => [{ category, depth }, ...this.tree(exclude, category.id, depth + 1)]);
+    },
 
-            for (const entry of toDelete) {
-                await Storage.delete(CONFIG.STORES.AUDIT_LOG, entry.id);
-            }
+    /**
+     * Ids of a category and everything nested in it
+     */
+    subtree(id) {
+        return [id, ...this.children(id).flatMap(child => this.subtree(child.id))];
+    },
+
+    /**
+     * Full name such as "Work / Client A"
+     */
+    path(id) {
+        const names = [];
+        for (let category = this.get(id); category; category = this.get(category.parent)) {
+            names.unshift(category.name);
         }
+        return names.join(this.PATH_SEPARATOR) || this.get(this.FALLBACK).name;
     },
 
     /**
-     * Clear all audit log entries
+     * Id of the category with this id, full path or name, ignoring case
      */
-    async clear() {
-        await Storage.clear(CONFIG.STORES.AUDIT_LOG);
-    }
-};
+    find(text) {
+        const wanted = String(text).trim().toLowerCase();
+        const match = AppState.categories.find(category => category.id === text) ||
+            AppState.categories.find(category => this.path(category.id).toLowerCase() === wanted) ||
+            AppState.categories.find(category => category.name.toLowerCase() === wanted);
+        return match ? match.id : null;
+    },
 
-// ============================================
-// Toast Notifications
-// ============================================
+    /**
+     * Error message for an invalid category, or null
+     */
+    validate({ id, name, color, parent }) {
+        const trimmed = (name || '').trim();
+        if (!trimmed) {
+            return 'Category name is required';
+        }
+        if (trimmed.includes(this.PATH_SEPARATOR.trim())) {
+            return `Category names cannot contain "${this.PATH_SEPARATOR.trim()}"`;
+        }
+        if (!/^#[0-9a-f]{6}$/i.test(color)) {
+            return 'Choose a color for the category';
+        }
+        if (parent && (!this.get(parent) || (id && this.subtree(id).includes(parent)))) {
+            return 'A category cannot be nested inside itself';
+        }
+        if (this.children(parent || null).some(other => other.id !== id && other.name.toLowerCase() === trimmed.toLowerCase())) {
+            return `There is already a category named "${trimmed}" here`;
+        }
+        return null;
+    },
 
-const Toast = {
-    container: null,
+    /**
+     * Add a category, or change the name, color or parent of an existing
+     * one. A category given a new parent moves to the end of its siblings.
+     */
+    async put(values) {
+        const error = this.validate(values);
+        if (error) throw new Error(error);
+
+        const category = {
+            id: values.id || crypto.randomUUID(),
+            name: values.name.trim(),
+            color: values.color.toLowerCase(),
+            parent: values.parent || null
+        };
 
-    init() {
-        this.container = document.getElementById('toast-container');
+        const existing = this.get(category.id);
+        const categories = existing && existing.parent === category.parent
+            ? AppState.categories.map(other => other.id === category.id ? category : other)
+            : [...AppState.categories.filter(other => other.id !== category.id), category];
+
+        await this.save(categories);
+        return category;
     },
 
-    show(message, type = 'info', duration = 3000) {
-        if (!this.container) this.init();
+    /**
+     * Swap a category with the sibling before (-1) or after (1) it
+     */
+    async move(id, offset) {
+        const category = this.get(id);
+        const siblings = this.children(category.parent);
+        const target = siblings[siblings.indexOf(category) + offset];
+        if (!target) return;
+
+        const categories = [...AppState.categories];
+        const from = categories.indexOf(category);
+        const to = categories.indexOf(target);
+        [categories[from], categories[to]] = [categories[to], categories[from]];
+        await this.save(categories);
+    },
 
-        const toast = document.createElement('div');
-        toast.className = `toast ${type}`;
-
-        const icons = {
-            success: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"></path><polyline points="22 4 12 14.01 9 11.01"></polyline></svg>',
-            error: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"></circle><line x1="15" y1="9" x2="9" y2="15"></line><line x1="9" y1="9" x2="15" y2="15"></line></svg>',
-            warning: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M10.29 3.86L1.82 18a2 2 0 0 0 1.71 3h16.94a2 2 0 0 0 1.71-3L13.71 3.86a2 2 0 0 0-3.42 0z"></path><line x1="12" y1="9" x2="12" y2="13"></line><line x1="12" y1="17" x2="12.01" y2="17"></line></svg>',
-            info: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"></circle><line x1="12" y1="16" x2="12" y2="12"></line><line x1="12" y1="8" x2="12.01" y2="8"></line></svg>'
-        };
-
-        toast.innerHTML = `
-            <div class="toast-icon">${icons[type] || icons.info}</div>
-            <div class="toast-message">${this.escapeHtml(message)}</div>
-            <button class="toast-close" aria-label="Close">
-                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                    <line x1="18" y1="6" x2="6" y2="18"></line>
-                    <line x1="6" y1="6" x2="18" y2="18"></line>
-                </svg>
-            </button>
-        `;
-
-        // Close button
-        const closeBtn = toast.querySelector('.toast-close');
-        closeBtn.addEventListener('click', () => this.dismiss(toast));
-
-        this.container.appendChild(toast);
-
-        // Auto dismiss
-        setTimeout(() => this.dismiss(toast), duration);
-    },
+    /**
+     * Delete a category and everything nested in it, moving their
+     * credentials, trashed ones included, to another category. Returns the
+     * number of credentials moved.
+     */
+    async remove(id, target) {
+        const removed = this.subtree(id);
+        if (removed.includes(this.FALLBACK)) {
+            throw new Error(`${this.get(this.FALLBACK).name} cannot be deleted`);
+        }
+        if (!this.get(target) || removed.includes(target)) {
+            throw new Error('Choose a category to move the credentials to');
+        }
 
-    dismiss(toast) {
-        toast.classList.add('removing');
-        toast.addEventListener('animationend', () => toast.remove());
-    },
+        const credentials = (await CredentialManager.loadAll())
+            .filter(credential => removed.includes(this.resolve(credential.category)));
+        await CredentialManager.setCategory(credentials.map(credential => credential._meta.id), target);
+        await this.save(AppState.categories.filter(category => !removed.includes(category.id)));
 
-    escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+        return credentials.length;
     }
 };
 
 // ============================================
-// Modal Management
+// Tags
 // ============================================
 
-const Modal = {
-    open(modalId) {
-        const modal = document.getElementById(modalId);
-        if (modal) {
-            modal.classList.remove('hidden');
-            // Trigger reflow for animation
-            void modal.offsetWidth;
-            modal.classList.add('show');
+/**
+ * Free-form labels on credentials, kept in the credential as an array of
+ * strings. Tags compare without regard to case.
+ */
+const Tags = {
+    MAX_LENGTH: 50,
 
-            // Focus first input
-            const firstInput = modal.querySelector('input:not([type="hidden"])');
-            if (firstInput) firstInput.focus();
-        }
+    /**
+     * Clean a list of tags, or a comma- or semicolon-separated string of
+     * them: trimmed, without empties and duplicates, in the order given
+     */
+    parse(value) {
+        const items = Array.isArray(value) ? value : String(value || '').split(/[,;]/);
+        const seen = new Set();
+
+        return items
+            .map(tag => String(tag).trim().slice(0, this.MAX_LENGTH))
+            .filter(tag => {
+                const key = tag.toLowerCase();
+                if (!tag || seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
     },
 
-    close(modalId) {
-        const modal = document.getElementById(modalId);
-        if (modal) {
-            modal.classList.remove('show');
-            setTimeout(() => {
-                modal.classList.add('hidden');
-            }, 250);
+    /**
+     * Every tag used by the credentials, sorted, in the spelling used first
+     */
+    collect(credentials) {
+        const tags = new Map();
+        for (const credential of credentials) {
+            for (const tag of credential.tags || []) {
+                if (!tags.has(tag.toLowerCase())) tags.set(tag.toLowerCase(), tag);
+            }
         }
-    },
-
-    closeAll() {
-        document.querySelectorAll('.modal.show').forEach(modal => {
-            this.close(modal.id);
-        });
+        return [...tags.values()].sort((a, b) => a.localeCompare(b));
     }
 };
 
 // ============================================
-// Credential Management
+// Password Strength Estimator
 // ============================================
 
-const CredentialManager = {
+/**
+ * Estimates how many guesses an attacker needs, in the manner of zxcvbn:
+ * the password is split into the cheapest sequence of known patterns
+ * (dictionary words, keyboard walks and shapes, repeats, sequences, years
+ * and dates)
+ * with brute force for whatever is left over.
+ */
+const PasswordStrength = {
+    // Offline attack on a slow hash such as the vault's key derivation
+    GUESSES_PER_SECOND: 1e4,
+    // Guesses needed for scores 1 to 4
+    SCORE_GUESSES: [1e3, 1e6, 1e8, 1e10],
+    // Lowest score accepted for master passwords and export passphrases
+    MIN_SCORE: 3,
+    LEVELS: [
+        { label: 'Very weak', color: 'weak' },
+        { label: 'Weak', color: 'weak' },
+        { label: 'Fair', color: 'fair' },
+        { label: 'Good', color: 'good' },
+        { label: 'Strong', color: 'strong' }
+    ],
+    // Characters beyond this are not matched against patterns
+    MAX_LENGTH: 100,
+    MIN_YEAR_SPACE: 20,
+    L33T: {
+        '4': ['a'], '@': ['a'], '8': ['b'], '(': ['c'], '{': ['c'], '[': ['c'], '<': ['c'],
+        '3': ['e'], '6': ['g'], '9': ['g'], '1': ['i', 'l'], '!': ['i'], '|': ['i', 'l'],
+        '7': ['l', 't'], '0': ['o'], '$': ['s'], '5': ['s'], '+': ['t'], '%': ['x'], '2': ['z']
+    },
+    // Split points for dates written without separators, by length
+    DATE_SPLITS: {
+        4: [[1, 2], [2, 3]],
+        5: [[1, 3], [2, 3]],
+        6: [[1, 2], [2, 4], [4, 5]],
+        7: [[1, 3], [2, 3], [4, 5], [4, 6]],
+        8: [[2, 4], [4, 6]]
+    },
+
     /**
-     * Create a new credential
+     * Estimate password strength. Returns { score (0-4), label, color,
+     * guesses, entropy (bits), crackTime (seconds), crackTimeText, warning,
+     * suggestions, sequence }.
      */
-    async create(credential) {
-        const encrypted = await CryptoUtils.encrypt(credential, AppState.masterKey);
+    calculate(password) {
+        if (!password) {
+            return {
+                score: 0, label: 'Enter password', color: 'weak', guesses: 0, entropy: 0,
+                crackTime: 0, crackTimeText: 'instantly', warning: '', suggestions: [], sequence: []
+            };
+        }
 
-        const record = {
-            id: crypto.randomUUID(),
-            encrypted,
-            category: credential.category,
-            favorite: credential.favorite || false,
-            created: Date.now(),
-            modified: Date.now()
+        const { guesses, sequence } = this.estimate(password.slice(0, this.MAX_LENGTH));
+        const score = this.SCORE_GUESSES.filter(threshold => guesses >= threshold).length;
+        const crackTime = guesses / this.GUESSES_PER_SECOND;
+        const { warning, suggestions } = this.feedback(score, sequence);
+
+        return {
+            score,
+            ...this.LEVELS[score],
+            guesses,
+            entropy: Math.round(Math.log2(guesses)),
+            crackTime,
+            crackTimeText: this.formatTime(crackTime),
+            warning,
+            suggestions,
+            sequence
         };
+    },
 
-        await Storage.put(CONFIG.STORES.CREDENTIALS, record);
-        await AuditLog.add('Credential Created', `Created: ${credential.name}`);
-
-        return record;
+    /**
+     * Warning and suggestions as one sentence list, for error messages
+     */
+    advice(result) {
+        return [result.warning, ...result.suggestions].filter(Boolean).join('. ') + '.';
     },
 
     /**
-     * Update an existing credential
+     * Update strength indicator
      */
-    async update(id, credential) {
-        const encrypted = await CryptoUtils.encrypt(credential, AppState.masterKey);
+    updateIndicator(password, fillElement, textElement) {
+        const result = this.calculate(password);
 
-        const record = {
-            id,
-            encrypted,
-            category: credential.category,
-            favorite: credential.favorite || false,
-            modified: Date.now()
+        fillElement.className = 'strength-fill ' + result.color;
+        textElement.textContent = password
+            ? `${result.label}: ${result.entropy} bits, cracked in ${result.crackTimeText}` +
+                (result.warning ? `. ${result.warning}` : '')
+            : result.label;
+        textElement.title = result.suggestions.join('. ');
+
+        return result;
+    },
+
+    // ---- Guess estimation ----
+
+    /**
+     * Find the match sequence covering the password with the fewest guesses.
+     * A sequence of l matches costs l! times the product of their guesses, so
+     * extra pieces have to pay for themselves.
+     */
+    estimate(password) {
+        const n = password.length;
+        const matches = this.match(password);
+        const byEnd = Array.from({ length: n }, () => []);
+        matches.forEach(match => byEnd[match.j].push(match));
+
+        // Best match, product and total guesses ending at k, by sequence length
+        const best = Array.from({ length: n }, () => new Map());
+
+        const update = (match, length) => {
+            const k = match.j;
+            let product = this.guesses(match, password);
+            if (length > 1) product *= best[match.i - 1].get(length - 1).product;
+            const total = this.factorial(length) * product + Math.pow(1e4, length - 1);
+
+            for (const [otherLength, other] of best[k]) {
+                if (otherLength <= length && other.total <= total) return;
+            }
+            best[k].set(length, { match, product, total });
         };
 
-        await Storage.put(CONFIG.STORES.CREDENTIALS, record);
-        await AuditLog.add('Credential Updated', `Updated: ${credential.name}`);
+        const bruteforce = (i, j) => ({ pattern: 'bruteforce', i, j, token: password.slice(i, j + 1) });
 
-        return record;
+        for (let k = 0; k < n; k++) {
+            for (const match of byEnd[k]) {
+                if (match.i === 0) {
+                    update(match, 1);
+                } else {
+                    for (const length of best[match.i - 1].keys()) update(match, length + 1);
+                }
+            }
+
+            update(bruteforce(0, k), 1);
+            for (let i = 1; i <= k; i++) {
+                for (const [length, previous] of best[i - 1]) {
+                    // Two brute force runs next to each other are never better than one
+                    if (previous.match.pattern !== 'bruteforce') update(bruteforce(i, k), length + 1);
+                }
+            }
+        }
+
+        let length = null;
+        let guesses = Infinity;
+        for (const [candidate, entry] of best[n - 1]) {
+            if (entry.total < guesses) {
+                length = candidate;
+                guesses = entry.total;
+            }
+        }
+
+        const sequence = [];
+        for (let k = n - 1; k >= 0; length--) {
+            const { match } = best[k].get(length);
+            sequence.unshift(match);
+            k = match.i - 1;
+        }
+
+        return { guesses, sequence };
     },
 
     /**
-     * Delete a credential
+     * Guesses for a single match, at least 10 or 50 when it covers only part
+     * of the password so that tiny matches do not split it up needlessly
      */
-    async delete(id) {
-        const credential = await this.getById(id);
-        await Storage.delete(CONFIG.STORES.CREDENTIALS, id);
-        await AuditLog.add('Credential Deleted', `Deleted: ${credential?.name || id}`);
+    guesses(match, password) {
+        if (match.guesses) return match.guesses;
+
+        const min = match.token.length < password.length ? (match.token.length === 1 ? 10 : 50) : 1;
+        const estimators = {
+            bruteforce: () => Math.max(Math.min(Math.pow(10, match.token.length), Number.MAX_VALUE),
+                match.token.length === 1 ? 11 : 51),
+            dictionary: () => match.rank * this.uppercaseVariations(match.token) *
+                this.l33tVariations(match) * (match.reversed ? 2 : 1),
+            spatial: () => this.spatialGuesses(match),
+            repeat: () => match.baseGuesses * match.repeatCount,
+            sequence: () => {
+                const first = match.token[0];
+                let base = 'aAzZ019'.includes(first) ? 4 : /\d/.test(first) ? 10 : 26;
+                if (!match.ascending) base *= 2;
+                return base * match.token.length;
+            },
+            year: () => Math.max(Math.abs(Number(match.token) - this.referenceYear()), this.MIN_YEAR_SPACE),
+            date: () => {
+                const years = Math.max(Math.abs(match.year - this.referenceYear()), this.MIN_YEAR_SPACE);
+                return years * 365 * (match.separator ? 4 : 1);
+            }
+        };
+
+        match.guesses = Math.max(estimators[match.pattern](), min);
+        return match.guesses;
     },
 
     /**
-     * Get a credential by ID
+     * Capitalised, all-caps and last-letter-caps words cost one extra bit;
+     * other mixes cost the number of ways to pick the capitals
      */
-    async getById(id) {
-        const record = await Storage.get(CONFIG.STORES.CREDENTIALS, id);
-        if (record && AppState.masterKey) {
-            return await CryptoUtils.decrypt(record.encrypted, AppState.masterKey);
+    uppercaseVariations(word) {
+        if (/^[^A-Z]*$/.test(word) || word.toLowerCase() === word) return 1;
+        if (/^[A-Z][^A-Z]+$/.test(word) || /^[^A-Z]+[A-Z]$/.test(word) || /^[^a-z]+$/.test(word)) return 2;
+
+        const upper = (word.match(/[A-Z]/g) || []).length;
+        const lower = (word.match(/[a-z]/g) || []).length;
+        return this.variations(upper, lower);
+    },
+
+    l33tVariations(match) {
+        if (!match.l33t) return 1;
+
+        let result = 1;
+        for (const [subbed, letter] of Object.entries(match.sub)) {
+            const chars = match.token.toLowerCase().split('');
+            const substituted = chars.filter(c => c === subbed).length;
+            const unsubstituted = chars.filter(c => c === letter).length;
+            result *= substituted === 0 || unsubstituted === 0 ? 2 : this.variations(substituted, unsubstituted);
         }
-        return null;
+        return result;
     },
 
     /**
-     * Get all credentials
+     * Ways to choose which of a + b characters are the a changed ones, when
+     * at most half of them are
      */
-    async getAll() {
-        const records = await Storage.getAll(CONFIG.STORES.CREDENTIALS);
-        const credentials = [];
+    variations(a, b) {
+        if (a === 0 || b === 0) return 2;
+        let result = 0;
+        for (let i = 1; i <= Math.min(a, b); i++) result += this.binomial(a + b, i);
+        return result;
+    },
 
-        for (const record of records) {
-            if (AppState.masterKey) {
-                try {
-                    const credential = await CryptoUtils.decrypt(record.encrypted, AppState.masterKey);
-                    credential._meta = {
-                        id: record.id,
-                        favorite: record.favorite,
-                        created: record.created,
-                        modified: record.modified
-                    };
-                    credentials.push(credential);
-                } catch (e) {
-                    console.error('Failed to decrypt credential:', record.id, e);
-                }
+    /**
+     * Every walk of this length with at most this many turns, from any
+     * starting key, with the average number of neighbours at each step. A
+     * shape repeated side by side costs one walk, the direction to step in
+     * and the number of copies.
+     */
+    spatialGuesses(match) {
+        const graph = this.keyboards()[match.graph];
+        const length = match.token.length / match.columns;
+        let guesses = 0;
+
+        for (let i = 2; i <= length; i++) {
+            for (let j = 1; j <= Math.min(match.turns, i - 1); j++) {
+                guesses += this.binomial(i - 1, j - 1) * graph.keys * Math.pow(graph.degree, j);
             }
         }
+        if (match.columns > 1) guesses *= graph.degree * match.columns;
 
-        return credentials;
+        if (match.shifted > 0) {
+            const unshifted = match.token.length - match.shifted;
+            guesses *= unshifted === 0 ? 2 : this.variations(match.shifted, unshifted);
+        }
+        return guesses;
+    },
+
+    binomial(n, k) {
+        if (k > n) return 0;
+        let result = 1;
+        for (let d = 1; d <= k; d++) result = result * (n - k + d) / d;
+        return Math.round(result);
+    },
+
+    factorial(n) {
+        let result = 1;
+        for (let i = 2; i <= n; i++) result *= i;
+        return result;
+    },
+
+    referenceYear() {
+        return new Date().getFullYear();
     },
 
+    // ---- Pattern matching ----
+
     /**
-     * Get credentials by category
+     * All pattern matches in the password as { pattern, i, j, token, ... },
+     * where i and j are the first and last character positions
      */
-    async getByCategory(category) {
-        const all = await this.getAll();
-        if (category === 'all') return all;
-        return all.filter(c => c.category === category);
+    match(password) {
+        return [
+            ...this.dictionaryMatches(password),
+            ...this.reversedMatches(password),
+            ...this.l33tMatches(password),
+            ...this.spatialMatches(password),
+            ...this.repeatMatches(password),
+            ...this.sequenceMatches(password),
+            ...this.yearMatches(password),
+            ...this.dateMatches(password)
+        ];
     },
 
     /**
-     * Search credentials
+     * Ranked lists from StrengthWords as Maps of word to rank
      */
-    async search(query) {
-        const all = await this.getAll();
-        const lowerQuery = query.toLowerCase();
+    dictionaries() {
+        if (!this.ranked) {
+            this.ranked = Object.entries(StrengthWords).map(([name, words]) => {
+                const ranks = new Map();
+                words.forEach((word, index) => {
+                    if (!ranks.has(word)) ranks.set(word, index + 1);
+                });
+                return { name, ranks };
+            });
+        }
+        return this.ranked;
+    },
 
-        return all.filter(c =>
-            c.name.toLowerCase().includes(lowerQuery) ||
-            c.username.toLowerCase().includes(lowerQuery) ||
-            (c.website && c.website.toLowerCase().includes(lowerQuery)) ||
-            (c.notes && c.notes.toLowerCase().includes(lowerQuery))
-        );
-    }
-};
+    dictionaryMatches(password) {
+        const lower = password.toLowerCase();
+        const matches = [];
+
+        for (const { name, ranks } of this.dictionaries()) {
+            for (let i = 0; i < lower.length; i++) {
+                for (let j = i; j < lower.length; j++) {
+                    const word = lower.slice(i, j + 1);
+                    if (ranks.has(word)) {
+                        matches.push({
+                            pattern: 'dictionary', i, j, token: password.slice(i, j + 1),
+                            word, rank: ranks.get(word), dictionary: name, reversed: false, l33t: false
+                        });
+                    }
+                }
+            }
+        }
+        return matches;
+    },
 
-// ============================================
-// Import/Export
-// ============================================
+    reversedMatches(password) {
+        const n = password.length;
+        return this.dictionaryMatches(password.split('').reverse().join(''))
+            .filter(match => match.token.length > 1)
+            .map(match => ({
+                ...match,
+                i: n - 1 - match.j,
+                j: n - 1 - match.i,
+                token: password.slice(n - 1 - match.j, n - match.i),
+                reversed: true
+            }));
+    },
 
-const ImportExport = {
     /**
-     * Export credentials to JSON
+     * Dictionary words with symbols or digits standing in for letters. Each
+     * character that could stand for two letters ("1" for i or l) doubles the
+     * substitutions tried.
      */
-    async exportToJson(encrypted = true) {
-        const credentials = await CredentialManager.getAll();
-        let data;
-
-        if (encrypted && AppState.masterKey) {
-            data = await CryptoUtils.encrypt(credentials, AppState.masterKey);
-        } else {
-            data = credentials;
+    l33tMatches(password) {
+        const lower = password.toLowerCase();
+        const present = Object.keys(this.L33T).filter(c => lower.includes(c));
+        let subs = [{}];
+        for (const c of present) {
+            subs = subs.flatMap(sub => this.L33T[c].map(letter => ({ ...sub, [c]: letter })));
         }
 
-        const json = JSON.stringify({ version: '1.0', encrypted, data }, null, 2);
-        const blob = new Blob([json], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
+        const matches = [];
+        const seen = new Set();
+        for (const sub of subs) {
+            if (Object.keys(sub).length === 0) continue;
 
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `credentials-backup-${new Date().toISOString().split('T')[0]}.json`;
-        a.click();
+            const translated = lower.split('').map(c => sub[c] || c).join('');
+            for (const match of this.dictionaryMatches(translated)) {
+                const token = password.slice(match.i, match.j + 1);
+                const used = Object.fromEntries(Object.entries(sub).filter(([c]) => token.toLowerCase().includes(c)));
+                const key = `${match.i}:${match.j}:${match.dictionary}:${match.word}`;
+                if (token.length < 2 || Object.keys(used).length === 0 || seen.has(key)) continue;
 
-        URL.revokeObjectURL(url);
-        await AuditLog.add('Export', 'Exported credentials');
+                seen.add(key);
+                matches.push({ ...match, token, l33t: true, sub: used });
+            }
+        }
+        return matches;
     },
 
     /**
-     * Export credentials to CSV
+     * Adjacency graphs for a QWERTY keyboard and a number pad. Keys hold an
+     * unshifted and a shifted character; neighbours are listed in a fixed
+     * order of directions so that changes of direction can be counted.
      */
-    async exportToCsv() {
-        const credentials = await CredentialManager.getAll();
-
-        const headers = ['Name', 'Username', 'Password', 'Website', 'Category', 'Notes', 'Created', 'Modified'];
-        const rows = credentials.map(c => [
-            `"${c.name.replace(/"/g, '""')}"`,
-            `"${c.username.replace(/"/g, '""')}"`,
-            `"${c.password.replace(/"/g, '""')}"`,
-            `"${(c.website || '').replace(/"/g, '""')}"`,
-            `"${c.category}"`,
-            `"${(c.notes || '').replace(/"/g, '""')}"`,
-            `"${new Date(c._meta.created).toISOString()}"`,
-            `"${new Date(c._meta.modified).toISOString()}"`
-        ]);
-
-        const csv = [headers.join(','), ...rows.map(r => r.join(','))].join('\n');
-        const blob = new Blob([csv], { type: 'text/csv' });
-        const url = URL.createObjectURL(blob);
-
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `credentials-backup-${new Date().toISOString().split('T')[0]}.csv`;
-        a.click();
+    keyboards() {
+        if (!this.graphs) {
+            const build = (rows, directions) => {
+                const positions = new Map();
+                rows.forEach((row, y) => row.forEach((key, x) => {
+                    if (key) positions.set(`${x},${y}`, key);
+                }));
+
+                const neighbours = new Map();
+                let total = 0;
+                for (const [position, key] of positions) {
+                    const [x, y] = position.split(',').map(Number);
+                    const adjacent = directions.map(([dx, dy]) => positions.get(`${x + dx},${y + dy}`) || null);
+                    total += adjacent.filter(Boolean).length;
+                    key.split('').forEach(c => neighbours.set(c, adjacent));
+                }
+                return { neighbours, keys: positions.size, degree: total / positions.size };
+            };
 
-        URL.revokeObjectURL(url);
-        await AuditLog.add('Export', 'Exported credentials to CSV');
+            // Rows are offset by half a key, so each key touches two keys above and below it
+            const slanted = [[-1, 0], [0, -1], [1, -1], [1, 0], [0, 1], [-1, 1]];
+            const aligned = [[-1, 0], [-1, -1], [0, -1], [1, -1], [1, 0], [1, 1], [0, 1], [-1, 1]];
+            const split = row => row.split(' ').map(key => key || null);
+
+            this.graphs = {
+                qwerty: build([
+                    split('`~ 1! 2@ 3# 4$ 5% 6^ 7& 8* 9( 0) -_ =+'),
+                    split(' qQ wW eE rR tT yY uU iI oO pP [{ ]} \\|'),
+                    split(' aA sS dD fF gG hH jJ kK lL ;: \'"'),
+                    split(' zZ xX cC vV bB nN mM ,< .> /?')
+                ], slanted),
+                keypad: build([
+                    split(' / * -'),
+                    split('7 8 9 +'),
+                    split('4 5 6'),
+                    split('1 2 3'),
+                    split(' 0 .')
+                ], aligned)
+            };
+        }
+        return this.graphs;
     },
 
     /**
-     * Import credentials from JSON
+     * Runs of three or more adjacent keys, and runs of the same shape typed
+     * side by side ("qazwsxedc", "qweasdzxc")
      */
-    async importFromJson(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-
-            reader.onload = async (e) => {
-                try {
-                    const json = JSON.parse(e.target.result);
-                    let credentials = [];
-
-                    if (json.encrypted && AppState.masterKey) {
-                        credentials = await CryptoUtils.decrypt(json.data, AppState.masterKey);
-                    } else if (Array.isArray(json.data)) {
-                        credentials = json.data;
-                    } else if (Array.isArray(json)) {
-                        credentials = json;
-                    } else {
-                        throw new Error('Invalid import format');
+    spatialMatches(password) {
+        const matches = [];
+
+        for (const [name, graph] of Object.entries(this.keyboards())) {
+            const runs = [];
+            let i = 0;
+            while (i < password.length - 1) {
+                let j = i + 1;
+                let direction = null;
+                let turns = 0;
+                let path = '';
+                let shifted = name === 'qwerty' && this.isShifted(graph, password[i]) ? 1 : 0;
+
+                for (;;) {
+                    const adjacent = graph.neighbours.get(password[j - 1]) || [];
+                    const next = j < password.length
+                        ? adjacent.findIndex(key => key && key.includes(password[j]))
+                        : -1;
+
+                    if (next !== -1) {
+                        if (adjacent[next].indexOf(password[j]) === 1) shifted++;
+                        if (next !== direction) {
+                            turns++;
+                            direction = next;
+                        }
+                        path += next;
+                        j++;
+                        continue;
                     }
 
-                    let imported = 0;
-                    let skipped = 0;
-                    const existing = await CredentialManager.getAll();
-                    const existingNames = new Set(existing.map(c => `${c.name}|${c.username}`));
-
-                    for (const credential of credentials) {
-                        const key = `${credential.name}|${credential.username}`;
-                        if (existingNames.has(key)) {
-                            skipped++;
-                        } else {
-                            await CredentialManager.create(credential);
-                            imported++;
-                            existingNames.add(key);
-                        }
+                    if (j - i > 2) {
+                        const run = {
+                            pattern: 'spatial', i, j: j - 1, token: password.slice(i, j),
+                            graph: name, turns, shifted, columns: 1
+                        };
+                        matches.push(run);
+                        runs.push({ run, path });
                     }
+                    i = j;
+                    break;
+                }
+            }
+            matches.push(...this.spatialShapes(password, graph, runs));
+        }
+        return matches;
+    },
 
-                    await AuditLog.add('Import', `Imported ${imported} credentials, skipped ${skipped}`);
-                    resolve({ imported, skipped });
-                } catch (error) {
-                    reject(error);
+    /**
+     * Join runs that follow one another with the same path, each starting one
+     * key further along the same direction as the last
+     */
+    spatialShapes(password, graph, runs) {
+        const shapes = [];
+        const step = (from, to) => (graph.neighbours.get(password[from]) || [])
+            .findIndex(key => key && key.includes(password[to]));
+
+        for (let first = 0; first < runs.length; first++) {
+            let last = first;
+            let direction = null;
+            while (last + 1 < runs.length) {
+                const { run, path } = runs[last];
+                const next = runs[last + 1];
+                const offset = step(run.i, next.run.i);
+                if (next.run.i !== run.j + 1 || next.path !== path || offset === -1 ||
+                    (direction !== null && offset !== direction)) {
+                    break;
                 }
-            };
+                direction = offset;
+                last++;
+            }
 
-            reader.onerror = () => reject(reader.error);
-            reader.readAsText(file);
-        });
-    }
-};
+            if (last > first) {
+                const { run } = runs[first];
+                const j = runs[last].run.j;
+                shapes.push({
+                    ...run, j, token: password.slice(run.i, j + 1),
+                    shifted: runs.slice(first, last + 1).reduce((sum, { run: part }) => sum + part.shifted, 0),
+                    columns: last - first + 1
+                });
+                first = last;
+            }
+        }
+        return shapes;
+    },
 
-// ============================================
-// Theme Management
-// ============================================
+    isShifted(graph, c) {
+        const adjacent = graph.neighbours.get(c);
+        return Boolean(adjacent) && /[~!@#$%^&*()_+{}|:"<>?A-Z]/.test(c);
+    },
 
-const ThemeManager = {
-    async init() {
-        // Check saved theme or system preference
-        const savedTheme = localStorage.getItem('credentialsaver-theme');
-        const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
+    /**
+     * Repeated characters or groups ("aaa", "abcabc"), costed as the guesses
+     * for one copy times the number of copies
+     */
+    repeatMatches(password) {
+        const matches = [];
+        const greedy = /(.+)\1+/g;
+        const lazy = /(.+?)\1+/g;
+        let lastIndex = 0;
+
+        while (lastIndex < password.length) {
+            greedy.lastIndex = lazy.lastIndex = lastIndex;
+            const greedyMatch = greedy.exec(password);
+            const lazyMatch = lazy.exec(password);
+            if (!greedyMatch) break;
+
+            let found, base;
+            if (greedyMatch[0].length > lazyMatch[0].length) {
+                // "abcabc" rather than "aabaab" read as "aab" twice
+                found = greedyMatch;
+                base = /^(.+?)\1+$/.exec(found[0])[1];
+            } else {
+                found = lazyMatch;
+                base = found[1];
+            }
 
-        AppState.theme = savedTheme || (prefersDark ? 'dark' : 'light');
-        this.apply();
+            const i = found.index;
+            const j = i + found[0].length - 1;
+            matches.push({
+                pattern: 'repeat', i, j, token: found[0], base,
+                baseGuesses: this.estimate(base).guesses,
+                repeatCount: found[0].length / base.length
+            });
+            lastIndex = j + 1;
+        }
+        return matches;
     },
 
-    apply() {
-        document.documentElement.setAttribute('data-theme', AppState.theme);
-        localStorage.setItem('credentialsaver-theme', AppState.theme);
-
-        // Update icons
-        const sunIcon = document.querySelector('.sun-icon');
-        const moonIcon = document.querySelector('.moon-icon');
-
-        if (sunIcon && moonIcon) {
-            if (AppState.theme === 'dark') {
-                sunIcon.classList.add('hidden');
-                moonIcon.classList.remove('hidden');
-            } else {
-                sunIcon.classList.remove('hidden');
-                moonIcon.classList.add('hidden');
+    /**
+     * Characters stepping by the same small amount ("abc", "9753", "ace")
+     */
+    sequenceMatches(password) {
+        const matches = [];
+        const add = (i, j, delta) => {
+            if ((j - i > 1 || Math.abs(delta) === 1) && delta !== 0 && Math.abs(delta) <= 5) {
+                matches.push({ pattern: 'sequence', i, j, token: password.slice(i, j + 1), ascending: delta > 0 });
             }
+        };
+
+        let i = 0;
+        let last = null;
+        for (let k = 1; k < password.length; k++) {
+            const delta = password.charCodeAt(k) - password.charCodeAt(k - 1);
+            if (last === null) last = delta;
+            if (delta === last) continue;
+
+            add(i, k - 1, last);
+            i = k - 1;
+            last = delta;
         }
+        if (password.length > 1) add(i, password.length - 1, last);
+        return matches;
     },
 
-    toggle() {
-        AppState.theme = AppState.theme === 'light' ? 'dark' : 'light';
-        this.apply();
-    }
-};
+    yearMatches(password) {
+        return [...password.matchAll(/19\d\d|20\d\d/g)].map(found => ({
+            pattern: 'year', i: found.index, j: found.index + 3, token: found[0]
+        }));
+    },
 
-// ============================================
-// Inactivity Timer
-// ============================================
+    /**
+     * Dates with or without separators ("13.5.1987", "130587", "1987-05-13"),
+     * leaving out dates found inside longer ones
+     */
+    dateMatches(password) {
+        const matches = [];
+        const year = this.referenceYear();
+
+        for (let i = 0; i <= password.length - 4; i++) {
+            for (let j = i + 3; j <= i + 7 && j < password.length; j++) {
+                const token = password.slice(i, j + 1);
+                if (!/^\d+$/.test(token)) continue;
+
+                const candidates = this.DATE_SPLITS[token.length]
+                    .map(([k, l]) => this.toDate([token.slice(0, k), token.slice(k, l), token.slice(l)].map(Number)))
+                    .filter(Boolean);
+                if (candidates.length === 0) continue;
+
+                const closest = candidates.reduce((a, b) =>
+                    Math.abs(b.year - year) < Math.abs(a.year - year) ? b : a);
+                matches.push({ pattern: 'date', i, j, token, separator: '', ...closest });
+            }
 
-const InactivityTimer = {
-    reset() {
-        if (AppState.inactivityTimer) {
-            clearTimeout(AppState.inactivityTimer);
+            for (let j = i + 5; j <= i + 9 && j < password.length; j++) {
+                const token = password.slice(i, j + 1);
+                const parts = /^(\d{1,4})([\s/\\_.-])(\d{1,2})\2(\d{1,4})$/.exec(token);
+                const date = parts && this.toDate([parts[1], parts[3], parts[4]].map(Number));
+                if (date) matches.push({ pattern: 'date', i, j, token, separator: parts[2], ...date });
+            }
         }
 
-        if (AppState.isUnlocked) {
-            AppState.inactivityTimer = setTimeout(() => {
-                App.lock();
-                Toast.show('Application locked due to inactivity', 'warning');
-            }, CONFIG.AUTO_LOCK_MINUTES * 60 * 1000);
-        }
+        return matches.filter(match => !matches.some(other =>
+            other !== match && other.i <= match.i && other.j >= match.j));
     },
 
-    start() {
-        this.reset();
-        document.addEventListener('mousemove', this.reset.bind(this));
-        document.addEventListener('keypress', this.reset.bind(this));
-        document.addEventListener('click', this.reset.bind(this));
-    },
+    /**
+     * Read three numbers as a day, month and year in any common order
+     */
+    toDate(numbers) {
+        if (numbers[1] > 31 || numbers[1] <= 0) return null;
+        if (numbers.some(n => (n > 99 && n < 1000) || n > 2050)) return null;
+        if (numbers.filter(n => n > 31).length >= 2 || numbers.filter(n => n > 12).length === 3 ||
+            numbers.filter(n => n <= 0).length >= 2) {
+            return null;
+        }
 
-    stop() {
-        if (AppState.inactivityTimer) {
-            clearTimeout(AppState.inactivityTimer);
+        const toDayMonth = ([a, b]) => {
+            for (const [day, month] of [[a, b], [b, a]]) {
+                if (day >= 1 && day <= 31 && month >= 1 && month <= 12) return { day, month };
+            }
+            return null;
+        };
+
+        const splits = [[numbers[2], numbers.slice(0, 2)], [numbers[0], numbers.slice(1)]];
+        for (const [year, rest] of splits) {
+            if (year >= 1000 && year <= 2050) {
+                const dayMonth = toDayMonth(rest);
+                return dayMonth ? { year, ...dayMonth } : null;
+            }
         }
-        document.removeEventListener('mousemove', this.reset.bind(this));
-        document.removeEventListener('keypress', this.reset.bind(this));
-        document.removeEventListener('click', this.reset.bind(this));
-    }
-};
+        for (const [year, rest] of splits) {
+            const dayMonth = toDayMonth(rest);
+            if (dayMonth) return { year: year > 50 ? year + 1900 : year + 2000, ...dayMonth };
+        }
+        return null;
+    },
 
-// ============================================
-// UI Rendering
-// ============================================
+    // ---- Feedback ----
 
-const UI = {
     /**
-     * Render credential cards
+     * A warning about the most significant pattern and suggestions for a
+     * better password; nothing when the password is already good
      */
-    async renderCredentials() {
-        const list = document.getElementById('credential-list');
-        const emptyState = document.getElementById('empty-state');
+    feedback(score, sequence) {
+        if (score >= this.MIN_SCORE) return { warning: '', suggestions: [] };
+
+        const longest = sequence.reduce((a, b) => (b.token.length > a.token.length ? b : a));
+        const general = 'Add another word or two. Uncommon words are better';
+        const sole = sequence.length === 1;
+
+        const patterns = {
+            dictionary: () => {
+                const suggestions = [];
+                if (/^[A-Z][^A-Z]+$/.test(longest.token)) suggestions.push("Capitalization doesn't help very much");
+                else if (/^[^a-z]+$/.test(longest.token) && /[A-Z]/.test(longest.token)) {
+                    suggestions.push('All-uppercase is almost as easy to guess as all-lowercase');
+                }
+                if (longest.reversed && longest.token.length >= 4) suggestions.push("Reversed words aren't much harder to guess");
+                if (longest.l33t) suggestions.push("Predictable substitutions like '@' instead of 'a' don't help very much");
+
+                let warning = '';
+                if (longest.dictionary === 'passwords') {
+                    if (sole && !longest.l33t && !longest.reversed) {
+                        warning = longest.rank <= 10 ? 'This is a top-10 common password'
+                            : longest.rank <= 100 ? 'This is a top-100 common password'
+                                : 'This is a very common password';
+                    } else if (Math.log10(longest.guesses) <= 4) {
+                        warning = 'This is similar to a commonly used password';
+                    }
+                } else if (longest.dictionary === 'english' || longest.dictionary === 'tvAndFilm') {
+                    if (sole) warning = 'A word by itself is easy to guess';
+                } else {
+                    warning = sole ? 'Names and surnames by themselves are easy to guess'
+                        : 'Common names and surnames are easy to guess';
+                }
+                return { warning, suggestions };
+            },
+            spatial: () => ({
+                warning: longest.columns > 1 ? 'Keyboard patterns like "qazwsx" are easy to guess'
+                    : longest.turns === 1 ? 'Straight rows of keys are easy to guess'
+                        : 'Short keyboard patterns are easy to guess',
+                suggestions: ['Use a longer keyboard pattern with more turns']
+            }),
+            repeat: () => ({
+                warning: longest.base.length === 1 ? 'Repeats like "aaa" are easy to guess'
+                    : 'Repeats like "abcabcabc" are only slightly harder to guess than "abc"',
+                suggestions: ['Avoid repeated words and characters']
+            }),
+            sequence: () => ({
+                warning: 'Sequences like abc or 6543 are easy to guess',
+                suggestions: ['Avoid sequences']
+            }),
+            year: () => ({
+                warning: 'Recent years are easy to guess',
+                suggestions: ['Avoid recent years', 'Avoid years that are associated with you']
+            }),
+            date: () => ({
+                warning: 'Dates are often easy to guess',
+                suggestions: ['Avoid dates and years that are associated with you']
+            }),
+            bruteforce: () => ({
+                warning: sequence.length === 1 && longest.token.length < 12 ? 'This password is too short' : '',
+                suggestions: ['Use a longer password']
+            })
+        };
 
-        let credentials;
+        const { warning, suggestions } = patterns[longest.pattern]();
+        return { warning, suggestions: [general, ...suggestions] };
+    },
 
-        if (AppState.searchQuery) {
-            credentials = await CredentialManager.search(AppState.searchQuery);
-        } else if (AppState.currentCategory === 'all') {
-            credentials = await CredentialManager.getAll();
-        } else {
-            credentials = await CredentialManager.getByCategory(AppState.currentCategory);
+    /**
+     * Seconds as a rough duration ("3 hours", "centuries")
+     */
+    formatTime(seconds) {
+        const units = [
+            ['second', 60], ['minute', 60], ['hour', 24], ['day', 31], ['month', 12], ['year', 100]
+        ];
+        if (seconds < 1) return 'less than a second';
+
+        let value = seconds;
+        for (const [unit, size] of units) {
+            if (value < size) {
+                const rounded = Math.round(value);
+                return `${rounded} ${unit}${rounded === 1 ? '' : 's'}`;
+            }
+            value /= size;
         }
+        return 'centuries';
+    }
+};
 
-        // Sort: favorites first, then by name
-        credentials.sort((a, b) => {
-            if (a._meta.favorite && !b._meta.favorite) return -1;
-            if (!a._meta.favorite && b._meta.favorite) return 1;
-            return a.name.localeCompare(b.name);
-        });
+// ============================================
+// Password Generator
+// ============================================
 
-        AppState.credentials = credentials;
+const PasswordGenerator = {
+    MODES: ['random', 'passphrase', 'pronounceable', 'pin'],
+    SYMBOLS: '!@#$%^&*()_+-=[]{}|;:,.<>?',
+    // Characters easily mistaken for one another when read or typed
+    LOOKALIKES: 'Il1|O0o',
+    // Letters that read easily in alternation; q, x and y are left out
+    CONSONANTS: 'bcdfghjklmnprstvwz',
+    VOWELS: 'aeiou',
 
-        if (credentials.length === 0) {
-            list.innerHTML = '';
-            emptyState.classList.remove('hidden');
-        } else {
-            emptyState.classList.add('hidden');
-            list.innerHTML = credentials.map(cred => this.renderCredentialCard(cred)).join('');
+    /**
+     * Generate a password in the given mode:
+     *   random        - length, uppercase, lowercase, numbers, symbols,
+     *                   excludeLookalikes, characters (a custom set used
+     *                   instead of the four classes)
+     *   passphrase    - words, separator, capitalize ('none' | 'all' |
+     *                   'random'), digit
+     *   pronounceable - length
+     *   pin           - length
+     */
+    generate(options = {}) {
+        switch (options.mode || 'random') {
+            case 'passphrase': return this.passphrase(options);
+            case 'pronounceable': return this.pronounceable(options);
+            case 'pin': return this.pin(options);
+            default: return this.random(options);
         }
-
-        this.updateCategoryCounts();
     },
 
     /**
-     * Render a single credential card
+     * Bits of entropy of a password generated with these options
      */
-    renderCredentialCard(credential) {
-        const categoryLabel = CATEGORIES[credential.category] || credential.category;
-        const favoriteClass = credential._meta.favorite ? 'favorite' : '';
-        const icon = this.getCategoryIcon(credential.category);
-
-        return `
-            <div class="credential-card ${favoriteClass}" data-id="${credential._meta.id}">
-                <div class="credential-header">
-                    <div class="credential-icon">${icon}</div>
-                    <div class="credential-title">
-                        <div class="credential-name">${this.escapeHtml(credential.name)}</div>
-                        <div class="credential-username">${this.escapeHtml(credential.username)}</div>
-                    </div>
-                </div>
-                <div class="credential-password">
-                    <span class="password-dots">••••••••••••</span>
-                </div>
-                <div class="credential-actions">
-                    <button class="icon-btn show-password" title="Show password">
-                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                            <path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z"></path>
-                            <circle cx="12" cy="12" r="3"></circle>
-                        </svg>
-                    </button>
-                    <button class="icon-btn copy-password" title="Copy password">
-                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                            <rect x="9" y="9" width="13" height="13" rx="2" ry="2"></rect>
-                            <path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"></path>
-                        </svg>
-                    </button>
-                    <button class="icon-btn edit-credential" title="Edit">
-                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                            <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"></path>
-                            <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"></path>
-                        </svg>
-                    </button>
-                    <button class="icon-btn delete-credential" title="Delete">
-                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                            <polyline points="3 6 5 6 21 6"></polyline>
-                            <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
-                        </svg>
-                    </button>
-                </div>
-            </div>
-        `;
+    entropy(options = {}) {
+        switch (options.mode || 'random') {
+            case 'passphrase': {
+                const { words = 5, capitalize = 'none', digit = false } = options;
+                return words * Math.log2(EffWordlist.length) +
+                    (capitalize === 'random' ? words : 0) +
+                    (digit ? Math.log2(10 * words) : 0);
+            }
+            case 'pronounceable': {
+                const { length = 16 } = options;
+                const pairs = Math.floor(length / 2);
+                // One bit for the starting letter; an odd last letter counts as a vowel
+                return 1 + pairs * Math.log2(this.CONSONANTS.length * this.VOWELS.length) +
+                    (length % 2) * Math.log2(Math.min(this.CONSONANTS.length, this.VOWELS.length));
+            }
+            case 'pin':
+                return (options.length || 6) * Math.log2(10);
+            default: {
+                // Count the passwords that contain every class, by inclusion-exclusion
+                const classes = this.characterClasses(options);
+                const length = this.randomLength(options, classes);
+                const total = classes.join('').length;
+                let count = 0;
+                for (let subset = 0; subset < 1 << classes.length; subset++) {
+                    const missing = classes.filter((chars, i) => subset & (1 << i));
+                    const size = total - missing.join('').length;
+                    count += (missing.length % 2 ? -1 : 1) * Math.pow(size, length);
+                }
+                return Math.log2(count);
+            }
+        }
     },
 
     /**
-     * Get icon for category
+     * Random characters with at least one from each class. Passwords missing
+     * a class are thrown away and drawn again, so every password that meets
+     * the rules is equally likely.
      */
-    getCategoryIcon(category) {
-        const icons = {
-            social: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"></circle><path d="M8 14s1.5 2 4 2 4-2 4-2"></path><line x1="9" y1="9" x2="9.01" y2="9"></line><line x1="15" y1="9" x2="15.01" y2="9"></line></svg>',
-            email: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M4 4h16c1.1 0 2 .9 2 2v12c0 1.1-.9 2-2 2H4c-1.1 0-2-.9-2-2V6c0-1.1.9-2 2-2z"></path><polyline points="22,6 12,13 2,6"></polyline></svg>',
-            banking: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="2" y="7" width="20" height="14" rx="2" ry="2"></rect><path d="M16 21V5a2 2 0 0 0-2-2h-4a2 2 0 0 0-2 2v16"></path></svg>',
-            shopping: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="9" cy="21" r="1"></circle><circle cx="20" cy="21" r="1"></circle><path d="M1 1h4l2.68 13.39a2 2 0 0 0 2 1.61h9.72a2 2 0 0 0 2-1.61L23 6H6"></path></svg>',
-            work: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="2" y="7" width="20" height="14" rx="2" ry="2"></rect><path d="M16 21V5a2 2 0 0 0-2-2h-4a2 2 0 0 0-2 2v16"></path></svg>',
-            other: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"></circle><line x1="12" y1="8" x2="12" y2="12"></line><line x1="12" y1="16" x2="12.01" y2="16"></line></svg>'
-        };
-        return icons[category] || icons.other;
+    random(options) {
+        const classes = this.characterClasses(options);
+        const length = this.randomLength(options, classes);
+        const chars = classes.join('');
+
+        for (;;) {
+            let password = '';
+            for (let i = 0; i < length; i++) {
+                password += chars[this.randomIndex(chars.length)];
+            }
+            if (classes.every(set => [...password].some(c => set.includes(c)))) {
+                return password;
+            }
+        }
     },
 
     /**
-     * Update category counts
+     * The character classes to draw from, without look-alikes if excluded.
+     * A custom set is split into the same classes.
      */
-    async updateCategoryCounts() {
-        const all = await CredentialManager.getAll();
-
-        document.getElementById('all-count').textContent = all.length;
+    characterClasses(options) {
+        const {
+            uppercase = true,
+            lowercase = true,
+            numbers = true,
+            symbols = true,
+            excludeLookalikes = false,
+            characters = ''
+        } = options;
 
-        for (const [key, label] of Object.entries(CATEGORIES)) {
-            const count = all.filter(c => c.category === key).length;
-            const countEl = document.getElementById(`${key}-count`);
-            if (countEl) countEl.textContent = count;
+        const custom = [...new Set(characters)].join('');
+        let classes = custom
+            ? [/[A-Z]/, /[a-z]/, /[0-9]/, /[^A-Za-z0-9]/].map(pattern =>
+                [...custom].filter(c => pattern.test(c)).join(''))
+            : [
+                uppercase ? 'ABCDEFGHIJKLMNOPQRSTUVWXYZ' : '',
+                lowercase ? 'abcdefghijklmnopqrstuvwxyz' : '',
+                numbers ? '0123456789' : '',
+                symbols ? this.SYMBOLS : ''
+            ];
+
+        if (excludeLookalikes) {
+            classes = classes.map(set => [...set].filter(c => !this.LOOKALIKES.includes(c)).join(''));
         }
+        classes = classes.filter(Boolean);
+        return classes.length > 0 ? classes : ['abcdefghijklmnopqrstuvwxyz'];
     },
 
     /**
-     * Update section title
+     * Requested length, made long enough to hold one of each class
      */
-    updateSectionTitle() {
-        const titleEl = document.getElementById('section-title');
-
-        if (AppState.searchQuery) {
-            titleEl.textContent = `Search Results: "${AppState.searchQuery}"`;
-        } else if (AppState.currentCategory === 'all') {
-            titleEl.textContent = 'All Credentials';
-        } else {
-            titleEl.textContent = CATEGORIES[AppState.currentCategory] || 'Credentials';
-        }
+    randomLength(options, classes) {
+        return Math.max(options.length || 16, classes.length);
     },
 
     /**
-     * Show view credential modal
+     * Words from the EFF large wordlist. With digit set, one random word gets
+     * a random digit appended.
      */
-    async showViewCredential(id) {
-        const credential = await CredentialManager.getById(id);
-        if (!credential) return;
-
-        document.getElementById('view-credential-title').textContent = credential.name;
-        document.getElementById('view-name').textContent = credential.name;
-        document.getElementById('view-username').textContent = credential.username;
-        document.getElementById('view-password').textContent = '••••••••••••';
-        document.getElementById('view-password').classList.add('password-masked');
-
-        const websiteEl = document.getElementById('view-website');
-        const websiteRow = document.getElementById('view-website-row');
+    passphrase(options) {
+        const { words = 5, separator = '-', capitalize = 'none', digit = false } = options;
+        const capital = word => word.charAt(0).toUpperCase() + word.slice(1);
+
+        const chosen = Array.from({ length: words }, () => {
+            const word = EffWordlist[this.randomIndex(EffWordlist.length)];
+            if (capitalize === 'all' || (capitalize === 'random' && this.randomIndex(2) === 1)) {
+                return capital(word);
+            }
+            return word;
+        });
 
-        if (credential.website) {
-            websiteEl.textContent = credential.website;
-            websiteEl.href = credential.website;
-            websiteRow.classList.remove('hidden');
-        } else {
-            websiteRow.classList.add('hidden');
+        if (digit) {
+            chosen[this.randomIndex(words)] += this.randomIndex(10);
         }
+        return chosen.join(separator);
+    },
 
-        document.getElementById('view-category').textContent = CATEGORIES[credential.category] || credential.category;
-
-        const notesEl = document.getElementById('view-notes');
-        const notesRow = document.getElementById('view-notes-row');
+    /**
+     * Alternating consonants and vowels, starting with either
+     */
+    pronounceable(options) {
+        const { length = 16 } = options;
+        let vowel = this.randomIndex(2) === 1;
 
-        if (credential.notes) {
-            notesEl.textContent = credential.notes;
-            notesRow.classList.remove('hidden');
-        } else {
-            notesRow.classList.add('hidden');
+        let password = '';
+        for (let i = 0; i < length; i++) {
+            const letters = vowel ? this.VOWELS : this.CONSONANTS;
+            password += letters[this.randomIndex(letters.length)];
+            vowel = !vowel;
         }
+        return password;
+    },
 
-        document.getElementById('view-created').textContent = new Date(credential._meta.created).toLocaleString();
-        document.getElementById('view-modified').textContent = new Date(credential._meta.modified).toLocaleString();
+    pin(options) {
+        const { length = 6 } = options;
 
-        AppState.currentCredentialId = id;
-        Modal.open('view-credential-modal');
+        let pin = '';
+        for (let i = 0; i < length; i++) {
+            pin += this.randomIndex(10);
+        }
+        return pin;
     },
 
     /**
-     * Show edit credential modal
+     * Random integer from 0 to max - 1. Values from the top of the 32-bit
+     * range that would make some results more likely are rejected.
      */
-    async showEditCredential(id) {
-        const credential = await CredentialManager.getById(id);
-        if (!credential) return;
+    randomIndex(max) {
+        const limit = 2 ** 32 - (2 ** 32 % max);
+        const array = new Uint32Array(1);
+        do {
+            crypto.getRandomValues(array);
+        } while (array[0] >= limit);
+        return array[0] % max;
+    }
+};
 
-        Modal.close('view-credential-modal');
+// ============================================
+// Password Policies
+// ============================================
 
-        document.getElementById('credential-modal-title').textContent = 'Edit Credential';
-        document.getElementById('credential-id').value = id;
-        document.getElementById('credential-name').value = credential.name;
-        document.getElementById('credential-username').value = credential.username;
-        document.getElementById('credential-password').value = credential.password;
-        document.getElementById('credential-website').value = credential.website || '';
-        document.getElementById('credential-category').value = credential.category;
-        document.getElementById('credential-notes').value = credential.notes || '';
-        document.getElementById('credential-favorite').checked = credential._meta.favorite;
+/**
+ * Named generator rules for sites with password requirements, such as
+ * "Bank: 8-16 characters, no symbols". Stored encrypted with the vault key
+ * in the settings store; credentials refer to them by id.
+ */
+const PasswordPolicies = {
+    /**
+     * All policies, sorted by name
+     */
+    async list() {
+        const record = await Storage.get(CONFIG.STORES.SETTINGS, 'passwordPolicies');
+        if (!record) return [];
 
-        PasswordStrength.updateIndicator(credential.password,
-            document.getElementById('password-strength-fill'),
-            document.getElementById('password-strength-text'));
+        const policies = await CryptoUtils.decrypt(record.encrypted, AppState.vaultKey, 'passwordPolicies');
+        return policies.sort((a, b) => a.name.localeCompare(b.name));
+    },
 
-        AppState.currentCredentialId = id;
-        Modal.open('credential-modal');
+    async get(id) {
+        if (!id) return null;
+        return (await this.list()).find(policy => policy.id === id) || null;
     },
 
     /**
-     * Reset credential form
+     * Add or replace a policy. Returns the saved policy.
      */
-    resetCredentialForm() {
-        document.getElementById('credential-modal-title').textContent = 'Add New Credential';
-        document.getElementById('credential-form').reset();
-        document.getElementById('credential-id').value = '';
-        document.getElementById('password-strength-fill').className = 'strength-fill';
-        document.getElementById('password-strength-text').textContent = 'Enter password';
-        AppState.currentCredentialId = null;
+    async save(policy) {
+        const error = this.validate(policy);
+        if (error) throw new Error(error);
+
+        const policies = await this.list();
+        const name = policy.name.trim();
+        if (policies.some(other => other.id !== policy.id && other.name.toLowerCase() === name.toLowerCase())) {
+            throw new Error(`A policy named "${name}" already exists`);
+        }
+
+        const saved = { ...policy, name, id: policy.id || crypto.randomUUID() };
+        await this.write([...policies.filter(other => other.id !== saved.id), saved]);
+        return saved;
+    },
+
+    async remove(id) {
+        const policies = await this.list();
+        await this.write(policies.filter(policy => policy.id !== id));
+    },
+
+    async write(policies) {
+        await Storage.put(CONFIG.STORES.SETTINGS, {
+            key: 'passwordPolicies',
+            encrypted: await CryptoUtils.encrypt(policies, AppState.vaultKey, 'passwordPolicies')
+        });
     },
 
     /**
-     * Render audit log
+     * Error message for an invalid policy, or null
      */
-    async renderAuditLog() {
-        const entries = await AuditLog.getAll();
-        const list = document.getElementById('audit-log-list');
-        const emptyState = document.getElementById('audit-log-empty');
+    validate(policy) {
+        const { name, minLength, maxLength } = policy;
+        if (!name || !name.trim()) {
+            return 'Policy name is required';
+        }
+        if (!Number.isInteger(minLength) || !Number.isInteger(maxLength) ||
+            minLength < CONFIG.POLICY_LENGTH.MIN || maxLength > CONFIG.POLICY_LENGTH.MAX || minLength > maxLength) {
+            return `Lengths must be between ${CONFIG.POLICY_LENGTH.MIN} and ${CONFIG.POLICY_LENGTH.MAX}, minimum first`;
+        }
 
-        if (entries.length === 0) {
-            list.innerHTML = '';
-            emptyState.classList.remove('hidden');
-        } else {
-            emptyState.classList.add('hidden');
-            list.innerHTML = entries.map(entry => `
-                <div class="audit-entry">
-                    <div class="audit-entry-icon">
-                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                            <circle cx="12" cy="12" r="10"></circle>
-                            <polyline points="12 6 12 12 16 14"></polyline>
-                        </svg>
-                    </div>
-                    <div class="audit-entry-content">
-                        <div class="audit-entry-action">${this.escapeHtml(entry.action)}</div>
-                        ${entry.details ? `<div class="audit-entry-time">${this.escapeHtml(entry.details)}</div>` : ''}
-                        <div class="audit-entry-time">${new Date(entry.timestamp).toLocaleString()}</div>
-                    </div>
-                </div>
-            `).join('');
+        const classes = PasswordGenerator.characterClasses(this.options(policy));
+        if (policy.characters && classes.join('').length < 2) {
+            return 'Custom characters must include at least two characters';
         }
+        return null;
     },
 
-    escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+    /**
+     * Generator options for a policy, at its maximum length
+     */
+    options(policy, length = policy.maxLength) {
+        return {
+            mode: 'random',
+            length,
+            uppercase: policy.uppercase,
+            lowercase: policy.lowercase,
+            numbers: policy.numbers,
+            symbols: policy.symbols,
+            excludeLookalikes: policy.excludeLookalikes,
+            characters: policy.characters || ''
+        };
+    },
+
+    /**
+     * Short description such as "8-16 characters: letters, numbers"
+     */
+    describe(policy) {
+        const length = policy.minLength === policy.maxLength
+            ? `${policy.maxLength} characters`
+            : `${policy.minLength}-${policy.maxLength} characters`;
+
+        let chars;
+        if (policy.characters) {
+            chars = `only ${policy.characters}`;
+        } else {
+            chars = [
+                policy.uppercase && 'uppercase',
+                policy.lowercase && 'lowercase',
+                policy.numbers && 'numbers',
+                policy.symbols && 'symbols'
+            ].filter(Boolean).join(', ') || 'lowercase';
+        }
+        return `${length}: ${chars}${policy.excludeLookalikes ? ', no look-alikes' : ''}`;
     }
 };
 
 // ============================================
-// Main Application
+// TOTP (RFC 6238)
 // ============================================
 
-const App = {
-    async init() {
-        try {
-            // Initialize storage
-            await Storage.init();
-
-            // Initialize theme
-            await ThemeManager.init();
-
-            // Hide loading screen
-            document.getElementById('loading-screen').classList.add('hidden');
+const Totp = {
+    BASE32_ALPHABET: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567',
+    ALGORITHMS: { SHA1: 'SHA-1', SHA256: 'SHA-256', SHA512: 'SHA-512' },
 
-            // Check if master password exists
-            const settings = await Storage.get(CONFIG.STORES.SETTINGS, 'masterPasswordHash');
+    /**
+     * Parse an otpauth:// URI or a bare base32 secret into
+     * { secret, algorithm, digits, period }
+     */
+    parse(input) {
+        const value = (input || '').trim();
+        const config = { secret: value, algorithm: 'SHA1', digits: 6, period: 30 };
+
+        if (/^otpauth:\/\//i.test(value)) {
+            let url;
+            try {
+                url = new URL(value);
+            } catch (error) {
+                throw new Error('Invalid otpauth URI');
+            }
 
-            if (settings) {
-                // Master password exists - show unlock form
-                document.getElementById('master-password-form').classList.remove('hidden');
-                document.getElementById('master-password-setup').classList.add('hidden');
-            } else {
-                // No master password - show setup form
-                document.getElementById('master-password-form').classList.add('hidden');
-                document.getElementById('master-password-setup').classList.remove('hidden');
+            if (url.hostname.toLowerCase() !== 'totp') {
+                throw new Error('Only time-based (totp) URIs are supported');
             }
 
-            // Show master password modal
-            Modal.open('master-password-modal');
+            const params = url.searchParams;
+            config.secret = params.get('secret') || '';
+            if (params.has('algorithm')) config.algorithm = params.get('algorithm').toUpperCase();
+            if (params.has('digits')) config.digits = Number(params.get('digits'));
+            if (params.has('period')) config.period = Number(params.get('period'));
+        }
 
-            // Setup event listeners
-            this.setupEventListeners();
+        config.secret = config.secret.replace(/[\s-]/g, '').replace(/=+$/, '').toUpperCase();
 
-        } catch (error) {
-            console.error('Failed to initialize app:', error);
-            Toast.show('Failed to initialize application', 'error');
+        if (!config.secret || [...config.secret].some(c => !this.BASE32_ALPHABET.includes(c))) {
+            throw new Error('Secret must be base32 encoded');
         }
+        if (!this.ALGORITHMS[config.algorithm]) {
+            throw new Error(`Unsupported algorithm ${config.algorithm}`);
+        }
+        if (config.digits !== 6 && config.digits !== 8) {
+            throw new Error('Codes must be 6 or 8 digits');
+        }
+        if (!Number.isInteger(config.period) || config.period <= 0) {
+            throw new Error('Period must be a positive number of seconds');
+        }
+
+        return config;
     },
 
-    setupEventListeners() {
-        // Theme toggle
-        document.getElementById('theme-toggle').addEventListener('click', () => {
-            ThemeManager.toggle();
-        });
+    /**
+     * Decode an unpadded RFC 4648 base32 string
+     */
+    base32Decode(secret) {
+        const bytes = new Uint8Array(Math.floor(secret.length * 5 / 8));
+        let buffer = 0;
+        let bits = 0;
+        let index = 0;
+
+        for (const char of secret) {
+            buffer = (buffer << 5) | this.BASE32_ALPHABET.indexOf(char);
+            bits += 5;
+            if (bits >= 8) {
+                bits -= 8;
+                bytes[index++] = (buffer >> bits) & 0xff;
+            }
+        }
 
-        // Tools menu toggle
-        const toolsMenuBtn = document.getElementById('tools-menu-btn');
-        const toolsMenu = document.getElementById('tools-menu');
+        return bytes;
+    },
 
-        toolsMenuBtn.addEventListener('click', (e) => {
-            e.stopPropagation();
-            toolsMenu.classList.toggle('hidden');
-        });
+    /**
+     * Generate the code for a parsed config at the given time (ms)
+     */
+    async generate(config, timestamp = Date.now()) {
+        const counter = Math.floor(timestamp / 1000 / config.period);
+        const message = new ArrayBuffer(8);
+        const view = new DataView(message);
+        view.setUint32(0, Math.floor(counter / 0x100000000));
+        view.setUint32(4, counter >>> 0);
+
+        const key = await crypto.subtle.importKey(
+            'raw',
+            this.base32Decode(config.secret),
+            { name: 'HMAC', hash: this.ALGORITHMS[config.algorithm] },
+            false,
+            ['sign']
+        );
+        const hmac = new Uint8Array(await crypto.subtle.sign('HMAC', key, message));
 
-        document.addEventListener('click', () => {
-            toolsMenu.classList.add('hidden');
-        });
+        const offset = hmac[hmac.length - 1] & 0x0f;
+        const binary = ((hmac[offset] & 0x7f) << 24) |
+            (hmac[offset + 1] << 16) |
+            (hmac[offset + 2] << 8) |
+            hmac[offset + 3];
 
-        // Modal close buttons
-        document.querySelectorAll('.close-modal, .close-modal-btn').forEach(btn => {
-            btn.addEventListener('click', () => {
-                Modal.closeAll();
-            });
-        });
+        return String(binary % 10 ** config.digits).padStart(config.digits, '0');
+    },
 
-        // Close modal on backdrop click
-        document.querySelectorAll('.modal').forEach(modal => {
-            modal.addEventListener('click', (e) => {
-                if (e.target === modal) {
-                    Modal.close(modal.id);
-                }
-            });
-        });
+    /**
+     * Seconds until the current code expires
+     */
+    remaining(config, timestamp = Date.now()) {
+        return config.period - Math.floor(timestamp / 1000) % config.period;
+    }
+};
 
-        // Master password form
-        document.getElementById('master-password-form').addEventListener('submit', async (e) => {
-            e.preventDefault();
-            await this.unlock();
-        });
+// ============================================
+// Credential Types
+// ============================================
 
-        // Master password setup form
-        document.getElementById('master-password-setup-form').addEventListener('submit', async (e) => {
-            e.preventDefault();
-            await this.setupMasterPassword();
-        });
+const CredentialTypes = {
+    /**
+     * Get the template for a credential; records without a type are logins
+     */
+    get(credential) {
+        return CREDENTIAL_TYPES[credential.type] || CREDENTIAL_TYPES.login;
+    },
 
-        // Master password strength
-        document.getElementById('new-master-password').addEventListener('input', (e) => {
-            PasswordStrength.updateIndicator(e.target.value,
-                document.getElementById('master-strength-fill'),
-                document.getElementById('master-strength-text'));
-        });
+    /**
+     * Label for the field shown on the card (password, card number, ...)
+     */
+    secretLabel(credential) {
+        const template = this.get(credential);
+        if (template.secret === 'notes') return 'Note';
+        return template.fields.find(f => f.key === template.secret).label;
+    },
 
-        // Toggle password visibility
-        document.querySelectorAll('.toggle-password').forEach(btn => {
-            btn.addEventListener('click', () => {
-                const wrapper = btn.closest('.password-input-wrapper');
-                const input = wrapper.querySelector('input');
+    /**
+     * Value shown on the card behind the dots
+     */
+    secretOf(credential) {
+        return credential[this.get(credential).secret] || '';
+    },
 
-                if (input.type === 'password') {
-                    input.type = 'text';
-                    btn.classList.add('hidden');
-                } else {
-                    input.type = 'password';
-                    btn.classList.remove('hidden');
-                }
-            });
-        });
+    /**
+     * Resolve a detail row reference (`field:<key>` or `custom:<index>`)
+     * to { label, value }
+     */
+    resolve(credential, ref) {
+        const [source, key] = ref.split(':');
 
-        // Add credential button
-        document.getElementById('add-credential-btn').addEventListener('click', () => {
-            UI.resetCredentialForm();
-            Modal.open('credential-modal');
-        });
+        if (source === 'custom') {
+            const field = (credential.customFields || [])[Number(key)];
+            return field ? { label: field.label, value: field.value } : null;
+        }
 
-        document.getElementById('empty-add-btn').addEventListener('click', () => {
-            UI.resetCredentialForm();
-            Modal.open('credential-modal');
-        });
+        const field = this.get(credential).fields.find(f => f.key === key);
+        return field ? { label: field.label, value: credential[key] } : null;
+    },
 
-        // Credential form
-        document.getElementById('credential-form').addEventListener('submit', async (e) => {
-            e.preventDefault();
-            await this.saveCredential();
-        });
+    /**
+     * Secondary line on the card
+     */
+    subtitle(credential) {
+        switch (credential.type) {
+            case 'card':
+                return `${credential.cardholder} •••• ${String(credential.number).slice(-4)}`;
+            case 'ssh':
+                return [credential.username, credential.host].filter(Boolean).join('@') || 'SSH key';
+            case 'api':
+                return this.hostOf(credential.website) || 'API token';
+            case 'wifi':
+                return credential.ssid;
+            case 'note':
+                return 'Secure note';
+            default:
+                return credential.username;
+        }
+    },
 
-        // Credential password strength
-        document.getElementById('credential-password').addEventListener('input', (e) => {
-            PasswordStrength.updateIndicator(e.target.value,
-                document.getElementById('password-strength-fill'),
-                document.getElementById('password-strength-text'));
-        });
+    /**
+     * Validate a credential against its template. Returns the first error
+     * message, or null.
+     */
+    validate(credential) {
+        const template = this.get(credential);
+
+        for (const field of template.fields) {
+            const value = credential[field.key];
+            if (!value) {
+                if (field.required) return `${field.label} is required`;
+                continue;
+            }
+            const error = field.validate ? field.validate(value) : this.checkKind(field.kind, value);
+            if (error) return `${field.label}: ${error}`;
+        }
 
-        // Generate password button
-        document.getElementById('generate-password-btn').addEventListener('click', () => {
-            this.openPasswordGenerator();
-        });
+        if (template.validate) {
+            const error = template.validate(credential);
+            if (error) return error;
+        }
 
-        // Password generator modal
-        document.getElementById('password-generator-btn').addEventListener('click', () => {
-            this.openPasswordGenerator();
-        });
+        for (const field of credential.customFields || []) {
+            if (!field.label) return 'Custom fields need a label';
+            if (!CUSTOM_FIELD_TYPES[field.type]) return `${field.label}: unknown field type`;
+            const error = field.value ? this.checkKind(field.type, field.value) : null;
+            if (error) return `${field.label}: ${error}`;
+        }
 
-        document.getElementById('regenerate-password').addEventListener('click', () => {
-            this.generatePassword();
-        });
+        return null;
+    },
 
-        document.getElementById('password-length').addEventListener('input', (e) => {
-            document.getElementById('length-value').textContent = e.target.value;
-            this.generatePassword();
-        });
+    /**
+     * Check url and date values
+     */
+    checkKind(kind, value) {
+        if (kind === 'url' && !this.hostOf(value)) {
+            return 'must be an http(s) URL';
+        }
+        if (kind === 'date' && (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(Date.parse(value)))) {
+            return 'must be a date (YYYY-MM-DD)';
+        }
+        return null;
+    },
 
-        ['include-uppercase', 'include-lowercase', 'include-numbers', 'include-symbols'].forEach(id => {
-            document.getElementById(id).addEventListener('change', () => {
-                this.generatePassword();
-            });
-        });
+    checkTotp(value) {
+        try {
+            Totp.parse(value);
+            return null;
+        } catch (error) {
+            return error.message;
+        }
+    },
 
-        document.getElementById('copy-generated').addEventListener('click', () => {
-            const password = document.getElementById('generated-password').value;
-            this.copyToClipboard(password);
-        });
+    hostOf(url) {
+        try {
+            const parsed = new URL(url);
+            return ['http:', 'https:'].includes(parsed.protocol) ? parsed.hostname : null;
+        } catch (error) {
+            return null;
+        }
+    },
 
-        document.getElementById('use-password-btn').addEventListener('click', () => {
-            const password = document.getElementById('generated-password').value;
-            document.getElementById('credential-password').value = password;
-            PasswordStrength.updateIndicator(password,
-                document.getElementById('password-strength-fill'),
-                document.getElementById('password-strength-text'));
-            Modal.close('password-generator-modal');
-        });
+    /**
+     * Luhn checksum for card numbers (spaces and dashes allowed)
+     */
+    luhn(value) {
+        const digits = value.replace(/[\s-]/g, '');
+        if (!/^\d{12,19}$/.test(digits)) return false;
+
+        let sum = 0;
+        for (let i = 0; i < digits.length; i++) {
+            let digit = Number(digits[digits.length - 1 - i]);
+            if (i % 2 === 1) {
+                digit *= 2;
+                if (digit > 9) digit -= 9;
+            }
+            sum += digit;
+        }
+        return sum % 10 === 0;
+    },
 
-        // Import
-        document.getElementById('import-btn').addEventListener('click', () => {
-            Modal.open('import-modal');
-            document.getElementById('import-results').classList.add('hidden');
-        });
+    /**
+     * Labels of the fields that differ between two versions
+     */
+    changedFields(older, newer) {
+        return this.fieldDiffs(older, newer).map(diff => diff.label);
+    },
 
-        document.getElementById('import-browse-btn').addEventListener('click', () => {
-            document.getElementById('import-file').click();
-        });
+    /**
+     * Fields that differ between two credentials, as { key, label, kind }.
+     * Type fields are taken from the first credential's template.
+     */
+    fieldDiffs(a, b) {
+        const differs = (x, y) => JSON.stringify(x || null) !== JSON.stringify(y || null);
+        const fields = [
+            { key: 'name', label: 'Name' },
+            { key: 'type', label: 'Type' },
+            ...this.get(a).fields,
+            { key: 'category', label: 'Category' },
+            { key: 'tags', label: 'Tags' },
+            { key: 'policyId', label: 'Password policy' },
+            { key: 'notes', label: 'Notes' },
+            { key: 'customFields', label: 'Custom fields' }
+        ];
+        const value = (credential, key) => {
+            if (key === 'type') return credential.type || 'login';
+            if (key === 'customFields' || key === 'tags') return credential[key] && credential[key].length ? credential[key] : null;
+            return credential[key];
+        };
 
-        document.getElementById('import-file').addEventListener('change', async (e) => {
-            const file = e.target.files[0];
-            if (file) {
-                try {
-                    const results = await ImportExport.importFromJson(file);
-                    document.getElementById('import-summary').textContent =
-                        `Successfully imported ${results.imported} credential(s). Skipped ${results.skipped} duplicate(s).`;
-                    document.getElementById('import-results').classList.remove('hidden');
-                    await UI.renderCredentials();
-                    Toast.show(`Imported ${results.imported} credentials`, 'success');
-                } catch (error) {
-                    Toast.show('Failed to import: ' + error.message, 'error');
-                }
-            }
-        });
+        return fields
+            .filter(field => differs(value(a, field.key), value(b, field.key)))
+            .map(({ key, label, kind }) => ({ key, label, kind }));
+    },
 
-        // Drop zone
-        const dropZone = document.getElementById('import-drop-zone');
-
-        dropZone.addEventListener('dragover', (e) => {
-            e.preventDefault();
-            dropZone.classList.add('drag-over');
-        });
+    /**
+     * Lowercased text matched by search. Hidden values are not searchable.
+     */
+    searchText(credential) {
+        const template = this.get(credential);
+        const parts = [credential.name, template.label, credential.notes, ...(credential.tags || [])];
 
-        dropZone.addEventListener('dragleave', () => {
-            dropZone.classList.remove('drag-over');
-        });
+        for (const field of template.fields) {
+            if (field.kind !== 'hidden') parts.push(credential[field.key]);
+        }
+        for (const field of credential.customFields || []) {
+            parts.push(field.label);
+            if (field.type !== 'hidden') parts.push(field.value);
+        }
 
-        dropZone.addEventListener('drop', async (e) => {
-            e.preventDefault();
-            dropZone.classList.remove('drag-over');
+        return parts.filter(Boolean).join('\n').toLowerCase();
+    },
 
-            const file = e.dataTransfer.files[0];
-            if (file && file.type === 'application/json') {
-                try {
-                    const results = await ImportExport.importFromJson(file);
-                    document.getElementById('import-summary').textContent =
-                        `Successfully imported ${results.imported} credential(s). Skipped ${results.skipped} duplicate(s).`;
-                    document.getElementById('import-results').classList.remove('hidden');
-                    await UI.renderCredentials();
-                    Toast.show(`Imported ${results.imported} credentials`, 'success');
-                } catch (error) {
-                    Toast.show('Failed to import: ' + error.message, 'error');
+    /**
+     * Field columns for CSV export: every template field, once per key
+     */
+    columns() {
+        const columns = new Map();
+        for (const template of Object.values(CREDENTIAL_TYPES)) {
+            for (const field of template.fields) {
+                if (!columns.has(field.key)) {
+                    columns.set(field.key, field.column || field.label);
                 }
             }
-        });
+        }
+        return [...columns].map(([key, header]) => ({ key, header }));
+    }
+};
 
-        // Export
-        document.getElementById('export-btn').addEventListener('click', () => {
-            Modal.open('export-modal');
-        });
+// ============================================
+// Password Health
+// ============================================
 
-        document.getElementById('export-download-btn').addEventListener('click', async () => {
-            const format = document.querySelector('input[name="export-format"]:checked').value;
-            const encrypted = document.getElementById('export-encrypted').checked;
+const PasswordHealth = {
+    // How much each problem takes off a credential's share of the vault score
+    PENALTIES: { breached: 1, weak: 1, reused: 1, duplicate: 0.5, old: 0.5, insecure: 0.5 },
 
-            if (format === 'json') {
-                await ImportExport.exportToJson(encrypted);
-            } else {
-                await ImportExport.exportToCsv();
-            }
+    /**
+     * Check every credential with a password or website and return
+     *   score     - 0 to 100, or null when there is nothing to check
+     *   checked   - number of credentials checked
+     *   breached  - [{ credential, count }] found in the breach list
+     *               (`breaches`, credential id -> { count })
+     *   weak      - [{ credential, strength }]
+     *   reused    - [[credential, ...]] same password on different accounts
+     *   duplicate - [[credential, ...]] the same account saved more than once
+     *   old       - [{ credential, days }] not modified within maxAgeDays
+     *   insecure  - [{ credential }] website without HTTPS
+     */
+    analyze(credentials, { maxAgeDays, breaches = new Map(), now = Date.now() }) {
+        const report = {
+            score: null, checked: 0, breached: [], weak: [], reused: [], duplicate: [], old: [], insecure: []
+        };
+        const penalties = new Map();
+        const penalize = (credential, problem) => {
+            penalties.set(credential, (penalties.get(credential) || 0) + this.PENALTIES[problem]);
+        };
 
-            Modal.close('export-modal');
-            Toast.show('Credentials exported successfully', 'success');
-        });
+        const byPassword = new Map();
+        const checked = credentials.filter(c => c.password || c.website);
 
-        // Audit log
-        document.getElementById('audit-log-btn').addEventListener('click', async () => {
-            await UI.renderAuditLog();
-            Modal.open('audit-log-modal');
-        });
+        for (const credential of checked) {
+            if (credential.password) {
+                const breach = breaches.get(credential._meta.id);
+                if (breach) {
+                    report.breached.push({ credential, count: breach.count });
+                    penalize(credential, 'breached');
+                }
 
-        document.getElementById('clear-audit-log').addEventListener('click', async () => {
-            if (confirm('Are you sure you want to clear the audit log?')) {
-                await AuditLog.clear();
-                await UI.renderAuditLog();
-                Toast.show('Audit log cleared', 'success');
+                const strength = PasswordStrength.calculate(credential.password);
+                if (strength.score < PasswordStrength.MIN_SCORE) {
+                    report.weak.push({ credential, strength });
+                    penalize(credential, 'weak');
+                }
+
+                const days = Math.floor((now - credential._meta.modified) / (24 * 60 * 60 * 1000));
+                if (days > maxAgeDays) {
+                    report.old.push({ credential, days });
+                    penalize(credential, 'old');
+                }
+
+                if (!byPassword.has(credential.password)) byPassword.set(credential.password, []);
+                byPassword.get(credential.password).push(credential);
             }
-        });
 
-        document.getElementById('export-audit-log').addEventListener('click', async () => {
-            const entries = await AuditLog.getAll();
-            const json = JSON.stringify(entries, null, 2);
-            const blob = new Blob([json], { type: 'application/json' });
-            const url = URL.createObjectURL(blob);
+            if (credential.website && this.isInsecure(credential.website)) {
+                report.insecure.push({ credential });
+                penalize(credential, 'insecure');
+            }
+        }
 
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `audit-log-${new Date().toISOString().split('T')[0]}.json`;
-            a.click();
+        // A shared password is a duplicate when every entry is the same
+        // account (site and username), otherwise it is reused
+        for (const group of byPassword.values()) {
+            if (group.length < 2) continue;
+            const accounts = new Set(group.map(c => this.accountKey(c)));
+            const problem = accounts.size === 1 ? 'duplicate' : 'reused';
+            report[problem].push(group);
+            group.forEach(c => penalize(c, problem));
+        }
 
-            URL.revokeObjectURL(url);
-        });
+        report.checked = checked.length;
+        if (checked.length > 0) {
+            const health = checked.reduce((sum, c) => sum + Math.max(0, 1 - (penalties.get(c) || 0)), 0);
+            report.score = Math.round(100 * health / checked.length);
+        }
 
-        // Security info
-        document.getElementById('security-info-btn').addEventListener('click', () => {
-            Modal.open('security-info-modal');
-        });
+        report.breached.sort((a, b) => (b.count || 0) - (a.count || 0));
+        report.weak.sort((a, b) => a.strength.score - b.strength.score);
+        report.reused.sort((a, b) => b.length - a.length);
+        report.old.sort((a, b) => b.days - a.days);
+        return report;
+    },
 
-        // Lock
-        document.getElementById('lock-app-btn').addEventListener('click', () => {
-            this.lock();
-        });
+    isInsecure(url) {
+        try {
+            return new URL(url).protocol === 'http:';
+        } catch (error) {
+            return false;
+        }
+    },
 
-        // Logout
-        document.getElementById('logout-btn').addEventListener('click', () => {
-            if (confirm('Are you sure you want to logout? This will lock the application.')) {
-                this.lock();
+    /**
+     * Site and username identifying an account, falling back to the name
+     * for entries without a website
+     */
+    accountKey(credential) {
+        const site = (credential.website && CredentialTypes.hostOf(credential.website)) || credential.name.toLowerCase();
+        return `${site.replace(/^www\./, '')}|${(credential.username || '').toLowerCase()}`;
+    },
+
+    /**
+     * Label and colour class for a vault score
+     */
+    rate(score) {
+        if (score === null) return { label: 'Nothing to check', color: '' };
+        if (score >= 90) return { label: 'Excellent', color: 'strong' };
+        if (score >= 75) return { label: 'Good', color: 'good' };
+        if (score >= 50) return { label: 'Fair', color: 'fair' };
+        return { label: 'Poor', color: 'weak' };
+    }
+};
+
+// ============================================
+// Breached Passwords
+// ============================================
+
+const Breaches = {
+    worker: null,
+    requests: new Map(),
+    nextRequestId: 0,
+
+    /**
+     * The loaded list ({ kind, count, files, loaded }) or null
+     */
+    async status() {
+        return (await Storage.get(CONFIG.STORES.SETTINGS, 'breachList')) || null;
+    },
+
+    /**
+     * Replace the breach list with the chosen files; see BreachCheck.load
+     * for the formats. Calls onProgress with the fraction read.
+     */
+    async load(files, onProgress) {
+        // The old list is cleared as loading starts, so it no longer applies
+        await Storage.delete(CONFIG.STORES.SETTINGS, 'breachList');
+        AppState.breachCache.clear();
+        AppState.breaches.clear();
+
+        let result;
+        try {
+            result = await this.call('load', { files: [...files] }, onProgress);
+        } catch (error) {
+            await Storage.clear(CONFIG.STORES.BREACHES);
+            throw error;
+        }
+
+        const list = { key: 'breachList', ...result, files: [...files].map(f => f.name), loaded: Date.now() };
+        await Storage.put(CONFIG.STORES.SETTINGS, list);
+        await AuditLog.add('Breach List Loaded', `${result.count.toLocaleString()} hashes `
+            + `(${result.kind === 'bloom' ? 'Bloom filter' : 'hash list'}) from ${list.files.join(', ')}`);
+        return list;
+    },
+
+    async remove() {
+        await Storage.clear(CONFIG.STORES.BREACHES);
+        await Storage.delete(CONFIG.STORES.SETTINGS, 'breachList');
+        AppState.breachCache.clear();
+        AppState.breaches.clear();
+        await AuditLog.add('Breach List Removed', 'Passwords are no longer checked against a breach list');
+    },
+
+    /**
+     * Look up the passwords of the given credentials and record the ones
+     * found in AppState.breaches. Returns true if that changed anything.
+     */
+    async check(credentials) {
+        const before = JSON.stringify([...AppState.breaches]);
+        if (!await this.status()) {
+            AppState.breaches.clear();
+            return before !== '[]';
+        }
+
+        const hashes = new Map();
+        for (const credential of credentials) {
+            if (credential.password) hashes.set(credential._meta.id, await this.sha1(credential.password));
+        }
+
+        const unknown = [...new Set(hashes.values())].filter(hash => !AppState.breachCache.has(hash));
+        if (unknown.length > 0) {
+            const results = await this.call('check', { hashes: unknown });
+            unknown.forEach(hash => AppState.breachCache.set(hash, results[hash] || null));
+        }
+
+        for (const credential of credentials) {
+            const result = hashes.has(credential._meta.id) ? AppState.breachCache.get(hashes.get(credential._meta.id)) : null;
+            if (result) {
+                AppState.breaches.set(credential._meta.id, result);
+            } else {
+                AppState.breaches.delete(credential._meta.id);
             }
-        });
+        }
 
-        // Category navigation
-        document.getElementById('category-nav').addEventListener('click', (e) => {
-            const btn = e.target.closest('.category-item');
-            if (btn) {
-                document.querySelectorAll('.category-item').forEach(b => b.classList.remove('active'));
-                btn.classList.add('active');
-                AppState.currentCategory = btn.dataset.category;
-                AppState.searchQuery = '';
-                document.getElementById('search-input').value = '';
-                document.getElementById('clear-search').classList.add('hidden');
-                UI.updateSectionTitle();
-                UI.renderCredentials();
+        return JSON.stringify([...AppState.breaches]) !== before;
+    },
+
+    async sha1(value) {
+        const digest = await crypto.subtle.digest('SHA-1', new TextEncoder().encode(value));
+        return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('').toUpperCase();
+    },
+
+    /**
+     * Run a BreachCheck operation in the worker, or on the main thread when
+     * the worker cannot be started
+     */
+    async call(type, payload, onProgress = () => {}) {
+        const db = { dbName: Storage.db.name, store: CONFIG.STORES.BREACHES };
+        const worker = this.getWorker();
+
+        if (worker) {
+            try {
+                return await new Promise((resolve, reject) => {
+                    const id = this.nextRequestId++;
+                    this.requests.set(id, { resolve, reject, onProgress });
+                    worker.postMessage({ id, type, db, ...payload });
+                });
+            } catch (error) {
+                if (!error.workerFailed) throw error;
             }
-        });
+        }
 
-        // Search
-        let searchTimeout;
-        document.getElementById('search-input').addEventListener('input', (e) => {
-            const query = e.target.value.trim();
+        return type === 'load'
+            ? BreachCheck.load(payload.files, db, onProgress)
+            : BreachCheck.check(payload.hashes, db);
+    },
 
-            clearTimeout(searchTimeout);
-            searchTimeout = setTimeout(async () => {
-                AppState.searchQuery = query;
-                document.getElementById('clear-search').classList.toggle('hidden', !query);
-                UI.updateSectionTitle();
-                await UI.renderCredentials();
-            }, 300);
-        });
+    getWorker() {
+        if (this.worker === null) {
+            try {
+                this.worker = new Worker(CONFIG.BREACHES.WORKER);
+                this.worker.onmessage = ({ data }) => this.receive(data);
+                this.worker.onerror = (event) => {
+                    // The script could not be loaded; pending requests retry on the main thread
+                    event.preventDefault();
+                    this.worker = false;
+                    const error = Object.assign(new Error('Breach check worker failed'), { workerFailed: true });
+                    this.requests.forEach(request => request.reject(error));
+                    this.requests.clear();
+                };
+            } catch (error) {
+                this.worker = false;
+            }
+        }
+        return this.worker || null;
+    },
 
-        document.getElementById('clear-search').addEventListener('click', () => {
-            document.getElementById('search-input').value = '';
-            AppState.searchQuery = '';
-            document.getElementById('clear-search').classList.add('hidden');
-            UI.updateSectionTitle();
-            UI.renderCredentials();
-        });
+    receive({ id, progress, result, error }) {
+        const request = this.requests.get(id);
+        if (!request) return;
 
-        // View toggle
-        document.getElementById('grid-view-btn').addEventListener('click', () => {
-            AppState.viewMode = 'grid';
-            document.getElementById('grid-view-btn').classList.add('active');
-            document.getElementById('list-view-btn').classList.remove('active');
-            document.getElementById('credential-list').classList.remove('list-view');
-            document.getElementById('credential-list').classList.add('grid-view');
-        });
+        if (progress !== undefined) {
+            request.onProgress(progress);
+            return;
+        }
 
-        document.getElementById('list-view-btn').addEventListener('click', () => {
-            AppState.viewMode = 'list';
-            document.getElementById('list-view-btn').classList.add('active');
-            document.getElementById('grid-view-btn').classList.remove('active');
-            document.getElementById('credential-list').classList.remove('grid-view');
-            document.getElementById('credential-list').classList.add('list-view');
-        });
+        this.requests.delete(id);
+        if (error) {
+            request.reject(new Error(error));
+        } else {
+            request.resolve(result);
+        }
+    }
+};
 
-        // Credential list actions (delegated)
-        document.getElementById('credential-list').addEventListener('click', async (e) => {
-            const card = e.target.closest('.credential-card');
-            if (!card) return;
+// ============================================
+// Audit Log
+// ============================================
 
-            const id = card.dataset.id;
-            const credential = AppState.credentials.find(c => c._meta.id === id);
+const AuditLog = {
+    /**
+     * Add an entry to the audit log. Entries are encrypted with the vault
+     * key, so nothing is recorded while the vault is locked.
+     */
+    async add(action, details = '') {
+        if (!AppState.vaultKey) return;
 
-            if (e.target.closest('.show-password')) {
-                const passwordEl = card.querySelector('.credential-password span');
-                if (passwordEl.classList.contains('password-dots')) {
-                    passwordEl.textContent = credential.password;
-                    passwordEl.classList.remove('password-dots');
-                    passwordEl.classList.add('password-visible');
-                } else {
-                    passwordEl.textContent = '••••••••••••';
-                    passwordEl.classList.remove('password-visible');
-                    passwordEl.classList.add('password-dots');
-                }
-            } else if (e.target.closest('.copy-password')) {
-                this.copyToClipboard(credential.password);
-                Toast.show('Password copied to clipboard', 'success');
-            } else if (e.target.closest('.edit-credential')) {
-                await UI.showEditCredential(id);
-            } else if (e.target.closest('.delete-credential')) {
-                await this.showDeleteConfirmation(id);
-            } else if (!e.target.closest('button')) {
-                await UI.showViewCredential(id);
+        const entry = {
+            id: crypto.randomUUID(),
+            encrypted: await CryptoUtils.encrypt({ action, details, timestamp: Date.now() }, AppState.vaultKey)
+        };
+
+        await Storage.put(CONFIG.STORES.AUDIT_LOG, entry);
+        await this.prune();
+    },
+
+    /**
+     * Get all audit log entries, decrypted and newest first
+     */
+    async getAll() {
+        const records = await Storage.getAll(CONFIG.STORES.AUDIT_LOG);
+        const entries = [];
+
+        for (const record of records) {
+            try {
+                const entry = await CryptoUtils.decrypt(record.encrypted, AppState.vaultKey);
+                entries.push({ id: record.id, ...entry });
+            } catch (e) {
+                console.error('Failed to decrypt audit entry:', record.id, e);
             }
-        });
+        }
 
-        // View credential modal actions
-        document.getElementById('view-credential-modal').addEventListener('click', async (e) => {
-            const toggleBtn = e.target.closest('.toggle-view-password');
-            const copyBtn = e.target.closest('.copy-btn');
+        return entries.sort((a, b) => b.timestamp - a.timestamp);
+    },
 
-            if (toggleBtn) {
-                const passwordEl = document.getElementById('view-password');
-                const credential = await CredentialManager.getById(AppState.currentCredentialId);
+    /**
+     * Prune old entries
+     */
+    async prune() {
+        const records = await Storage.getAll(CONFIG.STORES.AUDIT_LOG);
+        if (records.length <= CONFIG.MAX_AUDIT_ENTRIES) return;
+
+        // Timestamps are encrypted, so decrypt to find the oldest entries
+        const toDelete = (await this.getAll()).slice(CONFIG.MAX_AUDIT_ENTRIES);
+        await Storage.batch(toDelete.map(entry => ({
+            type: 'delete',
+            store: CONFIG.STORES.AUDIT_LOG,
+            key: entry.id
+        })));
+    },
 
-                if (passwordEl.classList.contains('password-masked')) {
-                    passwordEl.textContent = credential.password;
-                    passwordEl.classList.remove('password-masked');
-                    toggleBtn.querySelector('.eye-icon').classList.add('hidden');
-                    toggleBtn.querySelector('.eye-off-icon').classList.remove('hidden');
-                } else {
-                    passwordEl.textContent = '••••••••••••';
-                    passwordEl.classList.add('password-masked');
-                    toggleBtn.querySelector('.eye-icon').classList.remove('hidden');
-                    toggleBtn.querySelector('.eye-off-icon').classList.add('hidden');
+    /**
+     * Encrypt entries written in plaintext before audit log encryption
+     */
+    async encryptLegacyEntries() {
+        const records = await Storage.getAll(CONFIG.STORES.AUDIT_LOG);
+        const operations = [];
+
+        for (const record of records.filter(r => !r.encrypted)) {
+            const { action, details, timestamp } = record;
+            operations.push({
+                type: 'put',
+                store: CONFIG.STORES.AUDIT_LOG,
+                value: {
+                    id: record.id,
+                    encrypted: await CryptoUtils.encrypt({ action, details, timestamp }, AppState.vaultKey)
                 }
-            } else if (copyBtn) {
-                const field = copyBtn.dataset.field;
-                const credential = await CredentialManager.getById(AppState.currentCredentialId);
+            });
+        }
+
+        if (operations.length) await Storage.batch(operations);
+    },
+
+    /**
+     * Clear all audit log entries
+     */
+    async clear() {
+        await Storage.clear(CONFIG.STORES.AUDIT_LOG);
+    }
+};
+
+// ============================================
+// Toast Notifications
+// ============================================
+
+const Toast = {
+    container: null,
+
+    init() {
+        this.container = document.getElementById('toast-container');
+    },
+
+    /**
+     * Show a toast. `action` adds a button, e.g. { label: 'Undo', onClick }
+     */
+    show(message, type = 'info', duration = 3000, action = null) {
+        if (!this.container) this.init();
+
+        const toast = document.createElement('div');
+        toast.className = `toast ${type}`;
+
+        const icons = {
+            success: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"></path><polyline points="22 4 12 14.01 9 11.01"></polyline></svg>',
+            error: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"></circle><line x1="15" y1="9" x2="9" y2="15"></line><line x1="9" y1="9" x2="15" y2="15"></line></svg>',
+            warning: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M10.29 3.86L1.82 18a2 2 0 0 0 1.71 3h16.94a2 2 0 0 0 1.71-3L13.71 3.86a2 2 0 0 0-3.42 0z"></path><line x1="12" y1="9" x2="12" y2="13"></line><line x1="12" y1="17" x2="12.01" y2="17"></line></svg>',
+            info: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"></circle><line x1="12" y1="16" x2="12" y2="12"></line><line x1="12" y1="8" x2="12.01" y2="8"></line></svg>'
+        };
+
+        toast.innerHTML = `
+            <div class="toast-icon">${icons[type] || icons.info}</div>
+            <div class="toast-message">${this.escapeHtml(message)}</div>
+            ${action ? `<button class="toast-action">${this.escapeHtml(action.label)}</button>` : ''}
+            <button class="toast-close" aria-label="Close">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <line x1="18" y1="6" x2="6" y2="18"></line>
+                    <line x1="6" y1="6" x2="18" y2="18"></line>
+                </svg>
+            </button>
+        `;
+
+        // Close button
+        const closeBtn = toast.querySelector('.toast-close');
+        closeBtn.addEventListener('click', () => this.dismiss(toast));
+
+        if (action) {
+            toast.querySelector('.toast-action').addEventListener('click', () => {
+                this.dismiss(toast);
+                action.onClick();
+            }, { once: true });
+        }
+
+        this.container.appendChild(toast);
+
+        // Auto dismiss
+        setTimeout(() => this.dismiss(toast), duration);
+    },
+
+    dismiss(toast) {
+        toast.classList.add('removing');
+        toast.addEventListener('animationend', () => toast.remove());
+    },
+
+    /**
+     * Remove toasts with an action button straight away, so an action
+     * cannot run after the vault it belongs to is locked
+     */
+    dismissActions() {
+        if (!this.container) return;
+        this.container.querySelectorAll('.toast-action').forEach(button => button.closest('.toast').remove());
+    },
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+};
+
+// ============================================
+// Modal Management
+// ============================================
+
+const Modal = {
+    open(modalId) {
+        const modal = document.getElementById(modalId);
+        if (modal) {
+            modal.classList.remove('hidden');
+            // Trigger reflow for animation
+            void modal.offsetWidth;
+            modal.classList.add('show');
+
+            // Focus first input
+            const firstInput = modal.querySelector('input:not([type="hidden"])');
+            if (firstInput) firstInput.focus();
+        }
+    },
+
+    close(modalId) {
+        const modal = document.getElementById(modalId);
+        if (modal) {
+            modal.classList.remove('show');
+            setTimeout(() => {
+                modal.classList.add('hidden');
+            }, 250);
+        }
+    },
+
+    closeAll() {
+        document.querySelectorAll('.modal.show').forEach(modal => {
+            this.close(modal.id);
+        });
+    }
+};
+
+// ============================================
+// Vault Integrity
+// ============================================
+
+const VaultIntegrity = {
+    /**
+     * Load the manifest signing key. Returns false if the vault has none.
+     */
+    async loadKey() {
+        const record = await Storage.get(CONFIG.STORES.SETTINGS, 'manifestKey');
+        if (!record) return false;
+
+        const raw = CryptoUtils.base64ToArrayBuffer(await CryptoUtils.decrypt(record.encrypted, AppState.vaultKey));
+        AppState.manifestKey = await this.importKey(raw);
+        return true;
+    },
+
+    /**
+     * Create a new manifest signing key and return the write that stores
+     * it, encrypted with the vault key
+     */
+    async createKey() {
+        const raw = crypto.getRandomValues(new Uint8Array(32));
+        AppState.manifestKey = await this.importKey(raw);
+
+        const encrypted = await CryptoUtils.encrypt(CryptoUtils.arrayBufferToBase64(raw), AppState.vaultKey);
+        raw.fill(0);
+
+        return { type: 'put', store: CONFIG.STORES.SETTINGS, value: { key: 'manifestKey', encrypted } };
+    },
+
+    async importKey(raw) {
+        return crypto.subtle.importKey('raw', raw, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify']);
+    },
+
+    /**
+     * Set up integrity protection at unlock. Vaults from before it existed
+     * have their records versioned and a manifest signed.
+     */
+    async init() {
+        if (await this.loadKey()) return;
+        await CredentialManager.upgradeLegacyRecords();
+    },
+
+    /**
+     * Canonical form of the manifest entries that the MAC covers
+     */
+    canonicalize(entries) {
+        return Object.keys(entries).sort().map(id => `${id}:${entries[id]}`).join('\n');
+    },
+
+    /**
+     * Sign manifest entries ({ id: version }) and return the write that
+     * stores the manifest
+     */
+    async sign(entries) {
+        const mac = await crypto.subtle.sign('HMAC', AppState.manifestKey,
+            new TextEncoder().encode(this.canonicalize(entries)));
+
+        return {
+            type: 'put',
+            store: CONFIG.STORES.SETTINGS,
+            value: { key: 'vaultManifest', entries, mac: CryptoUtils.arrayBufferToBase64(mac) }
+        };
+    },
+
+    /**
+     * Read the manifest and check its MAC
+     */
+    async load() {
+        const manifest = await Storage.get(CONFIG.STORES.SETTINGS, 'vaultManifest');
+        if (!manifest || !AppState.manifestKey) {
+            return { entries: {}, valid: false };
+        }
+
+        const valid = await crypto.subtle.verify('HMAC', AppState.manifestKey,
+            CryptoUtils.base64ToArrayBuffer(manifest.mac),
+            new TextEncoder().encode(this.canonicalize(manifest.entries)));
+
+        return { entries: manifest.entries, valid };
+    },
+
+    /**
+     * Build the manifest write for a record that was saved at a new version,
+     * or removed when version is null. Refuses to re-sign a manifest that
+     * fails verification.
+     */
+    async update(id, version) {
+        return this.updateMany({ [id]: version });
+    },
+
+    /**
+     * Like update(), for several records in one manifest write
+     */
+    async updateMany(versions) {
+        const manifest = await this.load();
+        if (!manifest.valid) {
+            throw new Error('Vault manifest failed verification');
+        }
+
+        const entries = { ...manifest.entries };
+        for (const [id, version] of Object.entries(versions)) {
+            if (version === null) {
+                delete entries[id];
+            } else {
+                entries[id] = version;
+            }
+        }
+
+        return this.sign(entries);
+    },
+
+    /**
+     * Check stored records against the manifest. Returns a list of
+     * problems: { type: 'manifest' | 'unexpected' | 'rollback' | 'missing', id }
+     */
+    check(records, manifest) {
+        if (!manifest.valid) {
+            return [{ type: 'manifest' }];
+        }
+
+        const problems = [];
+        const ids = new Set(records.map(r => r.id));
+
+        for (const record of records) {
+            const expected = manifest.entries[record.id];
+            if (expected === undefined) {
+                problems.push({ type: 'unexpected', id: record.id });
+            } else if (record.version !== expected) {
+                problems.push({ type: 'rollback', id: record.id });
+            }
+        }
+
+        for (const id of Object.keys(manifest.entries)) {
+            if (!ids.has(id)) problems.push({ type: 'missing', id });
+        }
+
+        return problems;
+    },
+
+    /**
+     * Accept the current vault contents: sign a new manifest covering every
+     * record that still authenticates
+     */
+    async resign() {
+        const records = await Storage.getAll(CONFIG.STORES.CREDENTIALS);
+        const entries = {};
+
+        for (const record of records) {
+            try {
+                await CredentialManager.open(record);
+                entries[record.id] = record.version;
+            } catch (e) {
+                // Left out of the manifest and still reported as corrupt
+            }
+        }
+
+        const operations = [];
+        if (!AppState.manifestKey) operations.push(await this.createKey());
+        operations.push(await this.sign(entries));
+
+        await Storage.batch(operations);
+        await AuditLog.add('Vault Manifest Re-signed', `Accepted ${Object.keys(entries).length} record(s)`);
+    }
+};
+
+// ============================================
+// Credential Management
+// ============================================
+
+const CredentialManager = {
+    /**
+     * Additional authenticated data binding a ciphertext to its record
+     */
+    recordAad(id, version) {
+        return `${id}:${version}`;
+    },
+
+    /**
+     * Encrypt a credential and its metadata into a stored record. Only the
+     * id and version are kept in the clear, and both are bound to the
+     * ciphertext so records cannot be swapped or rolled back unnoticed.
+     */
+    async seal(id, version, credential, meta) {
+        const { _meta, ...data } = credential;
+        const encrypted = await CryptoUtils.encrypt({ credential: data, meta }, AppState.vaultKey,
+            this.recordAad(id, version));
+        return { id, version, encrypted };
+    },
+
+    /**
+     * Decrypt a stored record into a credential with its _meta attached
+     */
+    async open(record) {
+        const { credential, meta } = await CryptoUtils.decrypt(record.encrypted, AppState.vaultKey,
+            this.recordAad(record.id, record.version));
+        credential._meta = { id: record.id, history: [], ...meta };
+
+        // Edits before history was kept dropped the created date
+        credential._meta.created = credential._meta.created || credential._meta.modified;
+        return credential;
+    },
+
+    /**
+     * Create a new credential
+     */
+    async create(credential, dates) {
+        const record = await this.newRecord(credential, dates);
+
+        await Storage.batch([
+            { type: 'put', store: CONFIG.STORES.CREDENTIALS, value: record },
+            await VaultIntegrity.update(record.id, record.version)
+        ]);
+        await this.cacheRecords([record]);
+        await AuditLog.add('Credential Created', `Created: ${credential.name}`);
+
+        return record;
+    },
+
+    /**
+     * Seal a new credential's first record. Nothing is written here.
+     */
+    async newRecord(credential, { created = Date.now(), modified = created } = {}) {
+        return this.seal(crypto.randomUUID(), 1, credential, {
+            favorite: credential.favorite || false,
+            created,
+            modified
+        });
+    },
+
+    /**
+     * Update an existing credential
+     */
+    async update(id, credential, action = 'Credential Updated') {
+        const current = await Storage.get(CONFIG.STORES.CREDENTIALS, id);
+        const { entries } = await VaultIntegrity.load();
+        const { historyLimit } = await Preferences.get();
+        const record = await this.nextRecord(current, credential, entries, historyLimit);
+
+        await Storage.batch([
+            { type: 'put', store: CONFIG.STORES.CREDENTIALS, value: record },
+            await VaultIntegrity.update(id, record.version)
+        ]);
+        await this.cacheRecords([record]);
+        await AuditLog.add(action, `Updated: ${credential.name}`);
+
+        return record;
+    },
+
+    /**
+     * Seal the next version of a stored record with the replaced version
+     * kept in history. Nothing is written here.
+     */
+    async nextRecord(current, credential, entries, historyLimit) {
+        const { _meta: previousMeta, ...previous } = await this.open(current);
+
+        // Keep the replaced version unless only the favorite flag changed
+        let history = previousMeta.history;
+        if (!this.sameContent(previous, credential)) {
+            history = [{ version: current.version, modified: previousMeta.modified, credential: previous }, ...history];
+        }
+
+        // Never reuse a version, even if the stored record was rolled back
+        const version = Math.max(current.version, entries[current.id] || 0) + 1;
+        return this.seal(current.id, version, credential, {
+            favorite: credential.favorite || false,
+            created: previousMeta.created,
+            modified: Date.now(),
+            history: history.slice(0, historyLimit)
+        });
+    },
+
+    /**
+     * Compare two credentials, ignoring metadata, the favorite flag,
+     * property order and empty values
+     */
+    sameContent(a, b) {
+        const isEmpty = (value) => value == null || value === '' || (Array.isArray(value) && value.length === 0);
+        const normalize = ({ _meta, favorite, ...rest }) => JSON.stringify(
+            Object.entries({ type: 'login', ...rest })
+                .filter(([, value]) => !isEmpty(value))
+                .sort(([x], [y]) => x.localeCompare(y))
+        );
+        return normalize(a) === normalize(b);
+    },
+
+    /**
+     * Restore an earlier version from a credential's history. The version
+     * being replaced is kept in history like any other update.
+     */
+    async restoreVersion(id, index) {
+        const current = await this.getById(id);
+        const entry = current._meta.history[index];
+
+        await this.update(id, { ...entry.credential, favorite: current._meta.favorite }, 'Credential Version Restored');
+    },
+
+    /**
+     * Re-seal a credential with changed metadata and a new version
+     */
+    async setMeta(id, changes) {
+        const current = await Storage.get(CONFIG.STORES.CREDENTIALS, id);
+        const { _meta: { id: _id, ...meta }, ...credential } = await this.open(current);
+        const { entries } = await VaultIntegrity.load();
+
+        const version = Math.max(current.version, entries[id] || 0) + 1;
+        const record = await this.seal(id, version, credential, { ...meta, ...changes });
+
+        await Storage.batch([
+            { type: 'put', store: CONFIG.STORES.CREDENTIALS, value: record },
+            await VaultIntegrity.update(id, record.version)
+        ]);
+        await this.cacheRecords([record]);
+
+        return credential;
+    },
+
+    /**
+     * Move credentials to another category in one write. Recategorising is
+     * not kept in history and leaves the modified date alone.
+     */
+    async setCategory(ids, category) {
+        if (ids.length === 0) return;
+
+        const { entries } = await VaultIntegrity.load();
+        const records = [];
+        const versions = {};
+
+        for (const id of ids) {
+            const current = await Storage.get(CONFIG.STORES.CREDENTIALS, id);
+            const { _meta: { id: _id, ...meta }, ...credential } = await this.open(current);
+
+            const version = Math.max(current.version, entries[id] || 0) + 1;
+            records.push(await this.seal(id, version, { ...credential, category }, meta));
+            versions[id] = version;
+        }
+
+        await Storage.batch([
+            ...records.map(record => ({ type: 'put', store: CONFIG.STORES.CREDENTIALS, value: record })),
+            await VaultIntegrity.updateMany(versions)
+        ]);
+        await this.cacheRecords(records);
+    },
+
+    /**
+     * Move a credential to the trash
+     */
+    async delete(id) {
+        const credential = await this.setMeta(id, { deleted: Date.now() });
+        await AuditLog.add('Credential Deleted', `Moved to trash: ${credential.name}`);
+    },
+
+    /**
+     * Take a credential back out of the trash
+     */
+    async restore(id) {
+        const credential = await this.setMeta(id, { deleted: null });
+        await AuditLog.add('Credential Restored', `Restored from trash: ${credential.name}`);
+    },
+
+    /**
+     * Permanently delete credentials
+     */
+    async purge(ids) {
+        if (ids.length === 0) return;
+
+        await Storage.batch([
+            ...ids.map(id => ({ type: 'delete', store: CONFIG.STORES.CREDENTIALS, key: id })),
+            await VaultIntegrity.updateMany(Object.fromEntries(ids.map(id => [id, null])))
+        ]);
+
+        if (AppState.credentialCache) {
+            const cache = await AppState.credentialCache;
+            ids.forEach(id => cache.delete(id));
+            AppState.integrityProblems = AppState.integrityProblems.filter(p => !ids.includes(p.id));
+        }
+    },
+
+    /**
+     * Permanently delete one trashed credential
+     */
+    async deletePermanently(id) {
+        const credential = await this.getById(id);
+        await this.purge([id]);
+        await AuditLog.add('Credential Purged', `Permanently deleted: ${credential.name}`);
+    },
+
+    /**
+     * Permanently delete everything in the trash
+     */
+    async emptyTrash() {
+        const trash = await this.getTrash();
+        await this.purge(trash.map(c => c._meta.id));
+        await AuditLog.add('Trash Emptied', `Permanently deleted ${trash.length} credential(s)`);
+        return trash.length;
+    },
+
+    /**
+     * Permanently delete trashed credentials older than the retention period
+     */
+    async purgeExpiredTrash() {
+        const { trashRetentionDays } = await Preferences.get();
+        const cutoff = Date.now() - trashRetentionDays * 24 * 60 * 60 * 1000;
+        const expired = (await this.getTrash()).filter(c => c._meta.deleted < cutoff);
+
+        if (expired.length > 0) {
+            await this.purge(expired.map(c => c._meta.id));
+            await AuditLog.add('Trash Purged', `Permanently deleted ${expired.length} credential(s) after ${trashRetentionDays} days`);
+        }
+    },
+
+    /**
+     * Get a credential by ID
+     */
+    async getById(id) {
+        if (!AppState.vaultKey) return null;
+        return (await this.cached()).get(id) || null;
+    },
+
+    /**
+     * Get all credentials that are not in the trash
+     */
+    async getAll() {
+        return (await this.loadAll()).filter(c => !c._meta.deleted);
+    },
+
+    /**
+     * Get trashed credentials, most recently deleted first
+     */
+    async getTrash() {
+        return (await this.loadAll())
+            .filter(c => c._meta.deleted)
+            .sort((a, b) => b._meta.deleted - a._meta.deleted);
+    },
+
+    /**
+     * Every decrypted credential, including trashed ones. The objects are
+     * shared with the cache, so treat them as read-only.
+     */
+    async loadAll() {
+        if (!AppState.vaultKey) return [];
+        return [...(await this.cached()).values()];
+    },
+
+    /**
+     * The decrypted vault, held in AppState.credentialCache while unlocked.
+     * It is filled on first use and kept current by the writes above, so
+     * the vault is only decrypted once per unlock.
+     */
+    cached() {
+        if (!AppState.credentialCache) {
+            const pending = this.decryptAll();
+            AppState.credentialCache = pending;
+
+            // Try again next time rather than caching a failed read
+            pending.catch(() => {
+                if (AppState.credentialCache === pending) AppState.credentialCache = null;
+            });
+        }
+        return AppState.credentialCache;
+    },
+
+    /**
+     * Drop the decrypted vault, so the next read decrypts it again
+     */
+    clearCache() {
+        AppState.credentialCache = null;
+    },
+
+    /**
+     * Decrypt every record in parallel. Records are checked against the
+     * signed manifest and any mismatch is collected in
+     * AppState.integrityProblems.
+     */
+    async decryptAll() {
+        const vaultKey = AppState.vaultKey;
+        const records = await Storage.getAll(CONFIG.STORES.CREDENTIALS);
+        let problems = VaultIntegrity.check(records, await VaultIntegrity.load());
+        const results = await Promise.allSettled(records.map(record => this.open(record)));
+        const credentials = new Map();
+
+        results.forEach((result, i) => {
+            const { id } = records[i];
+
+            if (result.status === 'fulfilled') {
+                problems.filter(p => p.id === id).forEach(p => { p.name = result.value.name; });
+                credentials.set(id, result.value);
+            } else {
+                // Authentication fails if the ciphertext was moved to another
+                // id, its version was altered, or it was corrupted
+                problems = problems.filter(p => p.id !== id);
+                problems.push({ type: 'corrupt', id });
+            }
+        });
+
+        // The vault may have been locked while this ran
+        if (AppState.vaultKey === vaultKey) AppState.integrityProblems = problems;
+        return credentials;
+    },
+
+    /**
+     * Put records that were just written into the cache. They now match
+     * the manifest, so earlier problems with them no longer apply.
+     */
+    async cacheRecords(records) {
+        if (!AppState.credentialCache) return;
+
+        const cache = await AppState.credentialCache;
+        const credentials = await Promise.all(records.map(record => this.open(record)));
+        const ids = new Set(records.map(record => record.id));
+
+        credentials.forEach(credential => cache.set(credential._meta.id, credential));
+        AppState.integrityProblems = AppState.integrityProblems.filter(p => !ids.has(p.id));
+    },
+
+    /**
+     * Build the writes that re-encrypt every record from one key to another.
+     * Nothing is written here; pass the result to Storage.batch.
+     */
+    async reencryptOperations(fromKey, toKey) {
+        const records = await Storage.getAll(CONFIG.STORES.CREDENTIALS);
+        const operations = [];
+
+        for (const record of records) {
+            const credential = await CryptoUtils.decrypt(record.encrypted, fromKey);
+            operations.push({
+                type: 'put',
+                store: CONFIG.STORES.CREDENTIALS,
+                value: { ...record, encrypted: await CryptoUtils.encrypt(credential, toKey) }
+            });
+        }
+
+        return operations;
+    },
+
+    /**
+     * Re-seal records written before integrity protection at version 1 and
+     * sign the first manifest. Version 1.0.0 kept category, favorite,
+     * created and modified beside the ciphertext; those move inside it.
+     * Only runs on a vault with no versioned records, so a deleted manifest
+     * is reported rather than silently recreated.
+     */
+    async upgradeLegacyRecords() {
+        const records = await Storage.getAll(CONFIG.STORES.CREDENTIALS);
+        if (records.some(r => r.version !== undefined)) return;
+
+        const operations = [await VaultIntegrity.createKey()];
+        const entries = {};
+
+        for (const record of records) {
+            const payload = await CryptoUtils.decrypt(record.encrypted, AppState.vaultKey);
+            const { credential, meta } = 'category' in record
+                ? { credential: payload, meta: { favorite: record.favorite, created: record.created, modified: record.modified } }
+                : payload;
+
+            operations.push({
+                type: 'put',
+                store: CONFIG.STORES.CREDENTIALS,
+                value: await this.seal(record.id, 1, credential, meta)
+            });
+            entries[record.id] = 1;
+        }
+
+        operations.push(await VaultIntegrity.sign(entries));
+        await Storage.batch(operations);
+    },
+
+    /**
+     * Get credentials in a category or any category nested in it
+     */
+    async getByCategory(category) {
+        const all = await this.getAll();
+        if (category === 'all') return all;
+
+        const ids = Categories.subtree(category);
+        return all.filter(c => ids.includes(Categories.resolve(c.category)));
+    },
+
+    /**
+     * Search the credentials in a category ('all', 'trash' or a category
+     * id) with the SearchQuery syntax, best match first
+     */
+    async search(text, category = 'all') {
+        const credentials = category === 'trash' ? await this.getTrash() : await this.getByCategory(category);
+        const query = SearchQuery.parse(text);
+
+        return SearchQuery.run(query, credentials, await SearchQuery.context(query, credentials));
+    }
+};
+
+// ============================================
+// Search Queries
+// ============================================
+
+/**
+ * Search syntax for the credential list. A query is a list of words,
+ * "quoted phrases" and key:value filters, all of which must match; a
+ * leading - negates any of them. Words match fuzzily and rank the results,
+ * phrases match exactly, filters only include or exclude.
+ *
+ *   tag:prod category:work user:admin -is:favorite weak:true url:*.example.com
+ */
+const SearchQuery = {
+    // Yes/no properties, for is:<flag> and <flag>:true|false. Health flags
+    // are looked up in the report SearchQuery.context() builds.
+    FLAGS: {
+        favorite: { description: 'Marked as favorite', test: (c) => !!c._meta.favorite },
+        totp: { description: 'Has a two-factor secret', test: (c) => !!c.totp },
+        weak: { description: 'Password rated below Good', health: true },
+        reused: { description: 'Password used for another account', health: true },
+        breached: { description: 'Password found in the breach list', health: true },
+        old: { description: 'Password not changed recently', health: true }
+    },
+
+    FILTERS: {
+        tag: {
+            description: 'Has a tag',
+            test: (c, value) => (c.tags || []).some(tag => SearchQuery.like(tag, value, true))
+        },
+        category: {
+            description: 'In a category or one nested in it',
+            test: (c, value) => SearchQuery.categories(value).includes(Categories.resolve(c.category))
+        },
+        type: {
+            description: 'Credential type, such as card or ssh',
+            test: (c, value) => {
+                const template = CredentialTypes.get(c);
+                return SearchQuery.like(c.type || 'login', value, true) || SearchQuery.like(template.label, value, true);
+            }
+        },
+        user: {
+            description: 'Username contains',
+            test: (c, value) => SearchQuery.like(c.username, value)
+        },
+        url: {
+            description: 'Website matches, * matches anything',
+            test: (c, value) => SearchQuery.like(CredentialTypes.hostOf(c.website || ''), value) ||
+                SearchQuery.like(c.website, value)
+        },
+        name: {
+            description: 'Name contains',
+            test: (c, value) => SearchQuery.like(c.name, value)
+        },
+        notes: {
+            description: 'Notes contain',
+            test: (c, value) => SearchQuery.like(c.notes, value)
+        },
+        is: {
+            description: 'favorite, totp, weak, reused, breached or old',
+            test: (c, value, context) => SearchQuery.flag(value.toLowerCase(), c, context)
+        }
+    },
+
+    /**
+     * Split a query into { terms: [{ text, phrase, negated }],
+     * filters: [{ key, value, negated }] }. Unknown keys, such as the
+     * "https" of a pasted URL, are searched as words.
+     */
+    parse(text) {
+        const query = { terms: [], filters: [] };
+        const pattern = /(-?)(?:([a-z]+):(?=\S))?(?:"([^"]*)"?|(\S+))/gi;
+
+        for (const [raw, minus, key, quoted, word] of text.matchAll(pattern)) {
+            const negated = minus === '-';
+            const value = quoted !== undefined ? quoted : word;
+            const name = key && key.toLowerCase();
+
+            if (name && (this.FILTERS[name] || this.FLAGS[name])) {
+                if (value) query.filters.push({ key: name, value, negated });
+            } else if (!key && quoted !== undefined) {
+                if (value) query.terms.push({ text: value.toLowerCase(), phrase: true, negated });
+            } else if (raw !== '-' && !/^-?[a-z]+:$/i.test(raw)) {
+                query.terms.push({ text: (negated ? raw.slice(1) : raw).toLowerCase(), phrase: false, negated });
+            }
+        }
+        return query;
+    },
+
+    /**
+     * Whether any filter needs the password health report
+     */
+    needsHealth(query) {
+        return query.filters.some(({ key, value }) => {
+            const flag = this.FLAGS[key === 'is' ? value.toLowerCase() : key];
+            return !!flag && !!flag.health;
+        });
+    },
+
+    /**
+     * What flags such as weak:true are checked against: the ids of
+     * credentials with each health problem, taken from the whole vault so a
+     * password reused outside the current category still counts
+     */
+    async context(query, credentials) {
+        if (!this.needsHealth(query)) return { health: null };
+
+        const vault = await CredentialManager.getAll();
+        const ids = new Set(vault.map(c => c._meta.id));
+        const all = [...vault, ...credentials.filter(c => !ids.has(c._meta.id))];
+        const { passwordMaxAgeDays } = await Preferences.get();
+        try {
+            await Breaches.check(all);
+        } catch (error) {
+            console.error('Breach check failed:', error);
+        }
+
+        const report = PasswordHealth.analyze(all, { maxAgeDays: passwordMaxAgeDays, breaches: AppState.breaches });
+        const idsOf = (entries) => new Set(entries.map(entry => entry.credential._meta.id));
+        return {
+            health: {
+                weak: idsOf(report.weak),
+                breached: idsOf(report.breached),
+                old: idsOf(report.old),
+                reused: new Set(report.reused.flat().map(c => c._meta.id))
+            }
+        };
+    },
+
+    /**
+     * The credentials that match, best match first. Without search words
+     * every match ranks the same and favorites come first, then names.
+     */
+    run(query, credentials, context) {
+        return credentials
+            .map(credential => ({ credential, score: this.score(query, credential, context) }))
+            .filter(result => result.score !== null)
+            .sort((a, b) => b.score - a.score ||
+                (b.credential._meta.favorite ? 1 : 0) - (a.credential._meta.favorite ? 1 : 0) ||
+                a.credential.name.localeCompare(b.credential.name))
+            .map(result => result.credential);
+    },
+
+    /**
+     * Relevance of a credential to a query, or null if it does not match
+     */
+    score(query, credential, context) {
+        for (const { key, value, negated } of query.filters) {
+            const matched = this.FILTERS[key]
+                ? this.FILTERS[key].test(credential, value, context)
+                : this.flag(key, credential, context) === this.truth(value);
+            if (matched === negated) return null;
+        }
+
+        // Name counts most, then username, website and tags, then the rest
+        const fields = [
+            [3, (credential.name || '').toLowerCase()],
+            [2, (credential.username || '').toLowerCase()],
+            [2, (credential.website || '').toLowerCase()],
+            [2, (credential.tags || []).join(' ').toLowerCase()],
+            [1, CredentialTypes.searchText(credential)]
+        ];
+
+        let total = 0;
+        for (const term of query.terms) {
+            if (term.negated) {
+                if (fields.some(([, text]) => text.includes(term.text))) return null;
+                continue;
+            }
+            const best = Math.max(...fields.map(([weight, text]) => weight * this.fuzzy(text, term)));
+            if (best === 0) return null;
+            total += best;
+        }
+        return total;
+    },
+
+    /**
+     * How well a term matches text, from 0 (not at all) to 4. Substrings
+     * score higher at the start of a word and higher still for the whole
+     * text; words of three or more letters also match with gaps, as in
+     * "gthb" for "github", scoring less the more spread out they are.
+     */
+    fuzzy(text, { text: term, phrase }) {
+        const index = text.indexOf(term);
+        if (index >= 0) {
+            if (text === term) return 4;
+            return index === 0 || /[^a-z0-9]/.test(text[index - 1]) ? 3 : 2;
+        }
+        if (phrase || term.length < 3) return 0;
+
+        let first = -1;
+        let position = -1;
+        for (const char of term) {
+            position = text.indexOf(char, position + 1);
+            if (position < 0) return 0;
+            if (first < 0) first = position;
+        }
+        const span = position - first + 1;
+        return span <= term.length * 2 ? term.length / span : 0;
+    },
+
+    /**
+     * Compare a value with a filter pattern, ignoring case. A * in the
+     * pattern matches anything and the pattern must then match the whole
+     * value; otherwise the value must equal it, or contain it unless `exact`.
+     */
+    like(value, pattern, exact = false) {
+        if (!value) return false;
+        const text = String(value).toLowerCase();
+        const wanted = pattern.toLowerCase();
+
+        if (wanted.includes('*')) {
+            const source = wanted.split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+            return new RegExp(`^${source}$`).test(text);
+        }
+        return exact ? text === wanted : text.includes(wanted);
+    },
+
+    /**
+     * Ids of the categories a category: filter names, with everything
+     * nested in them
+     */
+    categories(value) {
+        return AppState.categories
+            .filter(category => this.like(category.name, value, true) || this.like(Categories.path(category.id), value, true) ||
+                category.id === value)
+            .flatMap(category => Categories.subtree(category.id));
+    },
+
+    flag(name, credential, context) {
+        const flag = this.FLAGS[name];
+        if (!flag) return false;
+        if (!flag.health) return flag.test(credential);
+        return !!context.health && context.health[name].has(credential._meta.id);
+    },
+
+    truth(value) {
+        return /^(true|yes|1)$/i.test(value);
+    },
+
+    /**
+     * Completions for the word before the cursor: filter keys while typing
+     * a key, and known values (tags, categories, types, flags) after one.
+     * Each is { label, description, start, insert } where `insert`
+     * replaces the text from `start` to the cursor.
+     */
+    suggest(before, { tags = [] } = {}) {
+        // The current word starts after the last space outside quotes
+        let start = 0;
+        let quoted = false;
+        for (let i = 0; i < before.length; i++) {
+            if (before[i] === '"') quoted = !quoted;
+            else if (/\s/.test(before[i]) && !quoted) start = i + 1;
+        }
+
+        const word = before.slice(start);
+        const minus = word.startsWith('-') ? '-' : '';
+        const match = word.slice(minus.length).match(/^([a-z]+):"?(.*)$/i);
+
+        if (!match) {
+            const prefix = word.slice(minus.length).toLowerCase();
+            return [...Object.entries(this.FILTERS), ...Object.entries(this.FLAGS)]
+                .filter(([key]) => key.startsWith(prefix) && key !== prefix)
+                .map(([key, { description }]) => ({ label: `${key}:`, description, start, insert: `${minus}${key}:` }));
+        }
+
+        const key = match[1].toLowerCase();
+        const prefix = match[2].toLowerCase();
+        let values;
+        if (key === 'tag') {
+            values = tags.map(tag => [tag, '']);
+        } else if (key === 'category') {
+            values = Categories.tree().map(({ category }) => [Categories.path(category.id), '']);
+        } else if (key === 'type') {
+            values = Object.entries(CREDENTIAL_TYPES).map(([type, template]) => [type, template.label]);
+        } else if (key === 'is') {
+            values = Object.entries(this.FLAGS).map(([flag, { description }]) => [flag, description]);
+        } else if (this.FLAGS[key]) {
+            values = [['true', ''], ['false', '']];
+        } else {
+            return [];
+        }
+
+        return values
+            .filter(([value]) => value.toLowerCase().startsWith(prefix) && value.toLowerCase() !== prefix)
+            .map(([value, description]) => ({
+                label: this.filter(key, value), description, start, insert: `${minus}${this.filter(key, value)} `
+            }));
+    },
+
+    /**
+     * A key:value filter, quoting values with spaces
+     */
+    filter(key, value) {
+        return /[\s"]/.test(value) ? `${key}:"${value.replace(/"/g, '')}"` : `${key}:${value}`;
+    }
+};
+
+// ============================================
+// CSV (RFC 4180)
+// ============================================
+
+const Csv = {
+    /**
+     * Parse CSV text into rows of cells. Handles quoted commas, line breaks
+     * and doubled quotes, CRLF or LF line endings and a leading byte order mark.
+     */
+    parse(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+        let line = 1;
+        let quoteLine = 1;
+        let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+        const endRow = () => {
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        };
+
+        for (; i < text.length; i++) {
+            const char = text[i];
+
+            if (quoted) {
+                if (char !== '"') {
+                    if (char === '\n') line++;
+                    cell += char;
+                } else if (text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else {
+                    quoted = false;
+                    const next = text[i + 1];
+                    if (next !== undefined && next !== ',' && next !== '\r' && next !== '\n') {
+                        throw new Error(`CSV line ${line}: unexpected text after a closing quote`);
+                    }
+                }
+            } else if (char === '"' && cell === '') {
+                quoted = true;
+                quoteLine = line;
+            } else if (char === ',') {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\r' || char === '\n') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                line++;
+                endRow();
+            } else {
+                // A quote inside an unquoted field is kept literally, as most spreadsheets do
+                cell += char;
+            }
+        }
+
+        if (quoted) {
+            throw new Error(`CSV line ${quoteLine}: quoted field is never closed`);
+        }
+        // A final line break does not start another row
+        if (cell !== '' || row.length) {
+            endRow();
+        }
+        return rows;
+    },
+
+    /**
+     * Serialise rows of values, quoting every cell
+     */
+    stringify(rows) {
+        return rows.map(row => row.map(value => this.cell(value)).join(',')).join('\r\n') + '\r\n';
+    },
+
+    /**
+     * Quote a CSV value
+     */
+    cell(value) {
+        return `"${String(value ?? '').replace(/"/g, '""')}"`;
+    }
+};
+
+// ============================================
+// Importers
+// ============================================
+
+/**
+ * Readers for other password managers' exports. Each format detects its own
+ * files and parses them into items: either { credential } shaped like the
+ * credential form's output, or { name, reason } for an entry left out.
+ */
+const Importers = {
+    // Keywords matched against folder, group and item names to pick a category
+    CATEGORY_HINTS: {
+        social: ['social', 'facebook', 'twitter', 'instagram', 'linkedin', 'reddit', 'mastodon', 'discord', 'tiktok'],
+        email: ['email', 'e-mail', 'mail', 'outlook', 'proton'],
+        banking: ['bank', 'finance', 'financial', 'money', 'paypal', 'credit', 'invest', 'tax'],
+        shopping: ['shop', 'store', 'amazon', 'ebay', 'etsy', 'retail'],
+        work: ['work', 'business', 'office', 'corp', 'slack', 'jira', 'atlassian']
+    },
+
+    // Fields a CSV column can be matched to, and header names that match them
+    COLUMN_TARGETS: {
+        '': 'Ignore',
+        name: 'Name',
+        username: 'Email / Username',
+        password: 'Password',
+        website: 'Website',
+        totp: 'Two-Factor Secret',
+        notes: 'Notes',
+        category: 'Category / Folder',
+        tags: 'Tags',
+        favorite: 'Favorite',
+        custom: 'Custom Field'
+    },
+
+    COLUMN_HINTS: {
+        name: ['name', 'title', 'account', 'accountname', 'item', 'entry', 'service'],
+        username: ['username', 'user', 'login', 'loginname', 'loginusername', 'email', 'emailaddress', 'userid'],
+        password: ['password', 'pass', 'passwd', 'pwd', 'loginpassword'],
+        website: ['url', 'website', 'site', 'uri', 'loginuri', 'loginurl', 'weburl', 'address', 'domain', 'hostname'],
+        totp: ['totp', 'otp', 'otpauth', '2fa', 'mfa', 'onetimepassword', 'authenticator', 'logintotp'],
+        notes: ['notes', 'note', 'extra', 'comment', 'comments', 'description'],
+        category: ['category', 'folder', 'group', 'grouping', 'collection'],
+        tags: ['tags', 'tag', 'labels', 'label', 'keywords'],
+        favorite: ['favorite', 'favourite', 'fav', 'starred']
+    },
+
+    // Passphrase prompt for locked files, unless the format has its own
+    PASSPHRASE_PROMPT: {
+        label: 'Backup Passphrase',
+        hint: 'This backup is encrypted. Enter the passphrase chosen when it was exported.'
+    },
+
+    MONTHS: ['january', 'february', 'march', 'april', 'may', 'june', 'july',
+        'august', 'september', 'october', 'november', 'december'],
+
+    formats: {
+        credentialsaverSnapshot: {
+            label: 'CredentialSaver Snapshot',
+            // Shown when the snapshot was taken in another vault
+            prompt: {
+                label: 'Master Password',
+                hint: 'This snapshot was taken in another vault. Enter the master password that vault had when the snapshot was taken.'
+            },
+            detect(input) {
+                const json = Importers.json(input);
+                return !!json && json.format === CONFIG.BACKUP.FORMAT;
+            },
+            // Snapshots taken in this vault open with its key
+            async locked(input) {
+                try {
+                    input.snapshot = await Backups.decrypt(Importers.json(input));
+                    return false;
+                } catch {
+                    return true;
+                }
+            },
+            async parse(input, { passphrase }) {
+                const credentials = input.snapshot || await Backups.decrypt(Importers.json(input), passphrase);
+                return credentials.map(({ _meta, ...credential }) => ({
+                    credential,
+                    meta: { created: _meta.created, modified: _meta.modified }
+                }));
+            }
+        },
+        credentialsaver: {
+            label: 'CredentialSaver JSON',
+            detect(input) {
+                const json = Importers.json(input);
+                return !!json && (Array.isArray(json) || ('version' in json && 'data' in json));
+            },
+            // Passphrase-encrypted backups cannot be previewed until the passphrase is entered
+            locked(input) {
+                const json = Importers.json(input);
+                return !!json.encrypted && !!json.kdf;
+            },
+            async parse(input, { passphrase }) {
+                const json = Importers.json(input);
+                let credentials;
+
+                if (json.encrypted) {
+                    credentials = await ImportExport.decryptBackup(json, passphrase);
+                } else if (Array.isArray(json.data)) {
+                    credentials = json.data;
+                } else if (Array.isArray(json)) {
+                    credentials = json;
+                } else {
+                    throw new Error('Invalid import format');
+                }
+
+                return credentials.map(({ _meta, ...credential }) => ({
+                    credential,
+                    meta: _meta ? { created: _meta.created, modified: _meta.modified } : undefined
+                }));
+            }
+        },
+
+        credentialsaverCsv: {
+            label: 'CredentialSaver CSV',
+            detect(input) {
+                const csv = Importers.csv(input);
+                return !!csv && ['name', 'type', 'custom fields', 'created', 'modified'].every(h => csv.headers.includes(h));
+            },
+            async parse(input) {
+                const columns = CredentialTypes.columns();
+                // Policies are exported by name; one this vault does not have is dropped
+                const policies = new Map((await PasswordPolicies.list()).map(p => [p.name.toLowerCase(), p.id]));
+
+                return Importers.csv(input).rows.map(row => {
+                    const credential = {
+                        type: row.type,
+                        name: row.name,
+                        category: row.category,
+                        tags: row.tags,
+                        policyId: policies.get((row.policy || '').trim().toLowerCase()),
+                        notes: row.notes,
+                        favorite: row.favorite === 'true'
+                    };
+                    for (const column of columns) {
+                        credential[column.key] = row[column.header.toLowerCase()];
+                    }
+
+                    try {
+                        credential.customFields = row['custom fields'] ? JSON.parse(row['custom fields']) : [];
+                    } catch {
+                        return { name: row.name, reason: 'Custom Fields column is not valid JSON' };
+                    }
+
+                    return {
+                        credential,
+                        meta: { created: Date.parse(row.created) || undefined, modified: Date.parse(row.modified) || undefined }
+                    };
+                });
+            }
+        },
+
+        bitwarden: {
+            label: 'Bitwarden JSON',
+            detect(input) {
+                const json = Importers.json(input);
+                return !!json && Array.isArray(json.items) && 'encrypted' in json;
+            },
+            parse(input) {
+                const json = Importers.json(input);
+                if (json.encrypted) {
+                    throw new Error('Encrypted Bitwarden exports cannot be read. Export as unencrypted JSON instead.');
+                }
+
+                const folders = new Map((json.folders || []).map(f => [f.id, f.name]));
+
+                return json.items.map(item => {
+                    const folder = folders.get(item.folderId);
+                    const base = {
+                        name: item.name,
+                        notes: item.notes,
+                        favorite: !!item.favorite,
+                        customFields: (item.fields || [])
+                            .filter(f => f.type !== 3)
+                            .map(f => ({ label: f.name, type: f.type === 1 ? 'hidden' : 'text', value: f.value }))
+                    };
+
+                    switch (item.type) {
+                        case 1: {
+                            const login = item.login || {};
+                            const website = (login.uris || []).map(u => u.uri).find(Boolean);
+                            return {
+                                credential: {
+                                    ...base,
+                                    type: 'login',
+                                    username: login.username,
+                                    password: login.password,
+                                    website,
+                                    totp: login.totp,
+                                    category: Importers.guessCategory(folder, item.name, website)
+                                }
+                            };
+                        }
+                        case 2:
+                            return { credential: { ...base, type: 'note', category: Importers.guessCategory(folder, item.name) } };
+                        case 3: {
+                            const card = item.card || {};
+                            return {
+                                credential: {
+                                    ...base,
+                                    type: 'card',
+                                    cardholder: card.cardholderName,
+                                    number: card.number,
+                                    expiry: Importers.expiry(card.expMonth, card.expYear),
+                                    cvv: card.code,
+                                    category: 'banking'
+                                }
+                            };
+                        }
+                        case 5: {
+                            const key = item.sshKey || {};
+                            return {
+                                credential: {
+                                    ...base,
+                                    type: 'ssh',
+                                    privateKey: key.privateKey,
+                                    publicKey: key.publicKey,
+                                    category: Importers.guessCategory(folder, item.name)
+                                }
+                            };
+                        }
+                        default:
+                            return {
+                                name: item.name,
+                                reason: item.type === 4 ? 'Identities are not supported' : 'Unknown Bitwarden item type'
+                            };
+                    }
+                });
+            }
+        },
+
+        onepux: {
+            label: '1Password 1PUX',
+            detect(input) {
+                return input.name.endsWith('.1pux');
+            },
+            async parse(input) {
+                const data = JSON.parse(new TextDecoder().decode(await Importers.unzip(input.bytes, 'export.data')));
+                const items = [];
+
+                for (const account of data.accounts || []) {
+                    for (const vault of account.vaults || []) {
+                        for (const item of vault.items || []) {
+                            items.push(Importers.onePasswordItem(item, vault.attrs && vault.attrs.name));
+                        }
+                    }
+                }
+
+                return items;
+            }
+        },
+
+        onepasswordCsv: {
+            label: '1Password CSV',
+            detect(input) {
+                const csv = Importers.csv(input);
+                return !!csv && ['title', 'url', 'username', 'password', 'otpauth'].every(h => csv.headers.includes(h));
+            },
+            parse(input) {
+                return Importers.csv(input).rows.map(row => {
+                    if (row.archived === 'true') {
+                        return { name: row.title, reason: 'Archived in 1Password' };
+                    }
+                    return {
+                        credential: {
+                            type: 'login',
+                            name: row.title,
+                            username: row.username,
+                            password: row.password,
+                            website: row.url,
+                            totp: row.otpauth,
+                            notes: row.notes,
+                            favorite: row.favorite === 'true',
+                            category: Importers.guessCategory(...(row.tags || '').split(','), row.title, row.url),
+                            tags: row.tags
+                        }
+                    };
+                });
+            }
+        },
+
+        keepass: {
+            label: 'KeePass XML',
+            detect(input) {
+                return !!input.text && /<KeePassFile[\s>]/.test(input.text);
+            },
+            parse(input) {
+                const doc = new DOMParser().parseFromString(input.text, 'application/xml');
+                if (doc.getElementsByTagName('parsererror').length) {
+                    throw new Error('KeePass file is not valid XML');
+                }
+
+                const child = (node, tag) => Array.from(node.children).find(c => c.tagName === tag);
+                const children = (node, tag) => Array.from(node.children).filter(c => c.tagName === tag);
+                const meta = child(doc.documentElement, 'Meta');
+                const recycleBin = meta && child(meta, 'RecycleBinUUID') ? child(meta, 'RecycleBinUUID').textContent : null;
+                const items = [];
+
+                const walk = (group, path) => {
+                    const uuid = child(group, 'UUID');
+                    const name = child(group, 'Name') ? child(group, 'Name').textContent : '';
+                    const inBin = uuid && uuid.textContent === recycleBin;
+
+                    for (const entry of children(group, 'Entry')) {
+                        const strings = children(entry, 'String').map(s => ({
+                            key: child(s, 'Key').textContent,
+                            value: child(s, 'Value') ? child(s, 'Value').textContent : '',
+                            hidden: child(s, 'Value') && child(s, 'Value').getAttribute('ProtectInMemory') === 'True'
+                        }));
+                        const get = (key) => (strings.find(s => s.key === key) || {}).value;
+                        const title = get('Title') || '';
+
+                        if (inBin) {
+                            items.push({ name: title, reason: 'In the KeePass recycle bin' });
+                            continue;
+                        }
+
+                        const standard = ['Title', 'UserName', 'Password', 'URL', 'Notes', 'otp', 'TOTP Seed', 'TOTP Settings'];
+                        items.push({
+                            credential: {
+                                type: 'login',
+                                name: title,
+                                username: get('UserName'),
+                                password: get('Password'),
+                                website: get('URL'),
+                                totp: get('otp') || get('TOTP Seed'),
+                                notes: get('Notes'),
+                                category: Importers.guessCategory([...path.slice(1), name].join(Categories.PATH_SEPARATOR),
+                                    name, ...path.slice().reverse(), title, get('URL')),
+                                customFields: strings
+                                    .filter(s => !standard.includes(s.key))
+                                    .map(s => ({ label: s.key, type: s.hidden ? 'hidden' : 'text', value: s.value }))
+                            }
+                        });
+                    }
+
+                    for (const sub of children(group, 'Group')) {
+                        walk(sub, [...path, name]);
+                    }
+                };
+
+                const root = child(doc.documentElement, 'Root');
+                for (const group of root ? children(root, 'Group') : []) {
+                    walk(group, []);
+                }
+                return items;
+            }
+        },
+
+        lastpass: {
+            label: 'LastPass CSV',
+            detect(input) {
+                const csv = Importers.csv(input);
+                return !!csv && ['url', 'username', 'password', 'extra', 'name', 'grouping'].every(h => csv.headers.includes(h));
+            },
+            parse(input) {
+                return Importers.csv(input).rows.map(row => {
+                    const base = {
+                        name: row.name,
+                        favorite: row.fav === '1',
+                        category: Importers.guessCategory((row.grouping || '').split('\\').join(Categories.PATH_SEPARATOR),
+                            ...(row.grouping || '').split('\\').reverse(), row.name, row.url)
+                    };
+
+                    if (row.url === 'http://sn') {
+                        return { credential: Importers.lastPassNote(row.extra || '', base) };
+                    }
+                    return {
+                        credential: {
+                            ...base,
+                            type: 'login',
+                            username: row.username,
+                            password: row.password,
+                            website: row.url,
+                            totp: row.totp,
+                            notes: row.extra
+                        }
+                    };
+                });
+            }
+        },
+
+        browser: {
+            label: 'Chrome / Firefox CSV',
+            detect(input) {
+                const csv = Importers.csv(input);
+                return !!csv && ['url', 'username', 'password'].every(h => csv.headers.includes(h))
+                    && (csv.headers.includes('name') || csv.headers.includes('httprealm'));
+            },
+            parse(input) {
+                return Importers.csv(input).rows.map(row => {
+                    const host = CredentialTypes.hostOf(row.url);
+                    return {
+                        credential: {
+                            type: 'login',
+                            name: row.name || host || row.url,
+                            username: row.username,
+                            password: row.password,
+                            website: row.url,
+                            notes: row.note,
+                            category: Importers.guessCategory(row.name, host)
+                        }
+                    };
+                });
+            }
+        },
+
+        // Any other CSV with a header row; columns are matched to fields by name and can be changed
+        csv: {
+            label: 'Other CSV (match columns)',
+            detect(input) {
+                return !!Importers.csv(input) || !!input.csvError;
+            },
+            columns(input) {
+                const used = new Set();
+                return Importers.csv(input).header.map(header => {
+                    const normalized = header.toLowerCase().replace(/[^a-z0-9]/g, '');
+                    const match = Object.entries(Importers.COLUMN_HINTS)
+                        .find(([target, names]) => !used.has(target) && names.includes(normalized));
+                    if (match) used.add(match[0]);
+                    return { header, target: match ? match[0] : 'custom' };
+                });
+            },
+            parse(input, { columns }) {
+                const csv = Importers.csv(input);
+                if (!csv) throw input.csvError;
+
+                return csv.records.map(record => {
+                    const credential = { type: 'login', customFields: [] };
+                    let folder;
+
+                    columns.forEach(({ header, target }, i) => {
+                        const value = record[i];
+                        if (!value || !target) return;
+
+                        if (target === 'custom') {
+                            credential.customFields.push({ label: header.trim() || `Column ${i + 1}`, type: 'text', value });
+                        } else if (target === 'category') {
+                            folder = value;
+                        } else if (target === 'favorite') {
+                            credential.favorite = /^(1|true|yes|y)$/i.test(value.trim());
+                        } else {
+                            credential[target] = value;
+                        }
+                    });
+
+                    credential.category = Importers.guessCategory(folder, credential.name, credential.website);
+                    return { credential };
+                });
+            }
+        }
+    },
+
+    /**
+     * Read a dropped or chosen file into the input the formats inspect
+     */
+    async read(file) {
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        const zipped = bytes[0] === 0x50 && bytes[1] === 0x4b;
+        return {
+            name: file.name.toLowerCase(),
+            bytes,
+            text: zipped ? null : new TextDecoder().decode(bytes)
+        };
+    },
+
+    /**
+     * Find the first format that recognises the input
+     */
+    detect(input) {
+        return Object.entries(this.formats).find(([, format]) => format.detect(input)) || null;
+    },
+
+    /**
+     * Parsed JSON of the input, or null if it is not JSON
+     */
+    json(input) {
+        if (input.json === undefined) {
+            try {
+                input.json = input.text ? JSON.parse(input.text) : null;
+            } catch {
+                input.json = null;
+            }
+        }
+        return input.json;
+    },
+
+    /**
+     * Rows of a CSV input keyed by lower-cased header, or null if it is not
+     * CSV. `records` keeps the raw cells for column mapping.
+     */
+    csv(input) {
+        if (input.csv === undefined) {
+            input.csv = null;
+            if (input.text && !input.name.endsWith('.json') && !input.name.endsWith('.xml')) {
+                try {
+                    const [header, ...records] = Csv.parse(input.text);
+                    if (header && header.length > 1) {
+                        const headers = header.map(h => h.trim().toLowerCase());
+                        const filled = records.filter(record => record.some(Boolean));
+                        input.csv = {
+                            header,
+                            headers,
+                            records: filled,
+                            rows: filled.map(record => Object.fromEntries(headers.map((h, i) => [h, record[i] || ''])))
+                        };
+                    }
+                } catch (error) {
+                    input.csvError = error;
+                }
+            }
+        }
+        return input.csv;
+    },
+
+    /**
+     * Extract one file from a zip archive
+     */
+    async unzip(bytes, fileName) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+        // The central directory is located by the end record at the tail of the archive
+        let end = -1;
+        for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+            if (view.getUint32(i, true) === 0x06054b50) {
+                end = i;
+                break;
+            }
+        }
+        if (end < 0) throw new Error('File is not a zip archive');
+
+        let offset = view.getUint32(end + 16, true);
+        for (let n = view.getUint16(end + 10, true); n > 0; n--) {
+            if (view.getUint32(offset, true) !== 0x02014b50) throw new Error('Zip archive is damaged');
+
+            const method = view.getUint16(offset + 10, true);
+            const size = view.getUint32(offset + 20, true);
+            const nameLength = view.getUint16(offset + 28, true);
+            const local = view.getUint32(offset + 42, true);
+            const name = new TextDecoder().decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+            if (name === fileName) {
+                const start = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+                const data = bytes.subarray(start, start + size);
+
+                if (method === 0) return data;
+                if (method !== 8) throw new Error(`Unsupported zip compression method ${method}`);
+                if (typeof DecompressionStream === 'undefined') {
+                    throw new Error('This browser cannot unpack zip archives');
+                }
+
+                const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+                return new Uint8Array(await new Response(stream).arrayBuffer());
+            }
+
+            offset += 46 + nameLength + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+        }
+
+        throw new Error(`${fileName} not found in archive`);
+    },
+
+    /**
+     * Map a 1Password item onto a credential type
+     */
+    onePasswordItem(item, vaultName) {
+        const overview = item.overview || {};
+        const details = item.details || {};
+        const name = overview.title;
+
+        if (item.state === 'archived') {
+            return { name, reason: 'Archived in 1Password' };
+        }
+
+        // Section fields carry a single typed value, e.g. { concealed: '…' } or { monthYear: 202901 }
+        const fields = (details.sections || []).flatMap(s => s.fields || []).map(field => {
+            const [kind, value] = Object.entries(field.value || {})[0] || [];
+            let text = value;
+            if (kind === 'monthYear' && value) text = Importers.expiry(value % 100, Math.floor(value / 100));
+            if (kind === 'date' && value) text = new Date(value * 1000).toISOString().split('T')[0];
+            if (kind === 'email' && value) text = value.email_address;
+            if (kind === 'sshKey' && value) text = value.privateKey;
+            return { id: field.id, title: field.title, kind, value: text == null ? '' : String(text) };
+        });
+
+        const used = new Set();
+        const take = (id) => {
+            const field = fields.find(f => f.id === id);
+            if (!field) return undefined;
+            used.add(field);
+            return field.value;
+        };
+        const rest = () => fields
+            .filter(f => !used.has(f) && f.value)
+            .map(f => ({
+                label: f.title || f.id,
+                type: f.kind === 'concealed' ? 'hidden' : (f.kind === 'url' ? 'url' : 'text'),
+                value: f.value
+            }));
+
+        const base = {
+            name,
+            notes: details.notesPlain,
+            favorite: !!item.favIndex,
+            category: Importers.guessCategory(...(overview.tags || []), vaultName, name, overview.url),
+            tags: overview.tags
+        };
+
+        switch (item.categoryUuid) {
+            case '001':
+            case '005': {
+                const login = (designation) => ((details.loginFields || []).find(f => f.designation === designation) || {}).value;
+                const totp = fields.find(f => f.kind === 'totp');
+                if (totp) used.add(totp);
+                return {
+                    credential: {
+                        ...base,
+                        type: 'login',
+                        username: login('username'),
+                        password: login('password') || details.password,
+                        website: overview.url,
+                        totp: totp && totp.value,
+                        customFields: rest()
+                    }
+                };
+            }
+            case '002':
+                return {
+                    credential: {
+                        ...base,
+                        type: 'card',
+                        cardholder: take('cardholder'),
+                        number: take('ccnum'),
+                        expiry: take('expiry'),
+                        cvv: take('cvv'),
+                        pin: take('pin'),
+                        category: 'banking',
+                        customFields: rest()
+                    }
+                };
+            case '003':
+                return { credential: { ...base, type: 'note', customFields: rest() } };
+            case '109':
+                return {
+                    credential: {
+                        ...base,
+                        type: 'wifi',
+                        ssid: take('network_name'),
+                        password: take('wireless_password'),
+                        security: Importers.wifiSecurity(take('wireless_security')),
+                        customFields: rest()
+                    }
+                };
+            case '112':
+                return {
+                    credential: {
+                        ...base,
+                        type: 'api',
+                        token: take('credential'),
+                        website: Importers.url(take('hostname')),
+                        expires: take('expires'),
+                        customFields: rest()
+                    }
+                };
+            case '114':
+                return {
+                    credential: {
+                        ...base,
+                        type: 'ssh',
+                        privateKey: take('private_key'),
+                        customFields: rest()
+                    }
+                };
+            default:
+                return { name, reason: 'This 1Password item type is not supported' };
+        }
+    },
+
+    /**
+     * Map a LastPass secure note onto a credential type using its NoteType
+     */
+    lastPassNote(extra, base) {
+        if (!extra.startsWith('NoteType:')) {
+            return { ...base, type: 'note', notes: extra };
+        }
+
+        // "Key:Value" lines; lines without a key continue the previous value
+        const values = {};
+        let key = null;
+        for (const line of extra.split('\n')) {
+            const match = key !== 'Notes' && line.match(/^([A-Za-z][A-Za-z0-9 .()/-]*):(.*)$/);
+            if (match) {
+                key = match[1];
+                values[key] = match[2];
+            } else if (key) {
+                values[key] += '\n' + line;
+            }
+        }
+
+        const take = (name) => {
+            const value = values[name];
+            delete values[name];
+            return value;
+        };
+        const noteType = take('NoteType');
+        const notes = take('Notes');
+        // Empty dates are exported as a bare comma
+        const rest = () => Object.entries(values)
+            .filter(([, value]) => value.replace(/,/g, '').trim())
+            .map(([label, value]) => ({
+                label,
+                type: /password|passphrase|pin|code|key/i.test(label) ? 'hidden' : 'text',
+                value
+            }));
+
+        switch (noteType) {
+            case 'Credit Card': {
+                const [month, year] = (take('Expiration Date') || '').split(',');
+                return {
+                    ...base,
+                    type: 'card',
+                    cardholder: take('Name on Card'),
+                    number: take('Number'),
+                    expiry: Importers.expiry(Importers.MONTHS.indexOf((month || '').toLowerCase()) + 1, year),
+                    cvv: take('Security Code'),
+                    category: 'banking',
+                    notes,
+                    customFields: rest()
+                };
+            }
+            case 'Wi-Fi Password':
+                return {
+                    ...base,
+                    type: 'wifi',
+                    ssid: take('SSID'),
+                    password: take('Password'),
+                    security: Importers.wifiSecurity(take('Authentication')),
+                    notes,
+                    customFields: rest()
+                };
+            case 'SSH Key':
+                return {
+                    ...base,
+                    type: 'ssh',
+                    host: take('Hostname'),
+                    privateKey: take('Private Key'),
+                    publicKey: take('Public Key'),
+                    passphrase: take('Passphrase'),
+                    notes,
+                    customFields: rest()
+                };
+            default:
+                return {
+                    ...base,
+                    type: 'note',
+                    notes: notes || noteType,
+                    customFields: rest()
+                };
+        }
+    },
+
+    /**
+     * Add a scheme to bare host names
+     */
+    url(value) {
+        return value && !/^[a-z][a-z0-9+.-]*:/i.test(value) ? `https://${value}` : value;
+    },
+
+    /**
+     * Format a month and year as MM/YY
+     */
+    expiry(month, year) {
+        if (!month || !year) return undefined;
+        return `${String(month).padStart(2, '0')}/${String(year).slice(-2)}`;
+    },
+
+    /**
+     * Map a security label such as "wpa2_personal" or "WPA2-PSK" onto our options
+     */
+    wifiSecurity(value) {
+        const text = (value || '').toUpperCase();
+        const match = ['WPA3', 'WPA2', 'WPA', 'WEP'].find(option => text.includes(option));
+        if (match) return match;
+        return /NONE|OPEN/.test(text) ? 'None' : undefined;
+    },
+
+    /**
+     * Pick a category from folder names, titles and URLs, most specific first.
+     * Folders named after one of the vault's categories go straight to it;
+     * otherwise keywords suggest one of the default categories, if it still
+     * exists.
+     */
+    guessCategory(...hints) {
+        for (const hint of hints.filter(Boolean).map(h => String(h).trim())) {
+            const named = Categories.find(hint);
+            if (named) return named;
+
+            const matched = Object.entries(this.CATEGORY_HINTS)
+                .find(([key, words]) => Categories.get(key) && words.some(w => hint.toLowerCase().includes(w)));
+            if (matched) return matched[0];
+        }
+        return Categories.FALLBACK;
+    },
+
+    /**
+     * Drop empty values and move optional values the type rejects into custom
+     * fields so nothing is lost. Returns an error if the credential is unusable.
+     */
+    normalize(credential) {
+        const template = CredentialTypes.get(credential);
+        const customFields = (credential.customFields || [])
+            .filter(f => f.value)
+            .map(f => ({
+                label: f.label || 'Field',
+                type: CUSTOM_FIELD_TYPES[f.type] && !CredentialTypes.checkKind(f.type, f.value) ? f.type : 'text',
+                value: String(f.value)
+            }));
+
+        for (const [key, value] of Object.entries(credential)) {
+            if (value === undefined || value === null || value === '') delete credential[key];
+        }
+
+        for (const field of template.fields) {
+            const value = credential[field.key];
+            if (!value || field.required) continue;
+
+            const error = field.validate ? field.validate(value) : CredentialTypes.checkKind(field.kind, value);
+            if (error) {
+                customFields.push({ label: field.label, type: field.kind === 'hidden' ? 'hidden' : 'text', value });
+                delete credential[field.key];
+            }
+        }
+
+        credential.name = credential.name || 'Untitled';
+        credential.category = (credential.category && Categories.find(credential.category)) || Categories.FALLBACK;
+        credential.tags = Tags.parse(credential.tags);
+        credential.customFields = customFields;
+        credential.favorite = !!credential.favorite;
+
+        return CredentialTypes.validate(credential);
+    }
+};
+
+// ============================================
+// KeePass KDBX 4 Export
+// ============================================
+
+/**
+ * Writer for KDBX 4 databases (KeePass 2.35+, KeePassXC 2.3+): AES-256-CBC
+ * payload, AES-KDF or Argon2d key derivation, HMAC-SHA-256 block stream and
+ * ChaCha20 protection for hidden values inside the XML.
+ */
+const Kdbx = {
+    SIGNATURE: [0x9aa2d903, 0xb54bfb67],
+    VERSION: 0x00040000,
+    CIPHER_AES256: '31c1f2e6-bf71-4350-be58-05216afc5aff',
+    KDF_UUIDS: {
+        aes: 'c9d9f39a-628a-4460-bf74-0d08c18a4fea',
+        argon2d: 'ef636ddf-8c29-444b-91f7-a9a403e30a0c'
+    },
+    // Outer and inner header field ids
+    HEADER: { END: 0, CIPHER: 2, COMPRESSION: 3, MASTER_SEED: 4, IV: 7, KDF: 11 },
+    INNER: { END: 0, STREAM_ID: 1, STREAM_KEY: 2 },
+    STREAM_CHACHA20: 3,
+    BLOCK_SIZE: 1024 * 1024,
+    // Seconds between 0001-01-01 (the KDBX epoch) and 1970-01-01
+    EPOCH_OFFSET: 62135596800,
+
+    /**
+     * Build a KDBX 4 file from credentials, protected by a password.
+     * `kdf` is { name: 'aes', rounds } or { name: 'argon2d', memory (KiB), iterations, parallelism }.
+     */
+    async build(credentials, password, kdf) {
+        const random = (length) => crypto.getRandomValues(new Uint8Array(length));
+        const masterSeed = random(32);
+        const iv = random(16);
+        const kdfSeed = random(32);
+        const streamKey = random(64);
+
+        const kdfParameters = kdf.name === 'argon2d'
+            ? this.variantDictionary([
+                ['$UUID', 'bytes', this.uuidBytes(this.KDF_UUIDS.argon2d)],
+                ['S', 'bytes', kdfSeed],
+                ['P', 'uint32', kdf.parallelism],
+                ['M', 'uint64', kdf.memory * 1024],
+                ['I', 'uint64', kdf.iterations],
+                ['V', 'uint32', 0x13]
+            ])
+            : this.variantDictionary([
+                ['$UUID', 'bytes', this.uuidBytes(this.KDF_UUIDS.aes)],
+                ['R', 'uint64', kdf.rounds],
+                ['S', 'bytes', kdfSeed]
+            ]);
+
+        const header = this.concat([
+            this.uint32(this.SIGNATURE[0]),
+            this.uint32(this.SIGNATURE[1]),
+            this.uint32(this.VERSION),
+            this.field(this.HEADER.CIPHER, this.uuidBytes(this.CIPHER_AES256)),
+            this.field(this.HEADER.COMPRESSION, this.uint32(0)),
+            this.field(this.HEADER.MASTER_SEED, masterSeed),
+            this.field(this.HEADER.IV, iv),
+            this.field(this.HEADER.KDF, kdfParameters),
+            this.field(this.HEADER.END, new TextEncoder().encode('\r\n\r\n'))
+        ]);
+
+        const transformed = await this.transformKey(await this.compositeKey(password), kdf, kdfSeed);
+        const encryptionKey = await this.sha256(this.concat([masterSeed, transformed]));
+        const hmacKey = await this.sha512(this.concat([masterSeed, transformed, new Uint8Array([1])]));
+
+        const streamHash = await this.sha512(streamKey);
+        const stream = this.chacha20(streamHash.slice(0, 32), streamHash.slice(32, 44));
+        const innerHeader = this.concat([
+            this.field(this.INNER.STREAM_ID, this.uint32(this.STREAM_CHACHA20)),
+            this.field(this.INNER.STREAM_KEY, streamKey),
+            this.field(this.INNER.END, new Uint8Array(0))
+        ]);
+        const xml = new TextEncoder().encode(this.xml(credentials, stream));
+
+        const aesKey = await crypto.subtle.importKey('raw', encryptionKey, 'AES-CBC', false, ['encrypt']);
+        const payload = new Uint8Array(await crypto.subtle.encrypt(
+            { name: 'AES-CBC', iv }, aesKey, this.concat([innerHeader, xml])));
+
+        return this.concat([
+            header,
+            await this.sha256(header),
+            await this.hmac(await this.blockKey(hmacKey, 0xffffffffffffffffn), header),
+            await this.hmacBlocks(payload, hmacKey)
+        ]);
+    },
+
+    /**
+     * Composite key for a password-only database: SHA-256(SHA-256(password))
+     */
+    async compositeKey(password) {
+        return this.sha256(await this.sha256(new TextEncoder().encode(password)));
+    },
+
+    /**
+     * Run the key derivation function over the composite key
+     */
+    async transformKey(composite, kdf, seed) {
+        if (kdf.name === 'argon2d') {
+            if (typeof hashwasm === 'undefined') {
+                throw new Error('Argon2 is not available');
+            }
+            return hashwasm.argon2d({
+                password: composite,
+                salt: seed,
+                parallelism: kdf.parallelism,
+                iterations: kdf.iterations,
+                memorySize: kdf.memory,
+                hashLength: 32,
+                outputType: 'binary'
+            });
+        }
+
+        // AES-KDF encrypts each half of the key with AES-256-ECB `rounds` times.
+        // Web Crypto has no ECB, but CBC over zero blocks with the half as IV
+        // produces the same chain: C1 = E(IV), C2 = E(C1), ...
+        const key = await crypto.subtle.importKey('raw', seed, 'AES-CBC', false, ['encrypt']);
+        const halves = [];
+        for (const half of [composite.slice(0, 16), composite.slice(16, 32)]) {
+            let block = half;
+            for (let done = 0; done < kdf.rounds;) {
+                const count = Math.min(65536, kdf.rounds - done);
+                const out = new Uint8Array(await crypto.subtle.encrypt(
+                    { name: 'AES-CBC', iv: block }, key, new Uint8Array(count * 16)));
+                // The last block is PKCS#7 padding; the one before it ends the chain
+                block = out.slice((count - 1) * 16, count * 16);
+                done += count;
+            }
+            halves.push(block);
+        }
+        return this.sha256(this.concat(halves));
+    },
+
+    /**
+     * Split the encrypted payload into HMAC-authenticated blocks, ending
+     * with an empty block
+     */
+    async hmacBlocks(payload, hmacKey) {
+        const parts = [];
+        let index = 0n;
+        for (let offset = 0; ; offset += this.BLOCK_SIZE) {
+            const data = payload.subarray(offset, offset + this.BLOCK_SIZE);
+            const size = this.uint32(data.length);
+            const mac = await this.hmac(await this.blockKey(hmacKey, index), this.concat([this.uint64(index), size, data]));
+            parts.push(mac, size, data);
+            index++;
+            if (data.length === 0) break;
+        }
+        return this.concat(parts);
+    },
+
+    /**
+     * HMAC key for one block: SHA-512(index || hmacKey)
+     */
+    async blockKey(hmacKey, index) {
+        return this.sha512(this.concat([this.uint64(index), hmacKey]));
+    },
+
+    /**
+     * Database XML with one group per category. Hidden values are marked
+     * Protected and XORed with the inner stream in document order.
+     */
+    xml(credentials, stream) {
+        const now = this.time(Date.now());
+        const escape = (text) => String(text)
+            .replace(/[^\t\n\r\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, '')
+            .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+        const times = (created, modified, expires) => `<Times><CreationTime>${this.time(created)}</CreationTime>`
+            + `<LastModificationTime>${this.time(modified)}</LastModificationTime>`
+            + `<LastAccessTime>${this.time(modified)}</LastAccessTime>`
+            + `<ExpiryTime>${expires ? this.time(expires) : now}</ExpiryTime><Expires>${expires ? 'True' : 'False'}</Expires>`
+            + `<UsageCount>0</UsageCount><LocationChanged>${this.time(modified)}</LocationChanged></Times>`;
+        const string = (key, value, hidden) => {
+            if (hidden && value) {
+                const bytes = stream.xor(new TextEncoder().encode(value));
+                return `<String><Key>${escape(key)}</Key><Value Protected="True">${CryptoUtils.arrayBufferToBase64(bytes)}</Value></String>`;
+            }
+            return `<String><Key>${escape(key)}</Key><Value>${escape(value || '')}</Value></String>`;
+        };
+
+        const entry = (credential) => {
+            const template = CredentialTypes.get(credential);
+            const used = new Set(['Title', 'UserName', 'Password', 'URL', 'Notes']);
+            const unique = (label) => {
+                let key = label;
+                for (let n = 2; used.has(key); n++) key = `${label} (${n})`;
+                used.add(key);
+                return key;
+            };
+
+            const strings = [
+                string('Title', credential.name),
+                string('UserName', credential.username),
+                string('Password', credential.password, true),
+                string('URL', credential.website),
+                string('Notes', credential.notes)
+            ];
+            for (const field of template.fields) {
+                const value = credential[field.key];
+                if (!value || ['username', 'password', 'website'].includes(field.key)) continue;
+                if (field.key === 'totp') {
+                    strings.push(string(unique('otp'), this.otpUri(credential), true));
+                } else {
+                    strings.push(string(unique(field.label), value, field.kind === 'hidden'));
+                }
+            }
+            for (const field of credential.customFields || []) {
+                strings.push(string(unique(field.label), field.value, field.type === 'hidden'));
+            }
+
+            const tags = [credential.type && credential.type !== 'login' ? template.label : null,
+                credential._meta.favorite ? 'Favorite' : null, ...(credential.tags || [])].filter(Boolean);
+            const expires = credential.type === 'api' && credential.expires ? Date.parse(credential.expires) : null;
+
+            return `<Entry><UUID>${this.uuid(credential._meta.id)}</UUID><IconID>0</IconID>`
+                + `<Tags>${escape(tags.join(';'))}</Tags>`
+                + times(credential._meta.created, credential._meta.modified, expires)
+                + strings.join('') + '<AutoType><Enabled>True</Enabled><DataTransferObfuscation>0</DataTransferObfuscation></AutoType>'
+                + '</Entry>';
+        };
+
+        // Categories become nested groups; empty ones are left out. Protected
+        // values must be encrypted in document order, so a group's own entries
+        // are written before its subgroups.
+        const group = (category) => {
+            const entries = credentials
+                .filter(c => Categories.resolve(c.category) === category.id)
+                .map(entry).join('');
+            const children = Categories.children(category.id).map(group).join('');
+            if (!entries && !children) return '';
+            return `<Group><UUID>${this.uuid()}</UUID><Name>${escape(category.name)}</Name><IconID>48</IconID>`
+                + times(Date.now(), Date.now()) + '<IsExpanded>True</IsExpanded>'
+                + entries + children + '</Group>';
+        };
+        const groups = Categories.children(null).map(group).join('');
+
+        return '<?xml version="1.0" encoding="utf-8" standalone="yes"?>'
+            + '<KeePassFile><Meta><Generator>CredentialSaver</Generator>'
+            + `<DatabaseName>CredentialSaver</DatabaseName><DatabaseNameChanged>${now}</DatabaseNameChanged>`
+            + '<MemoryProtection><ProtectTitle>False</ProtectTitle><ProtectUserName>False</ProtectUserName>'
+            + '<ProtectPassword>True</ProtectPassword><ProtectURL>False</ProtectURL><ProtectNotes>False</ProtectNotes></MemoryProtection>'
+            + '<RecycleBinEnabled>False</RecycleBinEnabled></Meta>'
+            + `<Root><Group><UUID>${this.uuid()}</UUID><Name>CredentialSaver</Name><IconID>49</IconID>`
+            + times(Date.now(), Date.now()) + '<IsExpanded>True</IsExpanded>'
+            + groups + '</Group><DeletedObjects/></Root></KeePassFile>';
+    },
+
+    /**
+     * KeePassXC reads two-factor secrets from an otpauth URI in the "otp" field
+     */
+    otpUri(credential) {
+        const { secret, algorithm, digits, period } = Totp.parse(credential.totp);
+        const label = encodeURIComponent(credential.username ? `${credential.name}:${credential.username}` : credential.name);
+        return `otpauth://totp/${label}?secret=${secret}&algorithm=${algorithm}&digits=${digits}&period=${period}`;
+    },
+
+    /**
+     * ChaCha20 keystream (RFC 7539, counter starting at 0) used to protect
+     * values in the XML
+     */
+    chacha20(key, nonce) {
+        const keyWords = new Uint32Array(key.buffer.slice(key.byteOffset, key.byteOffset + 32));
+        const nonceWords = new Uint32Array(nonce.buffer.slice(nonce.byteOffset, nonce.byteOffset + 12));
+        const state = new Uint32Array([0x61707865, 0x3320646e, 0x79622d32, 0x6b206574,
+            ...keyWords, 0, ...nonceWords]);
+        const block = new Uint8Array(64);
+        let used = 64;
+
+        const rotl = (v, n) => (v << n) | (v >>> (32 - n));
+        const quarter = (x, a, b, c, d) => {
+            x[a] += x[b]; x[d] = rotl(x[d] ^ x[a], 16);
+            x[c] += x[d]; x[b] = rotl(x[b] ^ x[c], 12);
+            x[a] += x[b]; x[d] = rotl(x[d] ^ x[a], 8);
+            x[c] += x[d]; x[b] = rotl(x[b] ^ x[c], 7);
+        };
+        const next = () => {
+            const x = new Uint32Array(state);
+            for (let i = 0; i < 10; i++) {
+                quarter(x, 0, 4, 8, 12); quarter(x, 1, 5, 9, 13); quarter(x, 2, 6, 10, 14); quarter(x, 3, 7, 11, 15);
+                quarter(x, 0, 5, 10, 15); quarter(x, 1, 6, 11, 12); quarter(x, 2, 7, 8, 13); quarter(x, 3, 4, 9, 14);
+            }
+            const view = new DataView(block.buffer);
+            for (let i = 0; i < 16; i++) view.setUint32(i * 4, (x[i] + state[i]) >>> 0, true);
+            state[12]++;
+            used = 0;
+        };
+
+        return {
+            xor(data) {
+                const out = new Uint8Array(data.length);
+                for (let i = 0; i < data.length; i++) {
+                    if (used === 64) next();
+                    out[i] = data[i] ^ block[used++];
+                }
+                return out;
+            }
+        };
+    },
+
+    /**
+     * Serialise KDF parameters as a KDBX variant dictionary
+     */
+    variantDictionary(items) {
+        const TYPES = { uint32: 0x04, uint64: 0x05, bytes: 0x42 };
+        const encoder = new TextEncoder();
+        const parts = [new Uint8Array([0x00, 0x01])];
+
+        for (const [name, type, value] of items) {
+            const nameBytes = encoder.encode(name);
+            const data = type === 'uint32' ? this.uint32(value)
+                : type === 'uint64' ? this.uint64(BigInt(value)) : value;
+            parts.push(new Uint8Array([TYPES[type]]), this.uint32(nameBytes.length), nameBytes,
+                this.uint32(data.length), data);
+        }
+        parts.push(new Uint8Array([0x00]));
+        return this.concat(parts);
+    },
+
+    /**
+     * Header field: 1-byte id, 4-byte length, data
+     */
+    field(id, data) {
+        return this.concat([new Uint8Array([id]), this.uint32(data.length), data]);
+    },
+
+    /**
+     * KDBX 4 timestamp: base64 of little-endian seconds since 0001-01-01
+     */
+    time(ms) {
+        return CryptoUtils.arrayBufferToBase64(this.uint64(BigInt(Math.floor(ms / 1000) + this.EPOCH_OFFSET)));
+    },
+
+    /**
+     * Base64 UUID. Credential ids are UUIDs, so entries keep the same UUID
+     * across exports; groups get a random one.
+     */
+    uuid(id = crypto.randomUUID()) {
+        return CryptoUtils.arrayBufferToBase64(this.uuidBytes(id));
+    },
+
+    uuidBytes(uuid) {
+        return new Uint8Array(uuid.replace(/-/g, '').match(/../g).map(h => parseInt(h, 16)));
+    },
+
+    uint32(value) {
+        const bytes = new Uint8Array(4);
+        new DataView(bytes.buffer).setUint32(0, value, true);
+        return bytes;
+    },
+
+    uint64(value) {
+        const bytes = new Uint8Array(8);
+        new DataView(bytes.buffer).setBigUint64(0, BigInt(value), true);
+        return bytes;
+    },
+
+    concat(parts) {
+        const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let offset = 0;
+        for (const part of parts) {
+            out.set(part, offset);
+            offset += part.length;
+        }
+        return out;
+    },
+
+    async sha256(data) {
+        return new Uint8Array(await crypto.subtle.digest('SHA-256', data));
+    },
+
+    async sha512(data) {
+        return new Uint8Array(await crypto.subtle.digest('SHA-512', data));
+    },
+
+    async hmac(key, data) {
+        const hmacKey = await crypto.subtle.importKey('raw', key, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+        return new Uint8Array(await crypto.subtle.sign('HMAC', hmacKey, data));
+    }
+};
+
+// ============================================
+// Import/Export
+// ============================================
+
+const ImportExport = {
+    /**
+     * Export credentials to JSON. With a passphrase the file is encrypted
+     * under a key derived from it, and carries the salt and KDF parameters
+     * needed to decrypt it in any vault.
+     */
+    async exportToJson(passphrase = null) {
+        const credentials = await this.backupCredentials();
+        let backup;
+
+        if (passphrase) {
+            // The vault's KDF settings are already tuned for this device
+            const settings = await Storage.get(CONFIG.STORES.SETTINGS, 'masterPasswordHash');
+            const salt = await CryptoUtils.generateSalt();
+            const header = {
+                format: CONFIG.EXPORT.FORMAT,
+                version: CONFIG.EXPORT.VERSION,
+                encrypted: true,
+                kdf: settings.kdf || CONFIG.KDF.LEGACY,
+                salt: CryptoUtils.arrayBufferToBase64(salt)
+            };
+            const key = await CryptoUtils.deriveKey(passphrase, salt, header.kdf);
+            backup = { ...header, data: await CryptoUtils.encrypt(credentials, key, this.backupAad(header)) };
+        } else {
+            backup = { format: CONFIG.EXPORT.FORMAT, version: CONFIG.EXPORT.VERSION, encrypted: false, data: credentials };
+        }
+
+        const json = JSON.stringify(backup, null, 2);
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `credentials-backup-${new Date().toISOString().split('T')[0]}.json`;
+        a.click();
+
+        URL.revokeObjectURL(url);
+        await AuditLog.add('Export', passphrase ? 'Exported credentials (passphrase encrypted)' : 'Exported credentials');
+    },
+
+    /**
+     * Export credentials as a KeePass KDBX 4 database protected by a
+     * password, using AES-KDF ('aes') or Argon2d ('argon2d')
+     */
+    async exportToKdbx(password, kdfName = 'argon2d') {
+        const credentials = await CredentialManager.getAll();
+        let kdf = { name: 'aes', rounds: CONFIG.KDBX.AES_ROUNDS };
+
+        if (kdfName === 'argon2d') {
+            const settings = await Storage.get(CONFIG.STORES.SETTINGS, 'masterPasswordHash');
+            const vaultKdf = settings.kdf && settings.kdf.name === 'Argon2id' ? settings.kdf : CONFIG.KDF.ARGON2ID;
+            kdf = { name: 'argon2d', memory: vaultKdf.memory, iterations: vaultKdf.iterations, parallelism: vaultKdf.parallelism };
+        }
+
+        const bytes = await Kdbx.build(credentials, password, kdf);
+        const blob = new Blob([bytes], { type: 'application/octet-stream' });
+        const url = URL.createObjectURL(blob);
+
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `credentials-${new Date().toISOString().split('T')[0]}.kdbx`;
+        a.click();
+
+        URL.revokeObjectURL(url);
+        await AuditLog.add('Export', `Exported credentials to KeePass (KDBX 4, ${kdf.name === 'aes' ? 'AES-KDF' : 'Argon2d'})`);
+    },
+
+    /**
+     * Credentials as they go into backups and snapshots. Version history
+     * stays in the vault; only the current version is included.
+     */
+    async backupCredentials() {
+        return (await CredentialManager.getAll())
+            .map(({ _meta: { history, ...meta }, ...credential }) => ({ ...credential, _meta: meta }));
+    },
+
+    /**
+     * Whether KDF parameters read from a file are within the limits this
+     * app will run, so a crafted file cannot stall the browser
+     */
+    supportedKdf(kdf) {
+        if (!kdf) return false;
+        if (kdf.name === 'Argon2id') {
+            return kdf.memory <= CONFIG.KDF.MAX_ARGON2_MEMORY && kdf.iterations <= CONFIG.KDF.MAX_ARGON2_ITERATIONS;
+        }
+        return kdf.name === 'PBKDF2' && kdf.iterations <= CONFIG.KDF.MAX_PBKDF2_ITERATIONS;
+    },
+
+    /**
+     * Additional data binding a backup's header to its ciphertext, so the
+     * salt or KDF parameters cannot be changed without failing decryption
+     */
+    backupAad({ format, version, kdf, salt }) {
+        return JSON.stringify([format, version, kdf, salt]);
+    },
+
+    /**
+     * Decrypt the credentials of an encrypted JSON backup
+     */
+    async decryptBackup(backup, passphrase) {
+        if (!backup.kdf) {
+            // Version 1 backups were encrypted with the vault key itself
+            try {
+                return await CryptoUtils.decrypt(backup.data, AppState.vaultKey);
+            } catch {
+                throw new Error('This backup was encrypted by another vault. Export it again with a passphrase.');
+            }
+        }
+
+        if (backup.format !== CONFIG.EXPORT.FORMAT || !(backup.version <= CONFIG.EXPORT.VERSION)) {
+            throw new Error('This backup was made by a newer version of CredentialSaver');
+        }
+
+        if (!this.supportedKdf(backup.kdf)) {
+            throw new Error('This backup uses unsupported key derivation settings');
+        }
+
+        const key = await CryptoUtils.deriveKey(passphrase, CryptoUtils.base64ToArrayBuffer(backup.salt), backup.kdf);
+        try {
+            return await CryptoUtils.decrypt(backup.data, key, this.backupAad(backup));
+        } catch {
+            throw new Error('Wrong passphrase, or the backup has been modified');
+        }
+    },
+
+    /**
+     * Export credentials to CSV
+     */
+    async exportToCsv() {
+        const credentials = await CredentialManager.getAll();
+        const policies = new Map((await PasswordPolicies.list()).map(p => [p.id, p.name]));
+
+        const columns = CredentialTypes.columns();
+        const headers = [
+            'Name', 'Type', ...columns.map(c => c.header),
+            'Category', 'Tags', 'Policy', 'Notes', 'Custom Fields', 'Favorite', 'Created', 'Modified'
+        ];
+        const rows = credentials.map(c => [
+            c.name,
+            c.type || 'login',
+            ...columns.map(column => c[column.key]),
+            Categories.path(Categories.resolve(c.category)),
+            (c.tags || []).join(', '),
+            policies.get(c.policyId),
+            c.notes,
+            c.customFields && c.customFields.length ? JSON.stringify(c.customFields) : '',
+            c._meta.favorite ? 'true' : 'false',
+            new Date(c._meta.created).toISOString(),
+            new Date(c._meta.modified).toISOString()
+        ]);
+
+        const csv = Csv.stringify([headers, ...rows]);
+        const blob = new Blob([csv], { type: 'text/csv' });
+        const url = URL.createObjectURL(blob);
+
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `credentials-backup-${new Date().toISOString().split('T')[0]}.csv`;
+        a.click();
+
+        URL.revokeObjectURL(url);
+        await AuditLog.add('Export', 'Exported credentials to CSV');
+    },
+
+    /**
+     * Parse an import file without touching the vault. Every entry in the
+     * file comes back with the reason it would be skipped, if any. Encrypted
+     * backups come back `locked` until a passphrase is given. Conflicts
+     * start on the `prefer` resolution.
+     */
+    async readImport(file, formatId = 'auto', { columns = null, passphrase = null, prefer = 'mine' } = {}) {
+        const input = await Importers.read(file);
+        const [id, format] = formatId === 'auto'
+            ? Importers.detect(input) || []
+            : [formatId, Importers.formats[formatId]];
+
+        if (!format) {
+            throw new Error('File format not recognised');
+        }
+        if (!format.detect(input)) {
+            throw new Error(`This file does not look like ${format.label}`);
+        }
+
+        if (format.locked && await format.locked(input) && !passphrase) {
+            return { format: id, label: format.label, locked: true, columns: null, items: [] };
+        }
+
+        // Formats that match columns by name let the preview change the matches
+        if (format.columns && Importers.csv(input)) {
+            columns = columns || format.columns(input);
+        }
+
+        const existing = new Map((await CredentialManager.getAll()).map(c => [this.duplicateKey(c), c]));
+        const seen = new Set();
+        const items = (await format.parse(input, { columns, passphrase })).map(item => {
+            if (!item.credential) return item;
+
+            const { credential, meta } = item;
+            const error = Importers.normalize(credential);
+            if (error) return { name: credential.name, credential, meta, reason: error };
+
+            const key = this.duplicateKey(credential);
+            if (seen.has(key)) return { name: credential.name, credential, meta, reason: 'Duplicate entry in the file' };
+            seen.add(key);
+
+            const mine = existing.get(key);
+            if (!mine) return { name: credential.name, credential, meta, reason: null };
+            if (CredentialManager.sameContent(mine, credential)) {
+                return { name: credential.name, credential, meta, reason: 'Already in the vault' };
+            }
+
+            // Same name and username but different content: the user picks a resolution
+            const differences = CredentialTypes.fieldDiffs(mine, credential);
+            const theirsNewer = meta && meta.modified ? meta.modified > mine._meta.modified : null;
+            return {
+                name: credential.name,
+                credential,
+                meta,
+                reason: null,
+                conflict: { existing: mine, differences, theirsNewer },
+                resolution: prefer,
+                // Per-field choice for a merge, newest side first
+                picks: Object.fromEntries(differences.map(d => [d.key, theirsNewer ? 'theirs' : 'mine']))
+            };
+        });
+
+        // Conflicts show policies by name
+        const policies = await PasswordPolicies.list();
+        return { format: id, label: format.label, columns, items, policies };
+    },
+
+    /**
+     * Save a previewed import. New entries are created; conflicts are
+     * applied according to each entry's resolution:
+     *   mine   - leave the vault entry as it is
+     *   theirs - replace it with the imported entry (kept in its history)
+     *   both   - add the imported entry alongside it
+     *   merge  - take each differing field from the side in `picks`
+     */
+    async commitImport(preview) {
+        const counts = { added: 0, updated: 0, copies: 0, kept: 0, skipped: 0 };
+        const { entries } = await VaultIntegrity.load();
+        const { historyLimit } = await Preferences.get();
+        // Records to write by id; an entry updated twice builds on its first update
+        const records = new Map();
+        const logs = [];
+
+        for (const item of preview.items) {
+            if (item.reason) {
+                counts.skipped++;
+            } else if (!item.conflict || item.resolution === 'both') {
+                const record = await CredentialManager.newRecord(item.credential, item.meta);
+                records.set(record.id, record);
+                logs.push(['Credential Created', `Created: ${item.credential.name}`]);
+                counts[item.conflict ? 'copies' : 'added']++;
+            } else if (item.resolution === 'theirs' || item.resolution === 'merge') {
+                const { existing } = item.conflict;
+                const id = existing._meta.id;
+                const credential = { ...(item.resolution === 'merge' ? this.mergeFields(item) : item.credential),
+                    favorite: existing._meta.favorite };
+                const current = records.get(id) || await Storage.get(CONFIG.STORES.CREDENTIALS, id);
+                records.set(id, await CredentialManager.nextRecord(current, credential, entries, historyLimit));
+                logs.push(['Credential Merged', `Updated: ${credential.name}`]);
+                counts.updated++;
+            } else {
+                counts.kept++;
+            }
+        }
+
+        // One transaction, so a failure part way leaves the vault as it was
+        const written = [...records.values()];
+        if (written.length > 0) {
+            await Storage.batch([
+                ...written.map(record => ({ type: 'put', store: CONFIG.STORES.CREDENTIALS, value: record })),
+                await VaultIntegrity.updateMany(Object.fromEntries(written.map(record => [record.id, record.version])))
+            ]);
+            await CredentialManager.cacheRecords(written);
+        }
+
+        for (const [action, details] of logs) {
+            await AuditLog.add(action, details);
+        }
+        await AuditLog.add('Import', `Imported from ${preview.label}: ${this.describeImport(counts)}`);
+        return counts;
+    },
+
+    /**
+     * The vault entry with the fields picked from the imported entry
+     */
+    mergeFields({ conflict, credential, picks }) {
+        const { _meta, ...merged } = conflict.existing;
+        for (const { key } of conflict.differences) {
+            if (picks[key] !== 'theirs') continue;
+            if (credential[key] === undefined) {
+                delete merged[key];
+            } else {
+                merged[key] = credential[key];
+            }
+        }
+        return merged;
+    },
+
+    /**
+     * Resolve every conflict in favour of the most recently modified side.
+     * Entries without a modified date keep the vault version.
+     */
+    resolveNewest(preview) {
+        for (const item of preview.items) {
+            if (item.conflict) {
+                item.resolution = item.conflict.theirsNewer ? 'theirs' : 'mine';
+            }
+        }
+    },
+
+    /**
+     * Summarise import counts, e.g. "3 added, 1 updated, 2 skipped"
+     */
+    describeImport(counts) {
+        const parts = [
+            [counts.added, 'added'],
+            [counts.updated, 'updated'],
+            [counts.copies, counts.copies === 1 ? 'added as a copy' : 'added as copies'],
+            [counts.kept, 'left unchanged'],
+            [counts.skipped, 'skipped']
+        ].filter(([count]) => count > 0).map(([count, text]) => `${count} ${text}`);
+        return parts.length ? parts.join(', ') : 'nothing to import';
+    },
+
+    /**
+     * Entries with the same name and username count as duplicates
+     */
+    duplicateKey(credential) {
+        return `${credential.name}|${credential.username || ''}`;
+    }
+};
+
+// ============================================
+// Automatic Backups
+// ============================================
+
+const Backups = {
+    /**
+     * Additional data binding a snapshot's header to its ciphertext
+     */
+    aad({ format, version, created, count }) {
+        return JSON.stringify([format, version, created, count]);
+    },
+
+    /**
+     * Snapshots in the backups store, newest first
+     */
+    async list() {
+        return (await Storage.getAll(CONFIG.STORES.BACKUPS)).sort((a, b) => b.created - a.created);
+    },
+
+    /**
+     * When the scheduler last ran, and the last folder error if any
+     */
+    async status() {
+        const stored = await Storage.get(CONFIG.STORES.SETTINGS, 'backupStatus');
+        const { key, ...status } = stored || {};
+        return { lastRun: 0, folderError: null, ...status };
+    },
+
+    async setStatus(values) {
+        const current = await this.status();
+        await Storage.put(CONFIG.STORES.SETTINGS, { key: 'backupStatus', ...current, ...values });
+    },
+
+    /**
+     * Keyed fingerprint of the snapshot contents, used to skip snapshots
+     * when nothing has changed. Keyed so it reveals nothing about them.
+     */
+    async fingerprint(credentials) {
+        if (!AppState.manifestKey) return null;
+        const mac = await crypto.subtle.sign('HMAC', AppState.manifestKey,
+            new TextEncoder().encode(JSON.stringify(credentials)));
+        return CryptoUtils.arrayBufferToBase64(mac);
+    },
+
+    /**
+     * Encrypt the vault into a new snapshot, write it to the backup folder
+     * if one is connected, and drop snapshots beyond the retention count.
+     * Unless forced, nothing is written when the vault is empty or has not
+     * changed since the last snapshot. Returns the snapshot or null.
+     */
+    async create({ force = false } = {}) {
+        const vaultKey = AppState.vaultKey;
+        if (!vaultKey) return null;
+
+        const credentials = await ImportExport.backupCredentials();
+        // Locked while decrypting: the list may be incomplete
+        if (AppState.vaultKey !== vaultKey) return null;
+
+        const fingerprint = await this.fingerprint(credentials);
+        const [latest] = await this.list();
+        if (!force && (credentials.length === 0 || (latest && fingerprint && latest.fingerprint === fingerprint))) {
+            return null;
+        }
+
+        const header = {
+            format: CONFIG.BACKUP.FORMAT,
+            version: CONFIG.BACKUP.VERSION,
+            created: Date.now(),
+            count: credentials.length
+        };
+        const snapshot = {
+            id: crypto.randomUUID(),
+            ...header,
+            fingerprint,
+            file: null,
+            data: await CryptoUtils.encrypt(credentials, vaultKey, this.aad(header))
+        };
+
+        const folder = await this.folder();
+        if (folder) {
+            try {
+                snapshot.file = await this.writeFile(folder, snapshot);
+                await this.setStatus({ folderError: null });
+            } catch (error) {
+                console.error('Failed to write backup file:', error);
+                await this.setStatus({ folderError: error.message });
+            }
+        }
+
+        await Storage.put(CONFIG.STORES.BACKUPS, snapshot);
+        await this.prune();
+        await AuditLog.add('Snapshot Created',
+            `Snapshot of ${snapshot.count} credential(s)${snapshot.file ? ` saved to ${folder.name}/${snapshot.file}` : ''}`);
+        return snapshot;
+    },
+
+    /**
+     * Delete the oldest snapshots beyond the number to keep, along with
+     * their copies in the backup folder
+     */
+    async prune() {
+        const { backupsKept } = await Preferences.get();
+        const expired = (await this.list()).slice(backupsKept);
+        if (expired.length === 0) return;
+
+        const folder = await this.folder();
+        for (const snapshot of expired) {
+            await this.remove(snapshot, folder);
+        }
+    },
+
+    /**
+     * Delete a snapshot and its file. A file that is already gone, or a
+     * folder that is not connected, leaves the file alone, as does a file
+     * another snapshot was also saved to.
+     */
+    async remove(snapshot, folder) {
+        const shared = (await this.list()).some(other => other.id !== snapshot.id && other.file === snapshot.file);
+        if (snapshot.file && folder && !shared) {
+            try {
+                await folder.removeEntry(snapshot.file);
+            } catch (error) {
+                if (error.name !== 'NotFoundError') console.error('Failed to delete backup file:', error);
+            }
+        }
+        await Storage.delete(CONFIG.STORES.BACKUPS, snapshot.id);
+    },
+
+    /**
+     * The snapshot as a self-contained file. It carries the vault's wrapped
+     * key, salt and KDF parameters, so it can be restored into another vault
+     * with the master password the vault had when the file was written.
+     */
+    async toFile(snapshot) {
+        const settings = await Storage.get(CONFIG.STORES.SETTINGS, 'masterPasswordHash');
+        const { format, version, created, count, data } = snapshot;
+        return {
+            format, version, created, count,
+            kdf: settings.kdf || CONFIG.KDF.LEGACY,
+            salt: settings.salt,
+            wrappedKey: settings.wrappedKey,
+            data
+        };
+    },
+
+    /**
+     * A file name unique to the snapshot, since several can be taken within
+     * the same second
+     */
+    fileName(snapshot) {
+        const time = new Date(snapshot.created).toISOString().slice(0, 19).replace(/:/g, '-');
+        return `credentialsaver-snapshot-${time}-${snapshot.id.slice(0, 8)}.json`;
+    },
+
+    async writeFile(folder, snapshot, name = this.fileName(snapshot)) {
+        const handle = await folder.getFileHandle(name, { create: true });
+        const writable = await handle.createWritable();
+        await writable.write(JSON.stringify(await this.toFile(snapshot), null, 2));
+        await writable.close();
+        return name;
+    },
+
+    /**
+     * Write the snapshot files in the backup folder again after the master
+     * password changes, so they open with the new password instead of the
+     * old one. Returns the number of files that still need the old password
+     * because the folder could not be written.
+     */
+    async rewriteFiles() {
+        const saved = (await this.list()).filter(snapshot => snapshot.file);
+        const folder = saved.length ? await this.folder() : null;
+        if (!folder) return saved.length;
+
+        let stale = 0;
+        for (const snapshot of saved) {
+            try {
+                await this.writeFile(folder, snapshot, snapshot.file);
+            } catch (error) {
+                console.error('Failed to rewrite backup file:', error);
+                stale++;
+            }
+        }
+        return stale;
+    },
+
+    /**
+     * Decrypt a snapshot's credentials with the vault key, or with a master
+     * password when the snapshot file came from another vault
+     */
+    async decrypt(snapshot, password = null) {
+        if (snapshot.format !== CONFIG.BACKUP.FORMAT || !(snapshot.version <= CONFIG.BACKUP.VERSION)) {
+            throw new Error('This snapshot was made by a newer version of CredentialSaver');
+        }
+
+        let key = AppState.vaultKey;
+        if (password) {
+            if (!ImportExport.supportedKdf(snapshot.kdf)) {
+                throw new Error('This snapshot uses unsupported key derivation settings');
+            }
+            const masterKey = await CryptoUtils.deriveKey(password,
+                CryptoUtils.base64ToArrayBuffer(snapshot.salt), snapshot.kdf);
+            try {
+                key = await CryptoUtils.unwrapKey(snapshot.wrappedKey, masterKey);
+            } catch {
+                throw new Error('Wrong master password for this snapshot');
+            }
+        }
+
+        try {
+            return await CryptoUtils.decrypt(snapshot.data, key, this.aad(snapshot));
+        } catch {
+            throw new Error(password
+                ? 'This snapshot has been modified'
+                : 'This snapshot was taken in another vault');
+        }
+    },
+
+    // ----- Backup folder (File System Access API) -----
+
+    folderSupported() {
+        return typeof window.showDirectoryPicker === 'function';
+    },
+
+    /**
+     * Ask the user for a folder to write snapshots to. Must be called from a
+     * user gesture.
+     */
+    async chooseFolder() {
+        const handle = await window.showDirectoryPicker({ id: 'credentialsaver-backups', mode: 'readwrite' });
+        await Storage.put(CONFIG.STORES.SETTINGS, { key: 'backupFolder', handle });
+        await this.setStatus({ folderError: null });
+        await AuditLog.add('Backup Folder Changed', `Snapshots will also be saved to ${handle.name}`);
+        return handle;
+    },
+
+    async forgetFolder() {
+        await Storage.delete(CONFIG.STORES.SETTINGS, 'backupFolder');
+        await this.setStatus({ folderError: null });
+        await AuditLog.add('Backup Folder Changed', 'Snapshots are kept in this browser only');
+    },
+
+    /**
+     * The stored folder handle and whether it can be written without asking
+     * ('granted') or needs the user to allow it again ('prompt')
+     */
+    async folderState() {
+        const record = await Storage.get(CONFIG.STORES.SETTINGS, 'backupFolder');
+        if (!record) return null;
+        const permission = await record.handle.queryPermission({ mode: 'readwrite' });
+        return { handle: record.handle, permission };
+    },
+
+    /**
+     * The backup folder if it can be written. With `request`, asks for
+     * permission again; browsers only allow that from a user gesture.
+     */
+    async folder({ request = false } = {}) {
+        const state = await this.folderState();
+        if (!state) return null;
+        if (state.permission === 'granted') return state.handle;
+        if (request && await state.handle.requestPermission({ mode: 'readwrite' }) === 'granted') {
+            return state.handle;
+        }
+        return null;
+    },
+
+    // ----- Scheduler -----
+
+    /**
+     * Schedule the next automatic snapshot. Runs straight away when one is
+     * overdue, for example at unlock after the app was closed.
+     */
+    async start() {
+        this.stop();
+        const { backupIntervalHours } = await Preferences.get();
+        if (!backupIntervalHours || !AppState.isUnlocked) return;
+
+        const { lastRun } = await this.status();
+        const delay = Math.max(lastRun + backupIntervalHours * 60 * 60 * 1000 - Date.now(), 0);
+        AppState.backupTimer = setTimeout(() => this.run(), delay);
+    },
+
+    stop() {
+        if (AppState.backupTimer) {
+            clearTimeout(AppState.backupTimer);
+            AppState.backupTimer = null;
+        }
+    },
+
+    async run() {
+        AppState.backupTimer = null;
+        try {
+            await this.create();
+        } catch (error) {
+            console.error('Automatic backup failed:', error);
+        }
+
+        // A failed run waits for the next interval rather than retrying at once
+        if (AppState.isUnlocked) {
+            await this.setStatus({ lastRun: Date.now() });
+            await this.start();
+        }
+    }
+};
+
+// ============================================
+// Theme Management
+// ============================================
+
+const ThemeManager = {
+    async init() {
+        // Check saved theme or system preference
+        const savedTheme = localStorage.getItem('credentialsaver-theme');
+        const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
+
+        AppState.theme = savedTheme || (prefersDark ? 'dark' : 'light');
+        this.apply();
+    },
+
+    apply() {
+        document.documentElement.setAttribute('data-theme', AppState.theme);
+        localStorage.setItem('credentialsaver-theme', AppState.theme);
+
+        // Update icons
+        const sunIcon = document.querySelector('.sun-icon');
+        const moonIcon = document.querySelector('.moon-icon');
+
+        if (sunIcon && moonIcon) {
+            if (AppState.theme === 'dark') {
+                sunIcon.classList.add('hidden');
+                moonIcon.classList.remove('hidden');
+            } else {
+                sunIcon.classList.remove('hidden');
+                moonIcon.classList.add('hidden');
+            }
+        }
+    },
+
+    toggle() {
+        AppState.theme = AppState.theme === 'light' ? 'dark' : 'light';
+        this.apply();
+    }
+};
+
+// ============================================
+// Inactivity Timer
+// ============================================
+
+const InactivityTimer = {
+    reset() {
+        if (AppState.inactivityTimer) {
+            clearTimeout(AppState.inactivityTimer);
+        }
+
+        if (AppState.isUnlocked) {
+            AppState.inactivityTimer = setTimeout(() => {
+                App.lock();
+                Toast.show('Application locked due to inactivity', 'warning');
+            }, CONFIG.AUTO_LOCK_MINUTES * 60 * 1000);
+        }
+    },
+
+    start() {
+        this.reset();
+        document.addEventListener('mousemove', this.reset.bind(this));
+        document.addEventListener('keypress', this.reset.bind(this));
+        document.addEventListener('click', this.reset.bind(this));
+    },
+
+    stop() {
+        if (AppState.inactivityTimer) {
+            clearTimeout(AppState.inactivityTimer);
+        }
+        document.removeEventListener('mousemove', this.reset.bind(this));
+        document.removeEventListener('keypress', this.reset.bind(this));
+        document.removeEventListener('click', this.reset.bind(this));
+    }
+};
+
+// ============================================
+// TOTP Ticker
+// ============================================
+
+const TotpTicker = {
+    start() {
+        this.stop();
+        AppState.totpTimer = setInterval(() => UI.refreshTotpCodes(), 1000);
+    },
+
+    stop() {
+        if (AppState.totpTimer) {
+            clearInterval(AppState.totpTimer);
+            AppState.totpTimer = null;
+        }
+    }
+};
+
+// ============================================
+// UI Rendering
+// ============================================
+
+const UI = {
+    /**
+     * Render credential cards
+     */
+    async renderCredentials() {
+        const emptyState = document.getElementById('empty-state');
+
+        if (AppState.currentCategory === 'trash') {
+            return this.renderTrash();
+        }
+
+        document.getElementById('trash-bar').classList.add('hidden');
+        document.getElementById('trash-empty-state').classList.add('hidden');
+        document.getElementById('search-empty-state').classList.add('hidden');
+        emptyState.classList.add('hidden');
+
+        let credentials;
+
+        if (AppState.searchQuery) {
+            // Already ranked by relevance
+            credentials = await CredentialManager.search(AppState.searchQuery, AppState.currentCategory);
+        } else {
+            credentials = AppState.currentCategory === 'all'
+                ? await CredentialManager.getAll()
+                : await CredentialManager.getByCategory(AppState.currentCategory);
+
+            // Sort: favorites first, then by name
+            credentials.sort((a, b) => {
+                if (a._meta.favorite && !b._meta.favorite) return -1;
+                if (!a._meta.favorite && b._meta.favorite) return 1;
+                return a.name.localeCompare(b.name);
+            });
+        }
+
+        AppState.credentials = credentials;
+
+        if (credentials.length === 0) {
+            document.getElementById(AppState.searchQuery ? 'search-empty-state' : 'empty-state').classList.remove('hidden');
+        }
+        this.renderCardList(credentials, cred => this.renderCredentialCard(cred));
+
+        this.renderIntegrityWarning();
+        this.updateCategoryCounts();
+        this.refreshBreachBadges();
+    },
+
+    /**
+     * Show cards in the credential list. Long lists only render the rows
+     * around the visible part, with padding standing in for the rest, so
+     * a large vault stays quick to show and scroll.
+     */
+    renderCardList(items, renderCard) {
+        AppState.cardList = {
+            items,
+            renderCard,
+            virtual: items.length >= CONFIG.VIRTUAL_LIST.MIN_ITEMS,
+            rowHeight: null,
+            start: 0,
+            end: 0,
+            frame: null,
+            force: false
+        };
+        this.renderListWindow(true);
+    },
+
+    /**
+     * Render the cards in view. Cards are only replaced when the window
+     * moves, unless forced after a layout change, which also re-measures
+     * the rows.
+     */
+    renderListWindow(force = false) {
+        const view = AppState.cardList;
+        const list = document.getElementById('credential-list');
+        if (!view) return;
+
+        if (!view.virtual) {
+            if (force) {
+                list.style.paddingTop = '';
+                list.style.paddingBottom = '';
+                list.innerHTML = view.items.map(view.renderCard).join('');
+                this.refreshTotpCodes();
+            }
+            return;
+        }
+
+        if (force) view.rowHeight = null;
+
+        const { OVERSCAN_ROWS, ESTIMATED_ROW_HEIGHT } = CONFIG.VIRTUAL_LIST;
+        const scroller = list.closest('.credential-section');
+        const style = getComputedStyle(list);
+        const columns = Math.max(1, style.gridTemplateColumns.split(' ').length);
+        const gap = parseFloat(style.rowGap) || 0;
+        const stride = (view.rowHeight || ESTIMATED_ROW_HEIGHT) + gap;
+        const rows = Math.ceil(view.items.length / columns);
+
+        // How far the visible area is into the list
+        const offset = list.getBoundingClientRect().top - scroller.getBoundingClientRect().top;
+        const firstRow = Math.min(rows, Math.max(0, Math.floor(-offset / stride) - OVERSCAN_ROWS));
+        const lastRow = Math.min(rows, Math.ceil((scroller.clientHeight - offset) / stride) + OVERSCAN_ROWS);
+        const start = Math.min(view.items.length, firstRow * columns);
+        const end = Math.min(view.items.length, lastRow * columns);
+
+        list.style.paddingTop = `${firstRow * stride}px`;
+        list.style.paddingBottom = `${(rows - lastRow) * stride}px`;
+        if (!force && start === view.start && end === view.end) return;
+
+        view.start = start;
+        view.end = end;
+        list.innerHTML = view.items.slice(start, end).map(view.renderCard).join('');
+
+        // Lay the window out again once real rows have been measured. That
+        // pass always renders, so it refreshes the codes for whatever it shows.
+        if (!view.rowHeight && end > start) {
+            const cards = list.children;
+            const rendered = Math.ceil((end - start) / columns);
+            const height = cards[cards.length - 1].getBoundingClientRect().bottom - cards[0].getBoundingClientRect().top;
+            view.rowHeight = Math.max(1, (height - gap * (rendered - 1)) / rendered);
+            view.start = view.end = null;
+            this.renderListWindow();
+            return;
+        }
+
+        this.refreshTotpCodes();
+    },
+
+    /**
+     * Re-render the list window on the next frame, at most once a frame
+     */
+    scheduleListWindow(force = false) {
+        const view = AppState.cardList;
+        if (!view || !view.virtual) return;
+
+        view.force = view.force || force;
+        if (view.frame) return;
+
+        view.frame = requestAnimationFrame(() => {
+            view.frame = null;
+            if (AppState.cardList === view) this.renderListWindow(view.force);
+            view.force = false;
+        });
+    },
+
+    /**
+     * Check the listed credentials against the breach list and update their
+     * badges. Lookups run in a worker, so the list is shown first.
+     */
+    async refreshBreachBadges() {
+        try {
+            if (!await Breaches.check(AppState.credentials)) return;
+        } catch (error) {
+            console.error('Breach check failed:', error);
+            return;
+        }
+
+        document.querySelectorAll('.credential-card[data-id]').forEach(card => {
+            const name = card.querySelector('.credential-name');
+            const existing = name.querySelector('.breach-badge');
+            if (existing) existing.remove();
+            name.insertAdjacentHTML('beforeend', this.breachBadge(AppState.breaches.get(card.dataset.id)));
+        });
+    },
+
+    breachBadge(breach) {
+        if (!breach) return '';
+        const title = breach.count
+            ? `This password has been seen ${breach.count.toLocaleString()} times in data breaches`
+            : 'This password appears in the breach list';
+        return `<span class="breach-badge" title="${title}">Breached</span>`;
+    },
+
+    /**
+     * Render the trash view
+     */
+    async renderTrash() {
+        const everything = await CredentialManager.getTrash();
+        const trash = AppState.searchQuery ? await CredentialManager.search(AppState.searchQuery, 'trash') : everything;
+        const { trashRetentionDays } = await Preferences.get();
+
+        AppState.credentials = trash;
+
+        document.getElementById('empty-state').classList.add('hidden');
+        document.getElementById('search-empty-state').classList.toggle('hidden', trash.length > 0 || everything.length === 0);
+        document.getElementById('trash-retention-days').textContent = trashRetentionDays;
+        document.getElementById('trash-bar').classList.remove('hidden');
+        document.getElementById('empty-trash-btn').disabled = everything.length === 0;
+        document.getElementById('trash-empty-state').classList.toggle('hidden', everything.length > 0);
+
+        this.renderCardList(trash, cred => this.renderTrashCard(cred, trashRetentionDays));
+
+        this.renderIntegrityWarning();
+        this.updateCategoryCounts();
+    },
+
+    /**
+     * Render a card in the trash view
+     */
+    renderTrashCard(credential, retentionDays) {
+        const template = CredentialTypes.get(credential);
+        const typeBadge = template === CREDENTIAL_TYPES.login
+            ? '' : `<span class="credential-type-badge">${template.label}</span>`;
+        const purgeAt = credential._meta.deleted + retentionDays * 24 * 60 * 60 * 1000;
+        const daysLeft = Math.max(0, Math.ceil((purgeAt - Date.now()) / (24 * 60 * 60 * 1000)));
+
+        return `
+            <div class="credential-card trashed" data-id="${credential._meta.id}">
+                <div class="credential-header">
+                    ${this.renderCategoryIcon(credential.category)}
+                    <div class="credential-title">
+                        <div class="credential-name">${this.escapeHtml(credential.name)}${typeBadge}</div>
+                        <div class="credential-username">${this.escapeHtml(CredentialTypes.subtitle(credential))}</div>
+                    </div>
+                </div>
+                <div class="trash-info">
+                    Deleted ${new Date(credential._meta.deleted).toLocaleDateString()} &middot;
+                    removed permanently in ${daysLeft} day${daysLeft === 1 ? '' : 's'}
+                </div>
+                <div class="credential-actions">
+                    <button class="icon-btn restore-credential" title="Restore">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <polyline points="1 4 1 10 7 10"></polyline>
+                            <path d="M3.51 15a9 9 0 1 0 2.13-9.36L1 10"></path>
+                        </svg>
+                    </button>
+                    <button class="icon-btn purge-credential" title="Delete permanently">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <polyline points="3 6 5 6 21 6"></polyline>
+                            <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
+                            <line x1="10" y1="11" x2="10" y2="17"></line>
+                            <line x1="14" y1="11" x2="14" y2="17"></line>
+                        </svg>
+                    </button>
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Show or hide the tamper warning for problems found when the vault
+     * was decrypted
+     */
+    renderIntegrityWarning() {
+        const warningEl = document.getElementById('integrity-warning');
+        const problems = AppState.integrityProblems;
+
+        if (problems.length === 0) {
+            warningEl.classList.add('hidden');
+            return;
+        }
+
+        if (warningEl.classList.contains('hidden')) {
+            Toast.show('Vault integrity check failed. Your stored data may have been tampered with.', 'error', 8000);
+        }
+
+        const descriptions = {
+            manifest: () => 'The vault manifest is missing or its signature does not match',
+            unexpected: (p) => `${p.name || p.id} is not listed in the vault manifest (added or duplicated)`,
+            rollback: (p) => `${p.name || p.id} is not the latest saved version (rolled back)`,
+            missing: (p) => `Record ${p.id} listed in the manifest is missing (deleted)`,
+            corrupt: (p) => `Record ${p.id} failed authentication (swapped or corrupted) and is hidden`
+        };
+
+        document.getElementById('integrity-details').innerHTML = problems
+            .map(p => `<li>${this.escapeHtml(descriptions[p.type](p))}</li>`)
+            .join('');
+        warningEl.classList.remove('hidden');
+    },
+
+    /**
+     * Render a single credential card
+     */
+    renderCredentialCard(credential) {
+        const favoriteClass = credential._meta.favorite ? 'favorite' : '';
+        const totpClass = credential.totp ? 'has-totp' : '';
+        const template = CredentialTypes.get(credential);
+        const secretLabel = CredentialTypes.secretLabel(credential).toLowerCase();
+        const typeBadge = template === CREDENTIAL_TYPES.login
+            ? '' : `<span class="credential-type-badge">${template.label}</span>`;
+        const breachBadge = this.breachBadge(AppState.breaches.get(credential._meta.id));
+
+        return `
+            <div class="credential-card ${favoriteClass} ${totpClass}" data-id="${credential._meta.id}">
+                <div class="credential-header">
+                    ${this.renderCategoryIcon(credential.category)}
+                    <div class="credential-title">
+                        <div class="credential-name">${this.escapeHtml(credential.name)}${typeBadge}${breachBadge}</div>
+                        <div class="credential-username">${this.escapeHtml(CredentialTypes.subtitle(credential))}</div>
+                        ${this.renderTags(credential.tags)}
+                    </div>
+                </div>
+                <div class="credential-password">
+                    <span class="password-dots">••••••••••••</span>
+                </div>
+                ${credential.totp ? `
+                <div class="credential-totp" data-totp-id="${credential._meta.id}">
+                    <span class="totp-code">••• •••</span>
+                    <span class="totp-countdown"></span>
+                    <button class="icon-btn copy-totp" title="Copy code">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <rect x="9" y="9" width="13" height="13" rx="2" ry="2"></rect>
+                            <path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"></path>
+                        </svg>
+                    </button>
+                </div>` : ''}
+                <div class="credential-actions">
+                    <button class="icon-btn show-password" title="Show ${secretLabel}">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z"></path>
+                            <circle cx="12" cy="12" r="3"></circle>
+                        </svg>
+                    </button>
+                    <button class="icon-btn copy-password" title="Copy ${secretLabel}">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <rect x="9" y="9" width="13" height="13" rx="2" ry="2"></rect>
+                            <path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"></path>
+                        </svg>
+                    </button>
+                    <button class="icon-btn edit-credential" title="Edit">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"></path>
+                            <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"></path>
+                        </svg>
+                    </button>
+                    <button class="icon-btn delete-credential" title="Delete">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <polyline points="3 6 5 6 21 6"></polyline>
+                            <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
+                        </svg>
+                    </button>
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Show completions for the search box at the cursor
+     */
+    renderSearchSuggestions() {
+        const input = document.getElementById('search-input');
+        const list = document.getElementById('search-suggestions');
+        const before = input.value.slice(0, input.selectionStart);
+
+        AppState.searchSuggestions = document.activeElement === input
+            ? SearchQuery.suggest(before, { tags: AppState.tags }).slice(0, 8)
+            : [];
+
+        list.innerHTML = AppState.searchSuggestions.map((suggestion, index) => `
+            <li id="search-suggestion-${index}" role="option" data-index="${index}">
+                <span class="suggestion-label">${this.escapeHtml(suggestion.label)}</span>
+                <span class="suggestion-description">${this.escapeHtml(suggestion.description)}</span>
+            </li>
+        `).join('');
+        list.classList.toggle('hidden', AppState.searchSuggestions.length === 0);
+        input.setAttribute('aria-expanded', String(AppState.searchSuggestions.length > 0));
+        input.removeAttribute('aria-activedescendant');
+    },
+
+    hideSearchSuggestions() {
+        AppState.searchSuggestions = [];
+        document.getElementById('search-suggestions').classList.add('hidden');
+        document.getElementById('search-input').setAttribute('aria-expanded', 'false');
+    },
+
+    /**
+     * Highlight the next (1) or previous (-1) suggestion, wrapping around
+     */
+    moveSearchSuggestion(offset) {
+        const items = [...document.querySelectorAll('#search-suggestions li')];
+        const current = items.findIndex(item => item.classList.contains('active'));
+        const next = current < 0 && offset < 0 ? items.length - 1 : (current + offset + items.length) % items.length;
+
+        items.forEach((item, index) => item.classList.toggle('active', index === next));
+        document.getElementById('search-input').setAttribute('aria-activedescendant', items[next].id);
+    },
+
+    /**
+     * Tag chips for a card; clicking one searches for the tag
+     */
+    renderTags(tags = []) {
+        if (tags.length === 0) return '';
+        return `<div class="credential-tags">${tags.map(tag =>
+            `<button type="button" class="tag-chip" data-tag="${this.escapeHtml(tag)}" title="Show credentials tagged ${this.escapeHtml(tag)}">${this.escapeHtml(tag)}</button>`
+        ).join('')}</div>`;
+    },
+
+    /**
+     * Get icon for category
+     */
+    getCategoryIcon(category) {
+        const icons = {
+            social: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"></circle><path d="M8 14s1.5 2 4 2 4-2 4-2"></path><line x1="9" y1="9" x2="9.01" y2="9"></line><line x1="15" y1="9" x2="15.01" y2="9"></line></svg>',
+            email: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M4 4h16c1.1 0 2 .9 2 2v12c0 1.1-.9 2-2 2H4c-1.1 0-2-.9-2-2V6c0-1.1.9-2 2-2z"></path><polyline points="22,6 12,13 2,6"></polyline></svg>',
+            banking: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="2" y="7" width="20" height="14" rx="2" ry="2"></rect><path d="M16 21V5a2 2 0 0 0-2-2h-4a2 2 0 0 0-2 2v16"></path></svg>',
+            shopping: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="9" cy="21" r="1"></circle><circle cx="20" cy="21" r="1"></circle><path d="M1 1h4l2.68 13.39a2 2 0 0 0 2 1.61h9.72a2 2 0 0 0 2-1.61L23 6H6"></path></svg>',
+            work: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="2" y="7" width="20" height="14" rx="2" ry="2"></rect><path d="M16 21V5a2 2 0 0 0-2-2h-4a2 2 0 0 0-2 2v16"></path></svg>',
+            other: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"></circle><line x1="12" y1="8" x2="12" y2="12"></line><line x1="12" y1="16" x2="12.01" y2="16"></line></svg>',
+            folder: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"></path></svg>'
+        };
+        return icons[category] || icons.folder;
+    },
+
+    /**
+     * A credential's category icon in the category's color
+     */
+    renderCategoryIcon(id) {
+        const category = Categories.get(Categories.resolve(id));
+        return `<div class="credential-icon" style="color: ${category.color}; background: ${category.color}1f"
+            title="${this.escapeHtml(Categories.path(category.id))}">${this.getCategoryIcon(category.id)}</div>`;
+    },
+
+    /**
+     * Update category counts. Each category counts the credentials nested
+     * in it as well as its own.
+     */
+    async updateCategoryCounts() {
+        const everything = await CredentialManager.loadAll();
+        const all = everything.filter(c => !c._meta.deleted);
+
+        document.getElementById('all-count').textContent = all.length;
+        document.getElementById('trash-count').textContent = everything.length - all.length;
+        AppState.tags = Tags.collect(everything);
+
+        const own = new Map();
+        for (const credential of all) {
+            const id = Categories.resolve(credential.category);
+            own.set(id, (own.get(id) || 0) + 1);
+        }
+        const counts = new Map(AppState.categories.map(category => [category.id,
+            Categories.subtree(category.id).reduce((sum, id) => sum + (own.get(id) || 0), 0)]));
+
+        this.renderCategoryNav(counts);
+    },
+
+    /**
+     * Render the category tree in the sidebar between All Credentials and Trash
+     */
+    renderCategoryNav(counts = new Map()) {
+        document.getElementById('category-list').innerHTML = Categories.tree().map(({ category, depth }) => `
+            <button class="category-item ${AppState.currentCategory === category.id ? 'active' : ''}"
+                data-category="${category.id}" style="--depth: ${depth}">
+                <span class="category-icon" style="color: ${category.color}">${this.getCategoryIcon(category.id)}</span>
+                <span class="category-name">${this.escapeHtml(category.name)}</span>
+                <span class="count">${counts.get(category.id) || 0}</span>
+            </button>
+        `).join('');
+    },
+
+    /**
+     * Fill a select with the category tree, indenting nested categories.
+     * The subtree of `exclude` is left out.
+     */
+    renderCategoryOptions(selectId, selected = Categories.FALLBACK, { exclude = null, none = null } = {}) {
+        const select = document.getElementById(selectId);
+        select.innerHTML = (none ? `<option value="">${none}</option>` : '') +
+            Categories.tree(exclude).map(({ category, depth }) =>
+                `<option value="${category.id}">${'&nbsp;&nbsp;&nbsp;'.repeat(depth)}${this.escapeHtml(category.name)}</option>`
+            ).join('');
+        select.value = selected;
+    },
+
+    /**
+     * Update section title
+     */
+    updateSectionTitle() {
+        const titleEl = document.getElementById('section-title');
+
+        if (AppState.searchQuery) {
+            const scope = AppState.currentCategory === 'all' ? ''
+                : ` in ${AppState.currentCategory === 'trash' ? 'Trash' : Categories.path(AppState.currentCategory)}`;
+            titleEl.textContent = `Search Results${scope}: "${AppState.searchQuery}"`;
+        } else if (AppState.currentCategory === 'all') {
+            titleEl.textContent = 'All Credentials';
+        } else if (AppState.currentCategory === 'trash') {
+            titleEl.textContent = 'Trash';
+        } else {
+            titleEl.textContent = Categories.get(AppState.currentCategory)
+                ? Categories.path(AppState.currentCategory) : 'Credentials';
+        }
+    },
+
+    /**
+     * Show view credential modal
+     */
+    async showViewCredential(id) {
+        const credential = await CredentialManager.getById(id);
+        if (!credential) return;
+
+        document.getElementById('view-credential-title').textContent = credential.name;
+        document.getElementById('view-name').textContent = credential.name;
+        document.getElementById('view-username').textContent = credential.username;
+        document.getElementById('view-password').textContent = '••••••••••••';
+        document.getElementById('view-password').classList.add('password-masked');
+
+        const template = CredentialTypes.get(credential);
+        const isLogin = template === CREDENTIAL_TYPES.login;
+
+        document.getElementById('view-type').textContent = template.label;
+        document.getElementById('view-username-row').classList.toggle('hidden', !isLogin);
+        document.getElementById('view-password-row').classList.toggle('hidden', !isLogin);
+        document.getElementById('view-type-fields').innerHTML = isLogin ? '' : template.fields
+            .filter(field => credential[field.key])
+            .map(field => this.renderDetailRow(field.label, credential[field.key], field.kind, `field:${field.key}`, field.multiline))
+            .join('');
+        document.getElementById('view-custom-fields').innerHTML = (credential.customFields || [])
+            .map((field, index) => this.renderDetailRow(field.label, field.value, field.type, `custom:${index}`))
+            .join('');
+
+        const websiteEl = document.getElementById('view-website');
+        const websiteRow = document.getElementById('view-website-row');
+
+        if (isLogin && credential.website) {
+            websiteEl.textContent = credential.website;
+            websiteEl.href = credential.website;
+            websiteRow.classList.remove('hidden');
+        } else {
+            websiteRow.classList.add('hidden');
+        }
+
+        document.getElementById('view-category').textContent = Categories.path(Categories.resolve(credential.category));
+
+        const totpEl = document.getElementById('view-totp');
+        const totpRow = document.getElementById('view-totp-row');
+
+        if (credential.totp) {
+            totpEl.dataset.totpId = id;
+            totpEl.dataset.counter = '';
+            totpEl.querySelector('.totp-code').textContent = '••• •••';
+            totpRow.classList.remove('hidden');
+        } else {
+            delete totpEl.dataset.totpId;
+            totpRow.classList.add('hidden');
+        }
+
+        const tags = credential.tags || [];
+        document.getElementById('view-tags').textContent = tags.join(', ');
+        document.getElementById('view-tags-row').classList.toggle('hidden', tags.length === 0);
+
+        const notesEl = document.getElementById('view-notes');
+        const notesRow = document.getElementById('view-notes-row');
+
+        if (credential.notes) {
+            notesEl.textContent = credential.notes;
+            notesRow.classList.remove('hidden');
+        } else {
+            notesRow.classList.add('hidden');
+        }
+
+        document.getElementById('view-created').textContent = new Date(credential._meta.created).toLocaleString();
+        document.getElementById('view-modified').textContent = new Date(credential._meta.modified).toLocaleString();
+        this.renderHistory(credential);
+
+        AppState.currentCredentialId = id;
+        Modal.open('view-credential-modal');
+        this.refreshTotpCodes();
+    },
+
+    /**
+     * Render the version timeline in the view modal, newest first
+     */
+    renderHistory(credential) {
+        const history = credential._meta.history;
+
+        document.getElementById('view-history-row').classList.toggle('hidden', history.length === 0);
+        document.getElementById('view-history').innerHTML = history.map((entry, index) => {
+            const newer = index === 0 ? credential : history[index - 1].credential;
+            const changes = CredentialTypes.changedFields(entry.credential, newer);
+            const secretLabel = CredentialTypes.secretLabel(entry.credential).toLowerCase();
+            const copyButton = CredentialTypes.secretOf(entry.credential)
+                ? `<button type="button" class="btn btn-text btn-small history-copy" data-index="${index}">Copy old ${secretLabel}</button>`
+                : '';
+
+            return `
+                <li class="history-item">
+                    <div class="history-info">
+                        <span class="history-date">${new Date(entry.modified).toLocaleString()}</span>
+                        <span class="history-changes">${this.escapeHtml(changes.length ? `Later changed: ${changes.join(', ')}` : 'No field changes')}</span>
+                    </div>
+                    <div class="history-actions">
+                        ${copyButton}
+                        <button type="button" class="btn btn-text btn-small history-restore" data-index="${index}">Restore this version</button>
+                    </div>
+                </li>
+            `;
+        }).join('');
+    },
+
+    /**
+     * Render a detail row for a type-specific or custom field. `ref` is
+     * resolved by CredentialTypes.resolve() for copy and reveal.
+     */
+    renderDetailRow(label, value, kind, ref, multiline = false) {
+        let display;
+
+        if (kind === 'hidden') {
+            display = `
+                    <span class="value password-masked ${multiline ? 'value-multiline' : ''}">••••••••••••</span>
+                    <button class="toggle-view-field" data-ref="${ref}" title="Show/Hide">
+                    <svg class="eye-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z"></path><circle cx="12" cy="12" r="3"></circle></svg>
+                    <svg class="eye-off-icon hidden" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M17.94 17.94A10.07 10.07 0 0 1 12 20c-7 0-11-8-11-8a18.45 18.45 0 0 1 5.06-5.94M9.9 4.24A9.12 9.12 0 0 1 12 4c7 0 11 8 11 8a18.5 18.5 0 0 1-2.16 3.19m-6.72-1.07a3 3 0 1 1-4.24-4.24"></path><line x1="1" y1="1" x2="23" y2="23"></line></svg>
+                    </button>`;
+        } else if (kind === 'url' && CredentialTypes.hostOf(value)) {
+            const href = this.escapeHtml(value).replace(/"/g, '&quot;');
+            display = `<a href="${href}" class="value link" target="_blank" rel="noopener noreferrer">${this.escapeHtml(value)}</a>`;
+        } else if (kind === 'date') {
+            display = `<span class="value">${this.escapeHtml(new Date(`${value}T00:00:00`).toLocaleDateString())}</span>`;
+        } else {
+            display = `<span class="value ${multiline ? 'value-multiline' : ''}">${this.escapeHtml(value)}</span>`;
+        }
+
+        return `
+            <div class="detail-row">
+                <span class="label">${this.escapeHtml(label)}</span>
+                <div class="value-with-copy">
+                    ${display}
+                    <button class="copy-btn" data-field="${ref}" title="Copy">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="9" y="9" width="13" height="13" rx="2" ry="2"></rect><path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"></path></svg>
+                    </button>
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Show edit credential modal
+     */
+    async showEditCredential(id) {
+        const credential = await CredentialManager.getById(id);
+        if (!credential) return;
+
+        Modal.close('view-credential-modal');
+
+        document.getElementById('credential-modal-title').textContent = 'Edit Credential';
+        document.getElementById('credential-id').value = id;
+        document.getElementById('credential-type').value = credential.type || 'login';
+        this.setCredentialType(credential.type || 'login', credential);
+        this.setCustomFields(credential.customFields || []);
+        document.getElementById('credential-name').value = credential.name;
+        document.getElementById('credential-username').value = credential.username || '';
+        document.getElementById('credential-password').value = credential.password || '';
+        document.getElementById('credential-website').value = credential.website || '';
+        document.getElementById('credential-totp').value = credential.totp || '';
+        await this.renderPolicyOptions('credential-policy', credential.policyId);
+        this.renderCategoryOptions('credential-category', Categories.resolve(credential.category));
+        document.getElementById('credential-tags').value = (credential.tags || []).join(', ');
+        document.getElementById('credential-notes').value = credential.notes || '';
+        document.getElementById('credential-favorite').checked = credential._meta.favorite;
+
+        PasswordStrength.updateIndicator(credential.password || '',
+            document.getElementById('password-strength-fill'),
+            document.getElementById('password-strength-text'));
+
+        AppState.currentCredentialId = id;
+        Modal.open('credential-modal');
+    },
+
+    /**
+     * Reset credential form
+     */
+    resetCredentialForm() {
+        document.getElementById('credential-modal-title').textContent = 'Add New Credential';
+        document.getElementById('credential-form').reset();
+        document.getElementById('credential-id').value = '';
+        document.getElementById('password-strength-fill').className = 'strength-fill';
+        document.getElementById('password-strength-text').textContent = 'Enter password';
+        this.setCredentialType('login');
+        this.setCustomFields([]);
+        AppState.currentCredentialId = null;
+    },
+
+    /**
+     * Switch the credential form to a type. Logins use the static fields in
+     * #login-fields; other types are rendered from CREDENTIAL_TYPES.
+     */
+    setCredentialType(type, values = {}) {
+        const template = CREDENTIAL_TYPES[type] || CREDENTIAL_TYPES.login;
+        const isLogin = template === CREDENTIAL_TYPES.login;
+        const loginFields = document.getElementById('login-fields');
+        const container = document.getElementById('credential-type-fields');
+
+        // Disabled fieldsets skip required validation
+        loginFields.disabled = !isLogin;
+        loginFields.classList.toggle('hidden', !isLogin);
+
+        container.innerHTML = isLogin ? '' : template.fields.map(field => this.renderFieldInput(field)).join('');
+
+        for (const field of isLogin ? [] : template.fields) {
+            const input = container.querySelector(`[data-field-key="${field.key}"]`);
+            input.value = values[field.key] || field.default || '';
+        }
+    },
+
+    /**
+     * Form control for a template field
+     */
+    renderFieldInput(field) {
+        const id = `field-${field.key}`;
+        const required = field.required ? 'required' : '';
+        const placeholder = field.placeholder ? `placeholder="${field.placeholder}"` : '';
+        let control;
+
+        if (field.kind === 'select') {
+            const options = field.options.map(o => `<option value="${o}">${o}</option>`).join('');
+            control = `<select id="${id}" data-field-key="${field.key}">${options}</select>`;
+        } else if (field.multiline) {
+            const masked = field.kind === 'hidden' ? 'class="secret-textarea"' : '';
+            control = `<textarea id="${id}" data-field-key="${field.key}" rows="4" spellcheck="false" ${masked} ${required} ${placeholder}></textarea>`;
+        } else if (field.kind === 'hidden') {
+            control = `
+                <div class="password-input-wrapper">
+                    <input type="password" id="${id}" data-field-key="${field.key}" autocomplete="off" ${required} ${placeholder}>
+                    <button type="button" class="toggle-field" aria-label="Toggle visibility">
+                        <svg class="eye-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z"></path><circle cx="12" cy="12" r="3"></circle></svg>
+                    <svg class="eye-off-icon hidden" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M17.94 17.94A10.07 10.07 0 0 1 12 20c-7 0-11-8-11-8a18.45 18.45 0 0 1 5.06-5.94M9.9 4.24A9.12 9.12 0 0 1 12 4c7 0 11 8 11 8a18.5 18.5 0 0 1-2.16 3.19m-6.72-1.07a3 3 0 1 1-4.24-4.24"></path><line x1="1" y1="1" x2="23" y2="23"></line></svg>
+                    </button>
+                </div>`;
+        } else {
+            const type = field.kind === 'url' || field.kind === 'date' ? field.kind : 'text';
+            control = `<input type="${type}" id="${id}" data-field-key="${field.key}" ${required} ${placeholder}>`;
+        }
+
+        return `
+            <div class="form-group">
+                <label for="${id}">${field.label}${field.required ? ' *' : ''}</label>
+                ${control}
+            </div>
+        `;
+    },
+
+    /**
+     * Read the rendered type-specific fields
+     */
+    readTypeFields() {
+        const values = {};
+        document.querySelectorAll('#credential-type-fields [data-field-key]').forEach(input => {
+            values[input.dataset.fieldKey] = input.value || null;
+        });
+        return values;
+    },
+
+    /**
+     * Replace the custom field rows in the credential form
+     */
+    setCustomFields(fields) {
+        document.getElementById('custom-fields-list').innerHTML = '';
+        fields.forEach(field => this.addCustomField(field));
+    },
+
+    addCustomField(field = { label: '', type: 'text', value: '' }) {
+        const row = document.createElement('div');
+        row.className = 'custom-field-row';
+        row.innerHTML = `
+            <input type="text" class="custom-field-label" placeholder="Label" aria-label="Field label">
+            <select class="custom-field-type" aria-label="Field type">
+                ${Object.entries(CUSTOM_FIELD_TYPES).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+            </select>
+            <input class="custom-field-value" placeholder="Value" aria-label="Field value">
+            <button type="button" class="icon-btn remove-custom-field" title="Remove field">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>
+            </button>
+        `;
+
+        row.querySelector('.custom-field-label').value = field.label;
+        row.querySelector('.custom-field-type').value = field.type;
+        row.querySelector('.custom-field-value').value = field.value;
+        this.updateCustomFieldInput(row);
+
+        document.getElementById('custom-fields-list').appendChild(row);
+    },
+
+    /**
+     * Match the value input to the selected custom field type
+     */
+    updateCustomFieldInput(row) {
+        const types = { text: 'text', hidden: 'password', url: 'url', date: 'date' };
+        row.querySelector('.custom-field-value').type = types[row.querySelector('.custom-field-type').value];
+    },
+
+    /**
+     * Read custom field rows, skipping empty ones
+     */
+    readCustomFields() {
+        return [...document.querySelectorAll('#custom-fields-list .custom-field-row')]
+            .map(row => ({
+                label: row.querySelector('.custom-field-label').value.trim(),
+                type: row.querySelector('.custom-field-type').value,
+                value: row.querySelector('.custom-field-value').value
+            }))
+            .filter(field => field.label || field.value);
+    },
+
+    /**
+     * Update every visible TOTP code and countdown. Codes are only
+     * recomputed when their time step changes.
+     */
+    async refreshTotpCodes() {
+        const now = Date.now();
+        const elements = document.querySelectorAll('[data-totp-id]');
+
+        for (const el of elements) {
+            const credential = AppState.credentials.find(c => c._meta.id === el.dataset.totpId);
+            if (!credential || !credential.totp) continue;
+
+            let config;
+            try {
+                config = Totp.parse(credential.totp);
+            } catch (error) {
+                el.querySelector('.totp-code').textContent = 'Invalid secret';
+                continue;
+            }
+
+            const counter = String(Math.floor(now / 1000 / config.period));
+            if (el.dataset.counter !== counter) {
+                el.dataset.counter = counter;
+                const code = await Totp.generate(config, now);
+                const half = code.length / 2;
+                el.querySelector('.totp-code').textContent = `${code.slice(0, half)} ${code.slice(half)}`;
+            }
+
+            const remaining = Totp.remaining(config, now);
+            const countdownEl = el.querySelector('.totp-countdown');
+            countdownEl.textContent = `${remaining}s`;
+            countdownEl.classList.toggle('expiring', remaining <= 5);
+        }
+    },
+
+    /**
+     * Render audit log
+     */
+    async renderAuditLog() {
+        const entries = await AuditLog.getAll();
+        const list = document.getElementById('audit-log-list');
+        const emptyState = document.getElementById('audit-log-empty');
+
+        if (entries.length === 0) {
+            list.innerHTML = '';
+            emptyState.classList.remove('hidden');
+        } else {
+            emptyState.classList.add('hidden');
+            list.innerHTML = entries.map(entry => `
+                <div class="audit-entry">
+                    <div class="audit-entry-icon">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <circle cx="12" cy="12" r="10"></circle>
+                            <polyline points="12 6 12 12 16 14"></polyline>
+                        </svg>
+                    </div>
+                    <div class="audit-entry-content">
+                        <div class="audit-entry-action">${this.escapeHtml(entry.action)}</div>
+                        ${entry.details ? `<div class="audit-entry-time">${this.escapeHtml(entry.details)}</div>` : ''}
+                        <div class="audit-entry-time">${new Date(entry.timestamp).toLocaleString()}</div>
+                    </div>
+                </div>
+            `).join('');
+        }
+    },
+
+    /**
+     * Run the password health checks over the vault and show the results
+     */
+    async renderSecurityDashboard() {
+        const { passwordMaxAgeDays } = await Preferences.get();
+        const credentials = await CredentialManager.getAll();
+        await this.renderBreachList();
+        try {
+            await Breaches.check(credentials);
+        } catch (error) {
+            console.error('Breach check failed:', error);
+        }
+
+        const report = PasswordHealth.analyze(credentials, {
+            maxAgeDays: passwordMaxAgeDays,
+            breaches: AppState.breaches
+        });
+        const rating = PasswordHealth.rate(report.score);
+
+        const scoreEl = document.getElementById('health-score');
+        scoreEl.textContent = report.score === null ? '—' : report.score;
+        scoreEl.className = `health-score ${rating.color}`;
+        document.getElementById('health-rating').textContent = rating.label;
+
+        const counts = [
+            [report.breached.length, 'breached'],
+            [report.weak.length, 'weak'],
+            [report.reused.reduce((n, group) => n + group.length, 0), 'reused'],
+            [report.duplicate.reduce((n, group) => n + group.length, 0), 'duplicated'],
+            [report.old.length, 'old'],
+            [report.insecure.length, 'without HTTPS']
+        ].filter(([count]) => count > 0).map(([count, label]) => `${count} ${label}`);
+        document.getElementById('health-summary-text').textContent =
+            `${report.checked} credential(s) checked. `
+            + (counts.length > 0 ? `Problems: ${counts.join(', ')}.` : 'No problems found.');
+
+        const name = (credential) => this.escapeHtml(credential.name);
+        const others = (group, credential) => group.filter(c => c !== credential).map(c => c.name).join(', ');
+        const sections = [
+            {
+                title: 'Breached Passwords',
+                hint: 'Found in the breach list, so attackers try them first. Change them wherever they are used.',
+                rows: report.breached.map(({ credential, count }) => [credential, count
+                    ? `Seen ${count.toLocaleString()} times in breaches`
+                    : 'Found in the breach list'])
+            },
+            {
+                title: 'Weak Passwords',
+                hint: 'Easy to guess. Replace them with generated passwords.',
+                rows: report.weak.map(({ credential, strength }) => [credential,
+                    `Rated ${strength.label.toLowerCase()}, cracked in ${strength.crackTimeText}`])
+            },
+            {
+                title: 'Reused Passwords',
+                hint: 'One breach exposes every account that shares the password.',
+                rows: report.reused.flatMap(group => group.map(credential =>
+                    [credential, `Same password as ${others(group, credential)}`]))
+            },
+            {
+                title: 'Duplicate Entries',
+                hint: 'The same account is saved more than once. Keep one and delete the others.',
+                rows: report.duplicate.flatMap(group => group.map(credential =>
+                    [credential, `Also saved as ${others(group, credential)}`]))
+            },
+            {
+                title: 'Old Passwords',
+                hint: `Not changed for more than ${passwordMaxAgeDays} days.`,
+                rows: report.old.map(({ credential, days }) => [credential, `Last changed ${days} days ago`])
+            },
+            {
+                title: 'Sites Without HTTPS',
+                hint: 'The password is sent unencrypted. Check whether the site offers an https:// address.',
+                rows: report.insecure.map(({ credential }) => [credential, credential.website])
+            }
+        ].filter(section => section.rows.length > 0);
+
+        document.getElementById('health-sections').innerHTML = sections.map(section => `
+            <section class="health-section">
+                <h3>${section.title} <span class="health-count">${section.rows.length}</span></h3>
+                <p class="strength-text">${this.escapeHtml(section.hint)}</p>
+                <ul class="health-list">
+                    ${section.rows.map(([credential, detail]) => `
+                        <li class="health-item">
+                            <div class="health-item-text">
+                                <strong>${name(credential)}</strong>
+                                <span>${this.escapeHtml(detail)}</span>
+                            </div>
+                            <button type="button" class="btn btn-text btn-small health-edit" data-id="${credential._meta.id}">Edit</button>
+                        </li>
+                    `).join('')}
+                </ul>
+            </section>
+        `).join('');
+    },
+
+    /**
+     * Describe the loaded breach list in the security dashboard
+     */
+    async renderBreachList() {
+        const list = await Breaches.status();
+        const statusEl = document.getElementById('breach-status');
+
+        if (!list) {
+            statusEl.textContent = 'No breach list loaded.';
+        } else {
+            const kind = list.kind === 'bloom'
+                ? `Bloom filter of ${list.count.toLocaleString()} hashes (${list.k} hash functions)`
+                : `${list.count.toLocaleString()} hashes`;
+            statusEl.textContent = `${kind} from ${list.files.join(', ')}, loaded ${new Date(list.loaded).toLocaleString()}.`;
+        }
+
+        document.getElementById('breach-load-btn').textContent = list ? 'Replace List' : 'Load Breach List';
+        document.getElementById('breach-remove-btn').classList.toggle('hidden', !list);
+    },
+
+    /**
+     * Show the backup schedule, backup folder and the list of snapshots
+     */
+    /**
+     * Fill a policy select with the vault's policies
+     */
+    async renderPolicyOptions(selectId, selected = '') {
+        const policies = await PasswordPolicies.list();
+        const select = document.getElementById(selectId);
+        select.innerHTML = '<option value="">None</option>' + policies.map(policy =>
+            `<option value="${policy.id}">${this.escapeHtml(policy.name)}</option>`).join('');
+        select.value = policies.some(policy => policy.id === selected) ? selected : '';
+        return policies;
+    },
+
+    async renderPolicies() {
+        const [policies, credentials] = await Promise.all([PasswordPolicies.list(), CredentialManager.getAll()]);
+
+        document.getElementById('policy-list-container').classList.toggle('hidden', policies.length === 0);
+        document.getElementById('policy-empty').classList.toggle('hidden', policies.length > 0);
+
+        document.getElementById('policy-list').innerHTML = policies.map(policy => `
+            <tr data-id="${policy.id}">
+                <td>${this.escapeHtml(policy.name)}</td>
+                <td>${this.escapeHtml(PasswordPolicies.describe(policy))}</td>
+                <td>${credentials.filter(c => c.policyId === policy.id).length}</td>
+                <td class="policy-actions">
+                    <button type="button" class="btn btn-text btn-small edit-policy">Edit</button>
+                    <button type="button" class="btn btn-text btn-small delete-policy">Delete</button>
+                </td>
+            </tr>
+        `).join('');
+    },
+
+    async renderCategories() {
+        const credentials = await CredentialManager.getAll();
+        const rows = Categories.tree();
+
+        document.getElementById('category-manager-list').innerHTML = rows.map(({ category, depth }) => {
+            const siblings = Categories.children(category.parent);
+            const index = siblings.indexOf(category);
+            const ids = Categories.subtree(category.id);
+            const count = credentials.filter(c => ids.includes(Categories.resolve(c.category))).length;
+
+            return `
+                <tr data-id="${category.id}">
+                    <td class="category-manager-name" style="--depth: ${depth}">
+                        <span class="category-swatch" style="background: ${category.color}"></span>
+                        ${this.escapeHtml(category.name)}
+                    </td>
+                    <td>${count}</td>
+                    <td class="policy-actions">
+                        <button type="button" class="btn btn-text btn-small move-category" data-offset="-1"
+                            title="Move up" ${index === 0 ? 'disabled' : ''}>&uarr;</button>
+                        <button type="button" class="btn btn-text btn-small move-category" data-offset="1"
+                            title="Move down" ${index === siblings.length - 1 ? 'disabled' : ''}>&darr;</button>
+                        <button type="button" class="btn btn-text btn-small edit-category">Edit</button>
+                        ${category.id === Categories.FALLBACK ? '' : '<button type="button" class="btn btn-text btn-small delete-category">Delete</button>'}
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    },
+
+    /**
+     * Fill the vault picker on the lock screen
+     */
+    renderVaultSwitcher() {
+        const select = document.getElementById('vault-select');
+        select.innerHTML = Vaults.list()
+            .map(vault => `<option value="${this.escapeHtml(vault.id)}">${this.escapeHtml(vault.name)}</option>`)
+            .join('');
+        if (AppState.vault) select.value = AppState.vault.id;
+    },
+
+    renderVaults() {
+        const vaults = Vaults.list();
+
+        document.getElementById('vault-manager-list').innerHTML = vaults.map(vault => `
+            <tr data-id="${this.escapeHtml(vault.id)}">
+                <td>${this.escapeHtml(vault.name)}${AppState.vault && AppState.vault.id === vault.id ? ' <span class="vault-open">(selected)</span>' : ''}</td>
+                <td>${vault.created ? new Date(vault.created).toLocaleDateString() : '&mdash;'}</td>
+                <td class="policy-actions">
+                    <button type="button" class="btn btn-text btn-small rename-vault">Rename</button>
+                    ${vaults.length > 1 ? '<button type="button" class="btn btn-text btn-small delete-vault">Delete</button>' : ''}
+                </td>
+            </tr>
+        `).join('');
+    },
+
+    async renderBackups() {
+        const [snapshots, status, preferences] = await Promise.all([
+            Backups.list(), Backups.status(), Preferences.get()
+        ]);
+
+        const statusEl = document.getElementById('backup-status');
+        const last = snapshots.length > 0 ? new Date(snapshots[0].created).toLocaleString() : 'none yet';
+        if (preferences.backupIntervalHours) {
+            const next = Math.max(status.lastRun + preferences.backupIntervalHours * 60 * 60 * 1000, Date.now());
+            statusEl.textContent = `Last snapshot: ${last}. Next check: ${new Date(next).toLocaleString()}.`;
+        } else {
+            statusEl.textContent = `Automatic snapshots are off. Last snapshot: ${last}.`;
+        }
+
+        const folderStatus = document.getElementById('backup-folder-status');
+        const chooseBtn = document.getElementById('backup-folder-btn');
+        const allowBtn = document.getElementById('backup-folder-allow-btn');
+        const forgetBtn = document.getElementById('backup-folder-forget-btn');
+        const folder = Backups.folderSupported() ? await Backups.folderState() : null;
+
+        chooseBtn.classList.toggle('hidden', !Backups.folderSupported());
+        chooseBtn.textContent = folder ? 'Change Folder' : 'Choose Folder';
+        allowBtn.classList.toggle('hidden', !folder || folder.permission === 'granted');
+        forgetBtn.classList.toggle('hidden', !folder);
+
+        if (!Backups.folderSupported()) {
+            folderStatus.textContent = 'This browser cannot save to a folder. Use Download to keep copies of snapshots elsewhere.';
+        } else if (!folder) {
+            folderStatus.textContent = 'None. Snapshots are kept in this browser only.';
+        } else if (folder.permission !== 'granted') {
+            folderStatus.textContent = `"${folder.handle.name}" needs your permission again before snapshots can be saved there.`;
+        } else {
+            folderStatus.textContent = `Saving snapshots to "${folder.handle.name}".`
+                + (status.folderError ? ` The last save failed: ${status.folderError}` : '');
+        }
+
+        const list = document.getElementById('backup-list');
+        document.getElementById('backup-list-container').classList.toggle('hidden', snapshots.length === 0);
+        document.getElementById('backup-empty').classList.toggle('hidden', snapshots.length > 0);
+
+        list.innerHTML = snapshots.map(snapshot => `
+            <tr data-id="${snapshot.id}">
+                <td>${new Date(snapshot.created).toLocaleString()}</td>
+                <td>${snapshot.count}</td>
+                <td>${snapshot.file ? this.escapeHtml(snapshot.file) : '—'}</td>
+                <td class="backup-actions">
+                    <button type="button" class="btn btn-text btn-small restore-snapshot">Restore</button>
+                    <button type="button" class="btn btn-text btn-small download-snapshot">Download</button>
+                    <button type="button" class="btn btn-text btn-small delete-snapshot">Delete</button>
+                </td>
+            </tr>
+        `).join('');
+    },
+
+    /**
+     * Fill the import format picker from the registered importers
+     */
+    renderImportFormats() {
+        const select = document.getElementById('import-format');
+        select.innerHTML = '<option value="auto">Detect automatically</option>' +
+            Object.entries(Importers.formats)
+                .map(([id, format]) => `<option value="${id}">${this.escapeHtml(format.label)}</option>`)
+                .join('');
+    },
+
+    /**
+     * Show what an import would add and skip before anything is saved
+     */
+    renderImportPreview(preview) {
+        const conflicts = preview.items.filter(item => item.conflict);
+        const added = preview.items.filter(item => !item.reason && !item.conflict).length;
+        const skipped = preview.items.filter(item => item.reason).length;
+
+        document.getElementById('import-preview-summary').textContent =
+            `${preview.label}: ${added} new, ${conflicts.length} different from your vault, ${skipped} to skip.`;
+        document.getElementById('import-bulk').classList.toggle('hidden', conflicts.length === 0);
+
+        const mapping = document.getElementById('import-mapping');
+        mapping.classList.toggle('hidden', !preview.columns);
+        document.getElementById('import-mapping-list').innerHTML = (preview.columns || []).map(({ header, target }, i) => `
+            <div class="import-mapping-row">
+                <label for="import-column-${i}">${this.escapeHtml(header || `Column ${i + 1}`)}</label>
+                <select id="import-column-${i}" data-column="${i}">
+                    ${Object.entries(Importers.COLUMN_TARGETS).map(([value, label]) =>
+                        `<option value="${value}" ${value === target ? 'selected' : ''}>${label}</option>`).join('')}
+                </select>
+            </div>
+        `).join('');
+        let invalid = false;
+        document.getElementById('import-preview-list').innerHTML = preview.items.map((item, index) => {
+            const credential = item.credential;
+            let status;
+            let details = '';
+
+            if (item.reason) {
+                status = `<span class="import-status skipped">Skip: ${this.escapeHtml(item.reason)}</span>`;
+            } else if (item.conflict) {
+                const typeChanged = item.conflict.differences.some(d => d.key === 'type');
+                const options = {
+                    mine: 'Keep mine',
+                    theirs: 'Take theirs',
+                    both: 'Keep both',
+                    merge: 'Merge fields'
+                };
+                status = `
+                    <select class="import-resolution" data-index="${index}" aria-label="Resolve ${this.escapeHtml(item.name)}">
+                        ${Object.entries(options).map(([value, label]) => `
+                            <option value="${value}" ${value === item.resolution ? 'selected' : ''}
+                                ${value === 'merge' && typeChanged ? 'disabled' : ''}>${label}</option>
+                        `).join('')}
+                    </select>
+                `;
+
+                let error = null;
+                if (item.resolution === 'merge') {
+                    error = CredentialTypes.validate(ImportExport.mergeFields(item));
+                    invalid = invalid || !!error;
+                }
+                details = `
+                    <tr class="import-conflict-row">
+                        <td colspan="4">${this.renderImportConflict(item, index, preview.policies)}
+                            ${error ? `<p class="import-conflict-error">${this.escapeHtml(error)}</p>` : ''}
+                        </td>
+                    </tr>
+                `;
+            } else {
+                status = '<span class="import-status">Import</span>';
+            }
+
+            return `
+                <tr class="${item.reason ? 'skipped' : ''} ${item.conflict ? 'conflict' : ''}">
+                    <td>${this.escapeHtml(item.name || 'Untitled')}</td>
+                    <td>${credential ? CredentialTypes.get(credential).label : '—'}</td>
+                    <td>${credential ? this.escapeHtml(Categories.path(credential.category)) : '—'}</td>
+                    <td>${status}</td>
+                </tr>
+                ${details}
+            `;
+        }).join('');
+
+        const changes = preview.items.filter(item => !item.reason && (!item.conflict || item.resolution !== 'mine')).length;
+        const confirm = document.getElementById('import-confirm-btn');
+        confirm.textContent = `Apply ${changes} Change${changes === 1 ? '' : 's'}`;
+        confirm.disabled = changes === 0 || invalid;
+
+        document.getElementById('import-results').classList.add('hidden');
+        document.getElementById('import-passphrase-form').classList.add('hidden');
+        document.getElementById('import-passphrase').value = '';
+        document.getElementById('import-preview').classList.remove('hidden');
+    },
+
+    /**
+     * Side-by-side view of the fields that differ between a vault entry and
+     * the imported one, with per-field choices when merging
+     */
+    renderImportConflict(item, index, policies = []) {
+        const { existing, differences } = item.conflict;
+        const merging = item.resolution === 'merge';
+        const date = (timestamp) => timestamp ? new Date(timestamp).toLocaleString() : 'no date';
+        const policyName = (id) => (policies.find(policy => policy.id === id) || {}).name;
+        const display = (credential, diff) => {
+            const value = diff.key === 'type' ? CredentialTypes.get(credential).label
+                : diff.key === 'category' ? Categories.path(Categories.resolve(credential.category))
+                    : diff.key === 'customFields' ? (credential.customFields || []).map(f => f.label).join(', ')
+                        : diff.key === 'tags' ? (credential.tags || []).join(', ')
+                            : diff.key === 'policyId' ? policyName(credential.policyId)
+                                : credential[diff.key];
+            if (!value) return '<span class="import-empty">empty</span>';
+            return diff.kind === 'hidden' ? '••••••••' : this.escapeHtml(value);
+        };
+        const cell = (side, credential, diff) => merging ? `
+            <label class="import-pick">
+                <input type="radio" class="import-merge-pick" name="merge-${index}-${diff.key}" value="${side}"
+                    data-index="${index}" data-key="${diff.key}" ${item.picks[diff.key] === side ? 'checked' : ''}>
+                <span>${display(credential, diff)}</span>
+            </label>
+        ` : display(credential, diff);
+
+        return `
+            <table class="import-conflict-table">
+                <thead>
+                    <tr>
+                        <th>Field</th>
+                        <th>Mine <small>${date(existing._meta.modified)}</small></th>
+                        <th>Theirs <small>${date(item.meta && item.meta.modified)}</small></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${differences.map(diff => `
+                        <tr>
+                            <td>${this.escapeHtml(diff.label)}</td>
+                            <td>${cell('mine', existing, diff)}</td>
+                            <td>${cell('theirs', item.credential, diff)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    },
+
+    /**
+     * Ask for the passphrase of an encrypted backup
+     */
+    showImportPassphrase(error = null) {
+        const errorEl = document.getElementById('import-passphrase-error');
+        errorEl.textContent = error || '';
+        errorEl.classList.toggle('hidden', !error);
+
+        const format = AppState.pendingImport && Importers.formats[AppState.pendingImport.format];
+        const prompt = (format && format.prompt) || Importers.PASSPHRASE_PROMPT;
+        document.getElementById('import-passphrase-label').textContent = prompt.label;
+        document.getElementById('import-passphrase-hint').textContent = prompt.hint;
+
+        document.getElementById('import-preview').classList.add('hidden');
+        document.getElementById('import-results').classList.add('hidden');
+        document.getElementById('import-passphrase-form').classList.remove('hidden');
+
+        const input = document.getElementById('import-passphrase');
+        input.select();
+        input.focus();
+    },
+
+    /**
+     * Clear any pending import preview
+     */
+    resetImport() {
+        AppState.pendingImport = null;
+        document.getElementById('import-passphrase-form').classList.add('hidden');
+        document.getElementById('import-passphrase').value = '';
+        document.getElementById('import-preview').classList.add('hidden');
+        document.getElementById('import-preview-list').innerHTML = '';
+        document.getElementById('import-results').classList.add('hidden');
+    },
+
+    /**
+     * Describe KDF parameters for display
+     */
+    describeKdf(kdf) {
+        if (kdf.name === 'Argon2id') {
+            return `Argon2id, ${Math.round(kdf.memory / 1024)} MiB, ${kdf.iterations} iterations`;
+        }
+        return `PBKDF2-${kdf.hash}, ${kdf.iterations.toLocaleString()} iterations`;
+    },
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+};
+
+// ============================================
+// Main Application
+// ============================================
+
+const App = {
+    async init() {
+        try {
+            // Open the vault used last, with its unlock or setup form
+            await Vaults.recover();
+            await this.openVault(Vaults.current().id);
+
+            // Initialize theme
+            await ThemeManager.init();
+
+            // Hide loading screen
+            document.getElementById('loading-screen').classList.add('hidden');
+
+            // Show master password modal
+            Modal.open('master-password-modal');
+
+            // Setup event listeners
+            this.setupEventListeners();
+
+        } catch (error) {
+            console.error('Failed to initialize app:', error);
+            Toast.show('Failed to initialize application', 'error');
+        }
+    },
+
+    setupEventListeners() {
+        // Theme toggle
+        document.getElementById('theme-toggle').addEventListener('click', () => {
+            ThemeManager.toggle();
+        });
+
+        // Tools menu toggle
+        const toolsMenuBtn = document.getElementById('tools-menu-btn');
+        const toolsMenu = document.getElementById('tools-menu');
+
+        toolsMenuBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            toolsMenu.classList.toggle('hidden');
+        });
+
+        document.addEventListener('click', () => {
+            toolsMenu.classList.add('hidden');
+        });
+
+        // Modal close buttons
+        document.querySelectorAll('.close-modal, .close-modal-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                Modal.closeAll();
+            });
+        });
+
+        // Close modal on backdrop click
+        document.querySelectorAll('.modal').forEach(modal => {
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) {
+                    Modal.close(modal.id);
+                }
+            });
+        });
+
+        // Vault switcher
+        document.getElementById('vault-select').addEventListener('change', async (e) => {
+            try {
+                await this.openVault(e.target.value);
+            } catch (error) {
+                console.error('Failed to open vault:', error);
+                Toast.show('Failed to open vault: ' + error.message, 'error');
+                UI.renderVaultSwitcher();
+            }
+        });
+
+        document.getElementById('manage-vaults-btn').addEventListener('click', () => {
+            this.openVaultManager();
+        });
+
+        document.getElementById('vault-manager-done').addEventListener('click', () => {
+            this.closeVaultManager();
+        });
+
+        document.getElementById('vault-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await this.saveVault();
+        });
+
+        document.getElementById('vault-new-btn').addEventListener('click', () => {
+            this.editVault(null);
+        });
+
+        document.getElementById('vault-manager-list').addEventListener('click', async (e) => {
+            const row = e.target.closest('tr[data-id]');
+            if (!row) return;
+
+            if (e.target.closest('.rename-vault')) {
+                this.editVault(Vaults.get(row.dataset.id));
+            } else if (e.target.closest('.delete-vault')) {
+                await this.deleteVault(row.dataset.id);
+            }
+        });
+
+        // Vaults added, renamed or deleted in another tab
+        window.addEventListener('storage', (e) => {
+            if (e.key === Vaults.STORAGE_KEY && !AppState.isUnlocked) {
+                UI.renderVaultSwitcher();
+                UI.renderVaults();
+            }
+        });
+
+        // Master password form
+        document.getElementById('master-password-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await this.unlock();
+        });
+
+        // Master password setup form
+        document.getElementById('master-password-setup-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await this.setupMasterPassword();
+        });
+
+        // Master password strength
+        document.getElementById('new-master-password').addEventListener('input', (e) => {
+            PasswordStrength.updateIndicator(e.target.value,
+                document.getElementById('master-strength-fill'),
+                document.getElementById('master-strength-text'));
+        });
+
+        // Toggle password visibility
+        document.querySelectorAll('.toggle-password').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const wrapper = btn.closest('.password-input-wrapper');
+                const input = wrapper.querySelector('input');
+
+                if (input.type === 'password') {
+                    input.type = 'text';
+                    btn.classList.add('hidden');
+                } else {
+                    input.type = 'password';
+                    btn.classList.remove('hidden');
+                }
+            });
+        });
+
+        // Add credential button
+        document.getElementById('add-credential-btn').addEventListener('click', async () => {
+            UI.resetCredentialForm();
+            await UI.renderPolicyOptions('credential-policy');
+            UI.renderCategoryOptions('credential-category', Categories.resolve(AppState.currentCategory));
+            Modal.open('credential-modal');
+        });
+
+        document.getElementById('empty-add-btn').addEventListener('click', async () => {
+            UI.resetCredentialForm();
+            await UI.renderPolicyOptions('credential-policy');
+            UI.renderCategoryOptions('credential-category', Categories.resolve(AppState.currentCategory));
+            Modal.open('credential-modal');
+        });
+
+        // Credential form
+        document.getElementById('credential-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await this.saveCredential();
+        });
+
+        // Credential type and custom fields
+        document.getElementById('credential-type').addEventListener('change', (e) => {
+            UI.setCredentialType(e.target.value, UI.readTypeFields());
+        });
+
+        document.getElementById('credential-type-fields').addEventListener('click', (e) => {
+            const toggleBtn = e.target.closest('.toggle-field');
+            if (!toggleBtn) return;
+
+            const input = toggleBtn.closest('.password-input-wrapper').querySelector('input');
+            input.type = input.type === 'password' ? 'text' : 'password';
+            toggleBtn.querySelector('.eye-icon').classList.toggle('hidden', input.type === 'text');
+            toggleBtn.querySelector('.eye-off-icon').classList.toggle('hidden', input.type === 'password');
+        });
+
+        document.getElementById('add-custom-field-btn').addEventListener('click', () => {
+            UI.addCustomField();
+        });
+
+        const customFieldsList = document.getElementById('custom-fields-list');
+        customFieldsList.addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('.remove-custom-field');
+            if (removeBtn) {
+                removeBtn.closest('.custom-field-row').remove();
+            }
+        });
+        customFieldsList.addEventListener('change', (e) => {
+            if (e.target.classList.contains('custom-field-type')) {
+                UI.updateCustomFieldInput(e.target.closest('.custom-field-row'));
+            }
+        });
+
+        // Credential password strength
+        document.getElementById('credential-password').addEventListener('input', (e) => {
+            PasswordStrength.updateIndicator(e.target.value,
+                document.getElementById('password-strength-fill'),
+                document.getElementById('password-strength-text'));
+        });
+
+        // Generate password button, following the credential's policy
+        document.getElementById('generate-password-btn').addEventListener('click', () => {
+            this.openPasswordGenerator(document.getElementById('credential-policy').value);
+        });
+
+        // Password generator modal
+        document.getElementById('password-generator-btn').addEventListener('click', () => {
+            this.openPasswordGenerator();
+        });
+
+        // Password policies
+        document.getElementById('policies-btn').addEventListener('click', () => {
+            this.openPolicies();
+        });
+
+        document.getElementById('policy-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await this.savePolicy();
+        });
+
+        document.getElementById('policy-new-btn').addEventListener('click', () => {
+            this.editPolicy(null);
+        });
+
+        document.getElementById('policy-list').addEventListener('click', async (e) => {
+            const row = e.target.closest('tr[data-id]');
+            if (!row) return;
+
+            if (e.target.closest('.edit-policy')) {
+                this.editPolicy(await PasswordPolicies.get(row.dataset.id));
+            } else if (e.target.closest('.delete-policy')) {
+                await this.deletePolicy(row.dataset.id);
+            }
+        });
+
+        // Categories
+        document.getElementById('manage-categories-btn').addEventListener('click', () => {
+            this.openCategories();
+        });
+
+        document.getElementById('category-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await this.saveCategory();
+        });
+
+        document.getElementById('category-new-btn').addEventListener('click', () => {
+            this.editCategory(null);
+        });
+
+        document.getElementById('category-manager-list').addEventListener('click', async (e) => {
+            const row = e.target.closest('tr[data-id]');
+            if (!row) return;
+
+            const move = e.target.closest('.move-category');
+            if (move) {
+                await this.moveCategory(row.dataset.id, parseInt(move.dataset.offset, 10));
+            } else if (e.target.closest('.edit-category')) {
+                this.editCategory(Categories.get(row.dataset.id));
+            } else if (e.target.closest('.delete-category')) {
+                this.confirmDeleteCategory(row.dataset.id);
+            }
+        });
+
+        document.getElementById('category-delete-cancel').addEventListener('click', () => {
+            document.getElementById('category-delete').classList.add('hidden');
+        });
+
+        document.getElementById('category-delete-confirm').addEventListener('click', async (e) => {
+            await this.deleteCategory(e.currentTarget.dataset.id);
+        });
+
+        // Security dashboard
+        document.getElementById('security-dashboard-btn').addEventListener('click', async () => {
+            await UI.renderSecurityDashboard();
+            Modal.open('security-dashboard-modal');
+        });
+
+        document.getElementById('breach-load-btn').addEventListener('click', () => {
+            document.getElementById('breach-file').click();
+        });
+
+        document.getElementById('breach-file').addEventListener('change', async (e) => {
+            const files = [...e.target.files];
+            e.target.value = '';
+            if (files.length > 0) await this.loadBreachList(files);
+        });
+
+        document.getElementById('breach-remove-btn').addEventListener('click', async () => {
+            if (!confirm('Remove the breach list? Passwords will no longer be checked against it.')) return;
+            await Breaches.remove();
+            await UI.renderSecurityDashboard();
+            await UI.renderCredentials();
+            Toast.show('Breach list removed', 'success');
+        });
+
+        document.getElementById('health-sections').addEventListener('click', async (e) => {
+            const editBtn = e.target.closest('.health-edit');
+            if (!editBtn) return;
+
+            Modal.close('security-dashboard-modal');
+            await UI.showEditCredential(editBtn.dataset.id);
+        });
+
+        document.getElementById('regenerate-password').addEventListener('click', () => {
+            this.generatePassword();
+        });
+
+        [
+            ['password-length', 'length-value'],
+            ['passphrase-words', 'passphrase-words-value'],
+            ['pronounceable-length', 'pronounceable-length-value'],
+            ['pin-length', 'pin-length-value']
+        ].forEach(([id, valueId]) => {
+            document.getElementById(id).addEventListener('input', (e) => {
+                document.getElementById(valueId).textContent = e.target.value;
+                this.generatePassword();
+            });
+        });
+
+        document.getElementById('generator-policy').addEventListener('change', () => {
+            this.applyGeneratorPolicy();
+            this.generatePassword();
+        });
+
+        document.getElementById('custom-characters').addEventListener('input', () => {
+            this.generatePassword();
+        });
+
+        [
+            'generator-mode', 'exclude-lookalikes', 'include-uppercase', 'include-lowercase', 'include-numbers', 'include-symbols',
+            'passphrase-separator', 'passphrase-capitalize', 'passphrase-digit'
+        ].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                this.generatePassword();
+            });
+        });
+
+        document.getElementById('copy-generated').addEventListener('click', () => {
+            const password = document.getElementById('generated-password').value;
+            this.copyToClipboard(password);
+        });
+
+        document.getElementById('use-password-btn').addEventListener('click', () => {
+            const password = document.getElementById('generated-password').value;
+            document.getElementById('credential-password').value = password;
+            PasswordStrength.updateIndicator(password,
+                document.getElementById('password-strength-fill'),
+                document.getElementById('password-strength-text'));
+            Modal.close('password-generator-modal');
+        });
+
+        // Import
+        UI.renderImportFormats();
+        document.getElementById('import-btn').addEventListener('click', () => {
+            UI.resetImport();
+            Modal.open('import-modal');
+        });
+
+        document.getElementById('import-browse-btn').addEventListener('click', () => {
+            document.getElementById('import-file').click();
+        });
+
+        document.getElementById('import-file').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            // Allow choosing the same file again after a cancelled preview
+            e.target.value = '';
+            if (file) this.previewImport(file);
+        });
+
+        document.getElementById('import-format').addEventListener('change', () => {
+            if (AppState.pendingImport) this.previewImport(AppState.pendingImport.file);
+        });
+
+        document.getElementById('import-mapping-list').addEventListener('change', (e) => {
+            const { file, columns } = AppState.pendingImport || {};
+            if (!columns || !e.target.dataset.column) return;
+
+            const index = Number(e.target.dataset.column);
+            this.previewImport(file, {
+                columns: columns.map((column, i) => i === index ? { ...column, target: e.target.value } : column)
+            });
+        });
+
+        document.getElementById('import-cancel-btn').addEventListener('click', () => {
+            UI.resetImport();
+        });
+
+        document.getElementById('import-confirm-btn').addEventListener('click', () => {
+            this.confirmImport();
+        });
+
+        // Conflict resolution
+        document.getElementById('import-preview-list').addEventListener('change', (e) => {
+            const preview = AppState.pendingImport;
+            const item = preview && preview.items[e.target.dataset.index];
+            if (!item || !item.conflict) return;
+
+            if (e.target.classList.contains('import-resolution')) {
+                item.resolution = e.target.value;
+            } else if (e.target.classList.contains('import-merge-pick')) {
+                item.picks[e.target.dataset.key] = e.target.value;
+            }
+            UI.renderImportPreview(preview);
+        });
+
+        document.getElementById('import-newest-btn').addEventListener('click', () => {
+            if (!AppState.pendingImport) return;
+            ImportExport.resolveNewest(AppState.pendingImport);
+            UI.renderImportPreview(AppState.pendingImport);
+        });
+
+        document.getElementById('import-passphrase-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const passphrase = document.getElementById('import-passphrase').value;
+            if (AppState.pendingImport) this.previewImport(AppState.pendingImport.file, { passphrase });
+        });
+
+        // Drop zone
+        const dropZone = document.getElementById('import-drop-zone');
+
+        dropZone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            dropZone.classList.add('drag-over');
+        });
+
+        dropZone.addEventListener('dragleave', () => {
+            dropZone.classList.remove('drag-over');
+        });
+
+        dropZone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            dropZone.classList.remove('drag-over');
+
+            const file = e.dataTransfer.files[0];
+            if (file) this.previewImport(file);
+        });
+
+        // Export
+        document.getElementById('export-btn').addEventListener('click', () => {
+            this.resetExportForm();
+            Modal.open('export-modal');
+        });
+
+        // A passphrase is needed for encrypted JSON and for KeePass files
+        const updateExportFields = () => {
+            const format = document.querySelector('input[name="export-format"]:checked').value;
+            const encrypted = document.getElementById('export-encrypted').checked;
+            document.getElementById('export-encrypted-group').classList.toggle('hidden', format !== 'json');
+            document.getElementById('export-kdbx-options').classList.toggle('hidden', format !== 'kdbx');
+            document.getElementById('export-passphrase-fields').classList.toggle('hidden',
+                !(format === 'kdbx' || (format === 'json' && encrypted)));
+        };
+        document.getElementById('export-encrypted').addEventListener('change', updateExportFields);
+        document.querySelectorAll('input[name="export-format"]').forEach(radio => {
+            radio.addEventListener('change', updateExportFields);
+        });
+
+        document.getElementById('export-download-btn').addEventListener('click', () => {
+            this.exportCredentials();
+        });
+
+        // Audit log
+        document.getElementById('audit-log-btn').addEventListener('click', async () => {
+            await UI.renderAuditLog();
+            Modal.open('audit-log-modal');
+        });
+
+        document.getElementById('clear-audit-log').addEventListener('click', async () => {
+            if (confirm('Are you sure you want to clear the audit log?')) {
+                await AuditLog.clear();
+                await UI.renderAuditLog();
+                Toast.show('Audit log cleared', 'success');
+            }
+        });
+
+        document.getElementById('export-audit-log').addEventListener('click', async () => {
+            const entries = await AuditLog.getAll();
+            const json = JSON.stringify(entries, null, 2);
+            const blob = new Blob([json], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `audit-log-${new Date().toISOString().split('T')[0]}.json`;
+            a.click();
+
+            URL.revokeObjectURL(url);
+        });
+
+        // Change master password
+        document.getElementById('change-password-btn').addEventListener('click', () => {
+            document.getElementById('change-password-form').reset();
+            document.getElementById('change-password-error').classList.add('hidden');
+            document.getElementById('change-strength-fill').className = 'strength-fill';
+            document.getElementById('change-strength-text').textContent = 'Enter password';
+            Modal.open('change-password-modal');
+        });
+
+        document.getElementById('change-password-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await this.changeMasterPassword();
+        });
+
+        document.getElementById('change-new-password').addEventListener('input', (e) => {
+            PasswordStrength.updateIndicator(e.target.value,
+                document.getElementById('change-strength-fill'),
+                document.getElementById('change-strength-text'));
+        });
+
+        // Key derivation settings
+        document.getElementById('kdf-settings-btn').addEventListener('click', async () => {
+            await this.openKdfSettings();
+        });
+
+        document.getElementById('kdf-algorithm').addEventListener('change', (e) => {
+            document.getElementById('kdf-pbkdf2-options').classList.toggle('hidden', e.target.value === 'Argon2id');
+            document.getElementById('kdf-argon2-options').classList.toggle('hidden', e.target.value !== 'Argon2id');
+            document.getElementById('kdf-benchmark-result').classList.add('hidden');
+        });
+
+        document.getElementById('kdf-benchmark-btn').addEventListener('click', async () => {
+            await this.runKdfBenchmark();
+        });
+
+        document.getElementById('kdf-settings-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await this.saveKdfSettings();
+        });
+
+        // Settings
+        document.getElementById('settings-btn').addEventListener('click', async () => {
+            await this.openSettings();
+        });
+
+        document.getElementById('settings-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await this.saveSettings();
+        });
+
+        // Backups
+        document.getElementById('backups-btn').addEventListener('click', async () => {
+            await this.openBackups();
+        });
+
+        document.getElementById('backup-settings-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await this.saveBackupSettings();
+        });
+
+        document.getElementById('backup-now-btn').addEventListener('click', async () => {
+            await this.backUpNow();
+        });
+
+        document.getElementById('backup-folder-btn').addEventListener('click', async () => {
+            try {
+                const folder = await Backups.chooseFolder();
+                Toast.show(`Snapshots will be saved to ${folder.name}`, 'success');
+            } catch (error) {
+                if (error.name !== 'AbortError') Toast.show('Failed to choose folder: ' + error.message, 'error');
+            }
+            await UI.renderBackups();
+        });
+
+        document.getElementById('backup-folder-allow-btn').addEventListener('click', async () => {
+            if (!await Backups.folder({ request: true })) {
+                Toast.show('Snapshots will not be saved to the folder until access is allowed', 'warning');
+            }
+            await UI.renderBackups();
+        });
+
+        document.getElementById('backup-folder-forget-btn').addEventListener('click', async () => {
+            await Backups.forgetFolder();
+            await UI.renderBackups();
+            Toast.show('Snapshots are now kept in this browser only', 'success');
+        });
+
+        document.getElementById('backup-list').addEventListener('click', async (e) => {
+            const row = e.target.closest('tr[data-id]');
+            if (!row) return;
+
+            if (e.target.closest('.restore-snapshot')) {
+                await this.restoreSnapshot(row.dataset.id);
+            } else if (e.target.closest('.download-snapshot')) {
+                await this.downloadSnapshot(row.dataset.id);
+            } else if (e.target.closest('.delete-snapshot')) {
+                await this.deleteSnapshot(row.dataset.id);
+            }
+        });
+
+        // Security info
+        document.getElementById('security-info-btn').addEventListener('click', () => {
+            Modal.open('security-info-modal');
+        });
+
+        // Lock
+        document.getElementById('lock-app-btn').addEventListener('click', () => {
+            this.lock();
+        });
+
+        // Logout
+        document.getElementById('logout-btn').addEventListener('click', () => {
+            if (confirm('Are you sure you want to logout? This will lock the application.')) {
+                this.lock();
+            }
+        });
+
+        // Category navigation
+        document.getElementById('category-nav').addEventListener('click', (e) => {
+            const btn = e.target.closest('.category-item');
+            if (btn) {
+                this.showCategory(btn.dataset.category);
+                UI.renderCredentials();
+            }
+        });
+
+        // Search
+        let searchTimeout;
+        const searchInput = document.getElementById('search-input');
+
+        searchInput.addEventListener('input', (e) => {
+            const query = e.target.value.trim();
+            UI.renderSearchSuggestions();
+
+            clearTimeout(searchTimeout);
+            searchTimeout = setTimeout(() => this.setSearch(query), 300);
+        });
+
+        searchInput.addEventListener('focus', () => UI.renderSearchSuggestions());
+        searchInput.addEventListener('blur', () => UI.hideSearchSuggestions());
+
+        searchInput.addEventListener('keydown', (e) => {
+            if (AppState.searchSuggestions.length === 0) return;
+
+            const active = document.querySelector('#search-suggestions li.active');
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                UI.moveSearchSuggestion(e.key === 'ArrowDown' ? 1 : -1);
+            } else if ((e.key === 'Enter' || e.key === 'Tab') && active) {
+                e.preventDefault();
+                clearTimeout(searchTimeout);
+                this.acceptSearchSuggestion(parseInt(active.dataset.index, 10));
+            } else if (e.key === 'Escape') {
+                UI.hideSearchSuggestions();
+            }
+        });
+
+        // mousedown keeps focus in the search box
+        document.getElementById('search-suggestions').addEventListener('mousedown', (e) => {
+            const item = e.target.closest('li[data-index]');
+            if (!item) return;
+            e.preventDefault();
+            clearTimeout(searchTimeout);
+            this.acceptSearchSuggestion(parseInt(item.dataset.index, 10));
+        });
+
+        document.getElementById('clear-search').addEventListener('click', () => {
+            this.setSearch('');
+        });
+
+        // View toggle
+        document.getElementById('grid-view-btn').addEventListener('click', () => {
+            AppState.viewMode = 'grid';
+            document.getElementById('grid-view-btn').classList.add('active');
+            document.getElementById('list-view-btn').classList.remove('active');
+            document.getElementById('credential-list').classList.remove('list-view');
+            document.getElementById('credential-list').classList.add('grid-view');
+            UI.scheduleListWindow(true);
+        });
+
+        document.getElementById('list-view-btn').addEventListener('click', () => {
+            AppState.viewMode = 'list';
+            document.getElementById('list-view-btn').classList.add('active');
+            document.getElementById('grid-view-btn').classList.remove('active');
+            document.getElementById('credential-list').classList.remove('grid-view');
+            document.getElementById('credential-list').classList.add('list-view');
+            UI.scheduleListWindow(true);
+        });
+
+        // Long credential lists render the cards in view as they scroll
+        document.querySelector('.credential-section').addEventListener('scroll', () => {
+            UI.scheduleListWindow();
+        }, { passive: true });
+        window.addEventListener('resize', () => UI.scheduleListWindow(true));
+
+        // Credential list actions (delegated)
+        document.getElementById('credential-list').addEventListener('click', async (e) => {
+            const card = e.target.closest('.credential-card');
+            if (!card) return;
+
+            const id = card.dataset.id;
+            const credential = AppState.credentials.find(c => c._meta.id === id);
+
+            const chip = e.target.closest('.tag-chip');
+            if (chip) {
+                this.setSearch(SearchQuery.filter('tag', chip.dataset.tag));
+                return;
+            }
+
+            if (card.classList.contains('trashed')) {
+                if (e.target.closest('.restore-credential')) {
+                    await CredentialManager.restore(id);
+                    await UI.renderCredentials();
+                    Toast.show(`${credential.name} restored`, 'success');
+                } else if (e.target.closest('.purge-credential') &&
+                    confirm(`Permanently delete ${credential.name}? This cannot be undone.`)) {
+                    await CredentialManager.deletePermanently(id);
+                    await UI.renderCredentials();
+                    Toast.show('Credential permanently deleted', 'success');
+                }
+                return;
+            }
+
+            if (e.target.closest('.show-password')) {
+                const passwordEl = card.querySelector('.credential-password span');
+                if (passwordEl.classList.contains('password-dots')) {
+                    passwordEl.textContent = CredentialTypes.secretOf(credential);
+                    passwordEl.classList.remove('password-dots');
+                    passwordEl.classList.add('password-visible');
+                } else {
+                    passwordEl.textContent = '••••••••••••';
+                    passwordEl.classList.remove('password-visible');
+                    passwordEl.classList.add('password-dots');
+                }
+            } else if (e.target.closest('.copy-password')) {
+                this.copyToClipboard(CredentialTypes.secretOf(credential));
+                Toast.show(`${CredentialTypes.secretLabel(credential)} copied to clipboard`, 'success');
+            } else if (e.target.closest('.copy-totp')) {
+                await this.copyTotpCode(credential);
+            } else if (e.target.closest('.edit-credential')) {
+                await UI.showEditCredential(id);
+            } else if (e.target.closest('.delete-credential')) {
+                await this.showDeleteConfirmation(id);
+            } else if (!e.target.closest('button')) {
+                await UI.showViewCredential(id);
+            }
+        });
+
+        // View credential modal actions
+        document.getElementById('view-credential-modal').addEventListener('click', async (e) => {
+            const toggleBtn = e.target.closest('.toggle-view-password');
+            const toggleFieldBtn = e.target.closest('.toggle-view-field');
+            const copyBtn = e.target.closest('.copy-btn');
+
+            const historyBtn = e.target.closest('.history-copy, .history-restore');
+
+            if (historyBtn) {
+                const id = AppState.currentCredentialId;
+                const credential = await CredentialManager.getById(id);
+                const index = Number(historyBtn.dataset.index);
+                const entry = credential._meta.history[index];
+
+                if (historyBtn.classList.contains('history-copy')) {
+                    this.copyToClipboard(CredentialTypes.secretOf(entry.credential));
+                    Toast.show(`Old ${CredentialTypes.secretLabel(entry.credential).toLowerCase()} copied to clipboard`, 'success');
+                } else if (confirm(`Restore the version from ${new Date(entry.modified).toLocaleString()}? The current version will be kept in history.`)) {
+                    try {
+                        await CredentialManager.restoreVersion(id, index);
+                        Toast.show('Version restored', 'success');
+                        await UI.renderCredentials();
+                        await UI.showViewCredential(id);
+                    } catch (error) {
+                        console.error('Failed to restore version:', error);
+                        Toast.show('Failed to restore version', 'error');
+                    }
+                }
+            } else if (toggleFieldBtn) {
+                const valueEl = toggleFieldBtn.parentElement.querySelector('.value');
+                const credential = await CredentialManager.getById(AppState.currentCredentialId);
+                const field = CredentialTypes.resolve(credential, toggleFieldBtn.dataset.ref);
+                const masked = valueEl.classList.toggle('password-masked');
+
+                valueEl.textContent = masked ? '••••••••••••' : field.value;
+                toggleFieldBtn.querySelector('.eye-icon').classList.toggle('hidden', !masked);
+                toggleFieldBtn.querySelector('.eye-off-icon').classList.toggle('hidden', masked);
+            } else if (toggleBtn) {
+                const passwordEl = document.getElementById('view-password');
+                const credential = await CredentialManager.getById(AppState.currentCredentialId);
+
+                if (passwordEl.classList.contains('password-masked')) {
+                    passwordEl.textContent = credential.password;
+                    passwordEl.classList.remove('password-masked');
+                    toggleBtn.querySelector('.eye-icon').classList.add('hidden');
+                    toggleBtn.querySelector('.eye-off-icon').classList.remove('hidden');
+                } else {
+                    passwordEl.textContent = '••••••••••••';
+                    passwordEl.classList.add('password-masked');
+                    toggleBtn.querySelector('.eye-icon').classList.remove('hidden');
+                    toggleBtn.querySelector('.eye-off-icon').classList.add('hidden');
+                }
+            } else if (copyBtn) {
+                const field = copyBtn.dataset.field;
+                const credential = await CredentialManager.getById(AppState.currentCredentialId);
+
+                if (field.includes(':')) {
+                    const resolved = CredentialTypes.resolve(credential, field);
+                    if (resolved && resolved.value) {
+                        this.copyToClipboard(resolved.value);
+                        Toast.show(`${resolved.label} copied to clipboard`, 'success');
+                    }
+                    return;
+                }
+
+                let value;
+                if (field === 'username') value = credential.username;
+                else if (field === 'password') value = credential.password;
+                else if (field === 'website') value = credential.website;
+                else if (field === 'totp') return this.copyTotpCode(credential);
+
+                if (value) {
+                    this.copyToClipboard(value);
+                    Toast.show(`${field.charAt(0).toUpperCase() + field.slice(1)} copied to clipboard`, 'success');
+                }
+            }
+        });
+
+        document.getElementById('view-edit-btn').addEventListener('click', async () => {
+            await UI.showEditCredential(AppState.currentCredentialId);
+        });
+
+        // Integrity warning
+        document.getElementById('integrity-resign-btn').addEventListener('click', async () => {
+            if (confirm('Only do this if you made these changes yourself, for example by restoring browser data. Trust the current vault contents?')) {
+                await VaultIntegrity.resign();
+                CredentialManager.clearCache();
+                await UI.renderCredentials();
+                Toast.show('Vault manifest re-signed', 'success');
+            }
+        });
+
+        // Delete confirmation
+        document.getElementById('confirm-delete-btn').addEventListener('click', async () => {
+            if (AppState.currentCredentialId) {
+                const id = AppState.currentCredentialId;
+                const vaultKey = AppState.vaultKey;
+                await CredentialManager.delete(id);
+                Modal.close('delete-modal');
+                await UI.renderCredentials();
+                Toast.show('Credential moved to trash', 'success', 6000, {
+                    label: 'Undo',
+                    onClick: async () => {
+                        // The vault was locked or switched since the delete
+                        if (AppState.vaultKey !== vaultKey) return;
+
+                        try {
+                            await CredentialManager.restore(id);
+                            await UI.renderCredentials();
+                        } catch (error) {
+                            console.error('Failed to restore credential:', error);
+                            Toast.show('Failed to restore credential', 'error');
+                        }
+                    }
+                });
+                AppState.currentCredentialId = null;
+            }
+        });
+
+        document.getElementById('empty-trash-btn').addEventListener('click', async () => {
+            if (confirm('Permanently delete everything in the trash? This cannot be undone.')) {
+                const count = await CredentialManager.emptyTrash();
+                await UI.renderCredentials();
+                Toast.show(`${count} credential(s) permanently deleted`, 'success');
+            }
+        });
+
+        // Keyboard shortcuts
+        document.addEventListener('keydown', (e) => {
+            // Escape to close modals
+            if (e.key === 'Escape') {
+                Modal.closeAll();
+            }
+
+            // Ctrl/Cmd + K to focus search
+            if ((e.ctrlKey || e.metaKey) && e.key === 'k') {
+                e.preventDefault();
+                document.getElementById('search-input').focus();
+            }
+        });
+
+        // Before unload warning
+        window.addEventListener('beforeunload', (e) => {
+            if (AppState.isUnlocked) {
+                e.preventDefault();
+                e.returnValue = '';
+            }
+        });
+    },
+
+    /**
+     * Open a vault on the lock screen and show its unlock form, or its
+     * setup form if it has no master password yet. The category and search
+     * start over rather than carrying across from the previous vault.
+     */
+    async openVault(id) {
+        const vault = await Vaults.open(id);
+        const settings = await Storage.get(CONFIG.STORES.SETTINGS, 'masterPasswordHash');
+
+        AppState.currentCategory = 'all';
+        AppState.searchQuery = '';
+        AppState.currentCredentialId = null;
+        document.getElementById('search-input').value = '';
+        document.getElementById('clear-search').classList.add('hidden');
+        UI.updateSectionTitle();
+
+        document.getElementById('master-password-form').classList.toggle('hidden', !settings);
+        document.getElementById('master-password-setup').classList.toggle('hidden', !!settings);
+        document.getElementById('master-password-form').reset();
+        document.getElementById('master-password-setup-form').reset();
+        document.getElementById('master-password-error').classList.add('hidden');
+        document.getElementById('master-setup-error').classList.add('hidden');
+        document.getElementById('current-vault-name').textContent = vault.name;
+        UI.renderVaultSwitcher();
+    },
+
+    openVaultManager() {
+        this.editVault(null);
+        UI.renderVaults();
+        document.getElementById('vault-access').classList.add('hidden');
+        document.getElementById('vault-manager').classList.remove('hidden');
+    },
+
+    closeVaultManager() {
+        document.getElementById('vault-manager').classList.add('hidden');
+        document.getElementById('vault-access').classList.remove('hidden');
+        UI.renderVaultSwitcher();
+    },
+
+    /**
+     * Load a vault into the rename form, or clear the form for a new one
+     */
+    editVault(vault) {
+        document.getElementById('vault-form').reset();
+        document.getElementById('vault-id').value = vault ? vault.id : '';
+        document.getElementById('vault-form-title').textContent = vault ? `Rename ${vault.name}` : 'New Vault';
+        if (vault) document.getElementById('vault-name').value = vault.name;
+    },
+
+    /**
+     * Rename a vault, or add one and open it so its master password can be
+     * chosen
+     */
+    async saveVault() {
+        const id = document.getElementById('vault-id').value || null;
+        const name = document.getElementById('vault-name').value;
+
+        try {
+            if (id) {
+                Vaults.rename(id, name);
+                document.getElementById('current-vault-name').textContent = AppState.vault.name;
+                this.editVault(null);
+                UI.renderVaults();
+                Toast.show('Vault renamed', 'success');
+                return;
+            }
+
+            const vault = Vaults.create(name);
+            await this.openVault(vault.id);
+            this.closeVaultManager();
+            Toast.show(`${vault.name} created. Choose its master password.`, 'success');
+        } catch (error) {
+            console.error('Failed to save vault:', error);
+            Toast.show(error.message, 'error');
+        }
+    },
+
+    async deleteVault(id) {
+        const vault = Vaults.get(id);
+        if (!vault) return;
+        if (!confirm(`Delete the vault "${vault.name}"? Its credentials, snapshots and audit log are removed from this browser and cannot be recovered.`)) return;
+
+        try {
+            await Vaults.remove(id);
+            if (document.getElementById('vault-id').value === id) this.editVault(null);
+            Toast.show('Vault deleted', 'success');
+        } catch (error) {
+            console.error('Failed to delete vault:', error);
+            Toast.show(error.message, 'error');
+        }
+
+        // Deleting the open vault closed its database
+        if (!Storage.db) {
+            await this.openVault(AppState.vault ? AppState.vault.id : Vaults.current().id);
+        }
+        UI.renderVaults();
+    },
+
+    async setupMasterPassword() {
+        const password = document.getElementById('new-master-password').value;
+        const confirm = document.getElementById('confirm-master-password').value;
+        const errorEl = document.getElementById('master-setup-error');
+
+        if (password !== confirm) {
+            errorEl.textContent = 'Passwords do not match';
+            errorEl.classList.remove('hidden');
+            return;
+        }
+
+        const strength = PasswordStrength.calculate(password);
+        if (strength.score < PasswordStrength.MIN_SCORE) {
+            errorEl.textContent = `Please use a stronger password. ${PasswordStrength.advice(strength)}`;
+            errorEl.classList.remove('hidden');
+            return;
+        }
+
+        try {
+            // Generate salt and derive the key that wraps the vault key
+            const kdf = CONFIG.KDF.DEFAULT;
+            const salt = await CryptoUtils.generateSalt();
+            const masterKey = await CryptoUtils.deriveKey(password, salt, kdf);
+            const wrappedKey = await CryptoUtils.wrapKey(await CryptoUtils.generateVaultKey(), masterKey);
+
+            // Store KDF parameters, salt and wrapped vault key
+            await Storage.put(CONFIG.STORES.SETTINGS, {
+                key: 'masterPasswordHash',
+                kdf,
+                salt: CryptoUtils.arrayBufferToBase64(salt),
+                wrappedKey,
+                created: Date.now()
+            });
+
+            AppState.vaultKey = await CryptoUtils.unwrapKey(wrappedKey, masterKey);
+            AppState.isUnlocked = true;
+            await VaultIntegrity.init();
+            await Categories.load();
+
+            // Close modal and show main app
+            Modal.close('master-password-modal');
+            document.getElementById('main-app').classList.remove('hidden');
+
+            // Start inactivity timer and TOTP codes
+            InactivityTimer.start();
+            TotpTicker.start();
+
+            // Render credentials
+            await UI.renderCredentials();
+
+            // Add audit log
+            await AuditLog.add('Master Password Created', 'Master password was set up');
+
+            // Take a snapshot now if one is due, then on schedule
+            await Backups.start();
+
+            Toast.show('Master password created successfully!', 'success');
+        } catch (error) {
+            console.error('Failed to setup master password:', error);
+            errorEl.textContent = 'Failed to create master password';
+            errorEl.classList.remove('hidden');
+        }
+    },
+
+    async unlock() {
+        const password = document.getElementById('master-password-input').value;
+        const errorEl = document.getElementById('master-password-error');
+
+        try {
+            // Get stored salt and wrapped vault key
+            const settings = await Storage.get(CONFIG.STORES.SETTINGS, 'masterPasswordHash');
+            if (!settings) {
+                throw new Error('No master password found');
+            }
+
+            // Derive the master key with the vault's own KDF parameters and
+            // use it to unwrap the vault key
+            const salt = CryptoUtils.base64ToArrayBuffer(settings.salt);
+            const masterKey = await CryptoUtils.deriveKey(password, salt, settings.kdf || CONFIG.KDF.LEGACY);
+            const vaultKey = await this.openVaultKey(settings, password, masterKey);
+
+            if (!vaultKey) {
+                errorEl.textContent = 'Incorrect master password';
+                errorEl.classList.remove('hidden');
+                return;
+            }
+
+            AppState.vaultKey = vaultKey;
+            AppState.isUnlocked = true;
+
+            // Encrypt anything older versions left in plaintext and load
+            // the manifest signing key
+            await VaultIntegrity.init();
+            await Categories.load();
+            await AuditLog.encryptLegacyEntries();
+            await CredentialManager.purgeExpiredTrash().catch(error => {
+                console.error('Failed to purge trash:', error);
+            });
+
+            // Close modal and show main app
+            Modal.close('master-password-modal');
+            document.getElementById('main-app').classList.remove('hidden');
+            document.getElementById('master-password-input').value = '';
+            errorEl.classList.add('hidden');
+
+            // Start inactivity timer and TOTP codes
+            InactivityTimer.start();
+            TotpTicker.start();
+
+            // Render credentials
+            await UI.renderCredentials();
+
+            // Add audit log
+            await AuditLog.add('Unlocked', 'Application was unlocked');
+
+            // Take a snapshot now if one is due, then on schedule
+            await Backups.start();
+
+            Toast.show('Welcome back!', 'success');
+        } catch (error) {
+            console.error('Failed to unlock:', error);
+            errorEl.textContent = 'Failed to unlock';
+            errorEl.classList.remove('hidden');
+        }
+    },
+
+    async changeMasterPassword() {
+        const currentPassword = document.getElementById('change-current-password').value;
+        const password = document.getElementById('change-new-password').value;
+        const confirm = document.getElementById('change-confirm-password').value;
+        const errorEl = document.getElementById('change-password-error');
+
+        const showError = (message) => {
+            errorEl.textContent = message;
+            errorEl.classList.remove('hidden');
+        };
+
+        if (password !== confirm) {
+            showError('Passwords do not match');
+            return;
+        }
+
+        if (password === currentPassword) {
+            showError('New password must be different from the current one');
+            return;
+        }
+
+        const strength = PasswordStrength.calculate(password);
+        if (strength.score < PasswordStrength.MIN_SCORE) {
+            showError(`Please use a stronger password. ${PasswordStrength.advice(strength)}`);
+            return;
+        }
+
+        try {
+            // Verify the current password by unwrapping the vault key with it
+            const settings = await Storage.get(CONFIG.STORES.SETTINGS, 'masterPasswordHash');
+            const kdf = settings.kdf || CONFIG.KDF.LEGACY;
+            const vaultKey = await this.unwrapForRewrap(settings, currentPassword);
+
+            if (!vaultKey) {
+                showError('Current master password is incorrect');
+                return;
+            }
+
+            // Re-wrap the vault key under a new key with a fresh salt. The
+            // credentials themselves are untouched.
+            const salt = await CryptoUtils.generateSalt();
+            const newKey = await CryptoUtils.deriveKey(password, salt, kdf);
+
+            await Storage.put(CONFIG.STORES.SETTINGS, {
+                ...settings,
+                kdf,
+                salt: CryptoUtils.arrayBufferToBase64(salt),
+                wrappedKey: await CryptoUtils.wrapKey(vaultKey, newKey),
+                modified: Date.now()
+            });
+
+            await AuditLog.add('Master Password Changed', 'Vault key re-wrapped with the new master password');
+
+            Modal.close('change-password-modal');
+            document.getElementById('change-password-form').reset();
+            Toast.show('Master password changed successfully', 'success');
+
+            // Snapshot files carry the wrapped key, so older ones would
+            // still open the vault key with the old password
+            const stale = await Backups.rewriteFiles();
+            if (stale > 0) {
+                Toast.show(`${stale} snapshot file(s) in the backup folder still open with the old master password. ` +
+                    'Delete them if that password may be known.', 'warning', 10000);
+            }
+        } catch (error) {
+            console.error('Failed to change master password:', error);
+            showError('Failed to change master password. Your vault was not modified.');
+        }
+    },
+
+    async saveKdfSettings() {
+        const password = document.getElementById('kdf-password').value;
+        const errorEl = document.getElementById('kdf-error');
+
+        const showError = (message) => {
+            errorEl.textContent = message;
+            errorEl.classList.remove('hidden');
+        };
+
+        const kdf = this.readKdfForm();
+        const problem = this.validateKdf(kdf);
+        if (problem) {
+            showError(problem);
+            return;
+        }
+
+        const submitBtn = document.getElementById('kdf-save-btn');
+        submitBtn.disabled = true;
+
+        try {
+            const settings = await Storage.get(CONFIG.STORES.SETTINGS, 'masterPasswordHash');
+            const vaultKey = await this.unwrapForRewrap(settings, password);
+
+            if (!vaultKey) {
+                showError('Master password is incorrect');
+                return;
+            }
+
+            // Re-wrap the vault key with a key derived using the new parameters
+            const salt = await CryptoUtils.generateSalt();
+            const newKey = await CryptoUtils.deriveKey(password, salt, kdf);
+
+            await Storage.put(CONFIG.STORES.SETTINGS, {
+                ...settings,
+                kdf,
+                salt: CryptoUtils.arrayBufferToBase64(salt),
+                wrappedKey: await CryptoUtils.wrapKey(vaultKey, newKey),
+                modified: Date.now()
+            });
+
+            await AuditLog.add('Key Derivation Updated', UI.describeKdf(kdf));
+
+            Modal.close('kdf-settings-modal');
+            Toast.show('Key derivation settings updated', 'success');
+        } catch (error) {
+            console.error('Failed to update key derivation:', error);
+            showError('Failed to update key derivation. Your vault was not modified.');
+        } finally {
+            submitBtn.disabled = false;
+            document.getElementById('kdf-password').value = '';
+        }
+    },
+
+    /**
+     * Read the KDF parameters entered in the key derivation settings form
+     */
+    readKdfForm() {
+        if (document.getElementById('kdf-algorithm').value === 'Argon2id') {
+            return {
+                ...CONFIG.KDF.ARGON2ID,
+                memory: parseInt(document.getElementById('kdf-memory').value) * 1024,
+                iterations: parseInt(document.getElementById('kdf-argon2-iterations').value)
+            };
+        }
+
+        return {
+            ...CONFIG.KDF.DEFAULT,
+            iterations: parseInt(document.getElementById('kdf-iterations').value)
+        };
+    },
+
+    /**
+     * Return an error message if KDF parameters are below the minimums
+     */
+    validateKdf(kdf) {
+        if (kdf.name === 'Argon2id') {
+            if (!(kdf.memory >= CONFIG.KDF.MIN_ARGON2_MEMORY)) {
+                return `Argon2id memory must be at least ${Math.ceil(CONFIG.KDF.MIN_ARGON2_MEMORY / 1024)} MiB`;
+            }
+            if (!(kdf.iterations >= CONFIG.KDF.MIN_ARGON2_ITERATIONS)) {
+                return `Argon2id needs at least ${CONFIG.KDF.MIN_ARGON2_ITERATIONS} iterations`;
+            }
+            return null;
+        }
+
+        if (!(kdf.iterations >= CONFIG.KDF.MIN_PBKDF2_ITERATIONS)) {
+            return `PBKDF2 needs at least ${CONFIG.KDF.MIN_PBKDF2_ITERATIONS.toLocaleString()} iterations`;
+        }
+        return null;
+    },
+
+    /**
+     * Fill the key derivation form with the given parameters
+     */
+    fillKdfForm(kdf) {
+        document.getElementById('kdf-algorithm').value = kdf.name;
+        document.getElementById('kdf-pbkdf2-options').classList.toggle('hidden', kdf.name === 'Argon2id');
+        document.getElementById('kdf-argon2-options').classList.toggle('hidden', kdf.name !== 'Argon2id');
+
+        if (kdf.name === 'Argon2id') {
+            document.getElementById('kdf-memory').value = Math.round(kdf.memory / 1024);
+            document.getElementById('kdf-argon2-iterations').value = kdf.iterations;
+        } else {
+            document.getElementById('kdf-iterations').value = kdf.iterations;
+        }
+    },
+
+    async openSettings() {
+        const preferences = await Preferences.get();
+        document.getElementById('setting-history-limit').value = preferences.historyLimit;
+        document.getElementById('setting-trash-days').value = preferences.trashRetentionDays;
+        document.getElementById('setting-password-age').value = preferences.passwordMaxAgeDays;
+        Modal.open('settings-modal');
+    },
+
+    async saveSettings() {
+        const historyLimit = parseInt(document.getElementById('setting-history-limit').value, 10);
+        const trashRetentionDays = parseInt(document.getElementById('setting-trash-days').value, 10);
+        const passwordMaxAgeDays = parseInt(document.getElementById('setting-password-age').value, 10);
+
+        if (isNaN(historyLimit) || historyLimit < 0 || historyLimit > CONFIG.MAX_HISTORY_LIMIT) {
+            Toast.show(`Versions kept must be between 0 and ${CONFIG.MAX_HISTORY_LIMIT}`, 'error');
+            return;
+        }
+        if (isNaN(trashRetentionDays) || trashRetentionDays < 1 || trashRetentionDays > CONFIG.MAX_TRASH_RETENTION_DAYS) {
+            Toast.show(`Trash retention must be between 1 and ${CONFIG.MAX_TRASH_RETENTION_DAYS} days`, 'error');
+            return;
+        }
+        if (isNaN(passwordMaxAgeDays) || passwordMaxAgeDays < 1 || passwordMaxAgeDays > CONFIG.MAX_PASSWORD_AGE_DAYS) {
+            Toast.show(`Password age must be between 1 and ${CONFIG.MAX_PASSWORD_AGE_DAYS} days`, 'error');
+            return;
+        }
+
+        try {
+            await Preferences.set({ historyLimit, trashRetentionDays, passwordMaxAgeDays });
+            await AuditLog.add('Settings Changed',
+                `Versions kept per credential: ${historyLimit}, trash retention: ${trashRetentionDays} days, `
+                + `password age warning: ${passwordMaxAgeDays} days`);
+            Modal.close('settings-modal');
+            Toast.show('Settings saved', 'success');
+        } catch (error) {
+            console.error('Failed to save settings:', error);
+            Toast.show('Failed to save settings', 'error');
+        }
+    },
+
+    /**
+     * Load a breach list chosen in the security dashboard, showing progress
+     */
+    async loadBreachList(files) {
+        const progress = document.getElementById('breach-progress');
+        const buttons = ['breach-load-btn', 'breach-remove-btn'].map(id => document.getElementById(id));
+        const statusEl = document.getElementById('breach-status');
+
+        progress.value = 0;
+        progress.classList.remove('hidden');
+        buttons.forEach(btn => { btn.disabled = true; });
+        statusEl.textContent = 'Loading…';
+
+        try {
+            const list = await Breaches.load(files, (fraction) => {
+                progress.value = fraction;
+                statusEl.textContent = `Loading… ${Math.floor(fraction * 100)}%`;
+            });
+            await UI.renderSecurityDashboard();
+            await UI.renderCredentials();
+            Toast.show(`Breach list loaded: ${list.count.toLocaleString()} hashes`, 'success');
+        } catch (error) {
+            console.error('Failed to load breach list:', error);
+            await UI.renderBreachList();
+            Toast.show('Failed to load breach list: ' + error.message, 'error');
+        } finally {
+            progress.classList.add('hidden');
+            buttons.forEach(btn => { btn.disabled = false; });
+        }
+    },
+
+    async openPolicies() {
+        this.editPolicy(null);
+        await UI.renderPolicies();
+        Modal.open('policies-modal');
+    },
+
+    /**
+     * Load a policy into the form, or clear the form for a new one
+     */
+    editPolicy(policy) {
+        document.getElementById('policy-form').reset();
+        document.getElementById('policy-id').value = policy ? policy.id : '';
+        document.getElementById('policy-form-title').textContent = policy ? `Edit ${policy.name}` : 'New Policy';
+        if (!policy) return;
+
+        document.getElementById('policy-name').value = policy.name;
+        document.getElementById('policy-min-length').value = policy.minLength;
+        document.getElementById('policy-max-length').value = policy.maxLength;
+        document.getElementById('policy-uppercase').checked = policy.uppercase;
+        document.getElementById('policy-lowercase').checked = policy.lowercase;
+        document.getElementById('policy-numbers').checked = policy.numbers;
+        document.getElementById('policy-symbols').checked = policy.symbols;
+        document.getElementById('policy-lookalikes').checked = policy.excludeLookalikes;
+        document.getElementById('policy-characters').value = policy.characters;
+    },
+
+    async savePolicy() {
+        const policy = {
+            id: document.getElementById('policy-id').value || null,
+            name: document.getElementById('policy-name').value,
+            minLength: parseInt(document.getElementById('policy-min-length').value, 10),
+            maxLength: parseInt(document.getElementById('policy-max-length').value, 10),
+            uppercase: document.getElementById('policy-uppercase').checked,
+            lowercase: document.getElementById('policy-lowercase').checked,
+            numbers: document.getElementById('policy-numbers').checked,
+            symbols: document.getElementById('policy-symbols').checked,
+            excludeLookalikes: document.getElementById('policy-lookalikes').checked,
+            characters: [...new Set(document.getElementById('policy-characters').value)].join('')
+        };
+
+        try {
+            const saved = await PasswordPolicies.save(policy);
+            await AuditLog.add('Password Policy Saved', `${saved.name}: ${PasswordPolicies.describe(saved)}`);
+            this.editPolicy(null);
+            await UI.renderPolicies();
+            Toast.show('Password policy saved', 'success');
+        } catch (error) {
+            console.error('Failed to save password policy:', error);
+            Toast.show(error.message, 'error');
+        }
+    },
+
+    async deletePolicy(id) {
+        const policy = await PasswordPolicies.get(id);
+        if (!policy) return;
+
+        const users = (await CredentialManager.getAll()).filter(c => c.policyId === id).length;
+        const message = users
+            ? `Delete the policy "${policy.name}"? ${users} credential(s) use it and will keep their passwords.`
+            : `Delete the policy "${policy.name}"?`;
+        if (!confirm(message)) return;
+
+        try {
+            await PasswordPolicies.remove(id);
+            await AuditLog.add('Password Policy Deleted', policy.name);
+            if (document.getElementById('policy-id').value === id) this.editPolicy(null);
+            await UI.renderPolicies();
+            Toast.show('Password policy deleted', 'success');
+        } catch (error) {
+            console.error('Failed to delete password policy:', error);
+            Toast.show('Failed to delete password policy', 'error');
+        }
+    },
+
+    async openCategories() {
+        this.editCategory(null);
+        document.getElementById('category-delete').classList.add('hidden');
+        await UI.renderCategories();
+        Modal.open('categories-modal');
+    },
+
+    /**
+     * Load a category into the form, or clear the form for a new one
+     */
+    editCategory(category) {
+        document.getElementById('category-form').reset();
+        document.getElementById('category-id').value = category ? category.id : '';
+        document.getElementById('category-form-title').textContent = category ? `Edit ${category.name}` : 'New Category';
+        UI.renderCategoryOptions('category-parent', category ? category.parent || '' : '',
+            { exclude: category ? category.id : null, none: 'Top level' });
+        if (!category) return;
+
+        document.getElementById('category-name').value = category.name;
+        document.getElementById('category-color').value = category.color;
+    },
+
+    async saveCategory() {
+        const id = document.getElementById('category-id').value || null;
+        const values = {
+            id,
+            name: document.getElementById('category-name').value,
+            parent: document.getElementById('category-parent').value || null,
+            color: document.getElementById('category-color').value
+        };
+
+        try {
+            const saved = await Categories.put(values);
+            await AuditLog.add(id ? 'Category Updated' : 'Category Created', Categories.path(saved.id));
+            this.editCategory(null);
+            await this.refreshCategories();
+            Toast.show('Category saved', 'success');
+        } catch (error) {
+            console.error('Failed to save category:', error);
+            Toast.show(error.message, 'error');
+        }
+    },
 
-                let value;
-                if (field === 'username') value = credential.username;
-                else if (field === 'password') value = credential.password;
-                else if (field === 'website') value = credential.website;
+    async moveCategory(id, offset) {
+        try {
+            await Categories.move(id, offset);
+            await this.refreshCategories();
+        } catch (error) {
+            console.error('Failed to reorder categories:', error);
+            Toast.show('Failed to reorder categories', 'error');
+        }
+    },
 
-                if (value) {
-                    this.copyToClipboard(value);
-                    Toast.show(`${field.charAt(0).toUpperCase() + field.slice(1)} copied to clipboard`, 'success');
-                }
-            }
-        });
+    /**
+     * Ask where a category's credentials should go before deleting it
+     */
+    confirmDeleteCategory(id) {
+        const category = Categories.get(id);
+        const nested = Categories.subtree(id).length - 1;
+
+        document.getElementById('category-delete-title').textContent = `Delete ${category.name}`;
+        document.getElementById('category-delete-message').textContent = nested
+            ? `${category.name} and the ${nested} categor${nested === 1 ? 'y' : 'ies'} inside it will be deleted. Their credentials are kept and moved to the category below.`
+            : `${category.name} will be deleted. Its credentials are kept and moved to the category below.`;
+        UI.renderCategoryOptions('category-reassign', category.parent || Categories.FALLBACK, { exclude: id });
+        document.getElementById('category-delete-confirm').dataset.id = id;
+        document.getElementById('category-delete').classList.remove('hidden');
+    },
 
-        document.getElementById('view-edit-btn').addEventListener('click', async () => {
-            await UI.showEditCredential(AppState.currentCredentialId);
-        });
+    async deleteCategory(id) {
+        const category = Categories.get(id);
+        if (!category) return;
 
-        // Delete confirmation
-        document.getElementById('confirm-delete-btn').addEventListener('click', async () => {
-            if (AppState.currentCredentialId) {
-                await CredentialManager.delete(AppState.currentCredentialId);
-                Modal.close('delete-modal');
-                await UI.renderCredentials();
-                Toast.show('Credential deleted', 'success');
-                AppState.currentCredentialId = null;
-            }
-        });
+        const target = document.getElementById('category-reassign').value;
+        const path = Categories.path(id);
+        const removed = Categories.subtree(id);
 
-        // Keyboard shortcuts
-        document.addEventListener('keydown', (e) => {
-            // Escape to close modals
-            if (e.key === 'Escape') {
-                Modal.closeAll();
-            }
+        try {
+            const moved = await Categories.remove(id, target);
+            await AuditLog.add('Category Deleted',
+                `${path}: ${moved} credential(s) moved to ${Categories.path(target)}`);
 
-            // Ctrl/Cmd + K to focus search
-            if ((e.ctrlKey || e.metaKey) && e.key === 'k') {
-                e.preventDefault();
-                document.getElementById('search-input').focus();
+            if (removed.includes(AppState.currentCategory)) {
+                this.showCategory('all');
             }
-        });
-
-        // Before unload warning
-        window.addEventListener('beforeunload', (e) => {
-            if (AppState.isUnlocked) {
-                e.preventDefault();
-                e.returnValue = '';
+            if (removed.includes(document.getElementById('category-id').value)) {
+                this.editCategory(null);
             }
-        });
+            document.getElementById('category-delete').classList.add('hidden');
+            await this.refreshCategories();
+            Toast.show('Category deleted', 'success');
+        } catch (error) {
+            console.error('Failed to delete category:', error);
+            Toast.show(error.message, 'error');
+        }
     },
 
-    async setupMasterPassword() {
-        const password = document.getElementById('new-master-password').value;
-        const confirm = document.getElementById('confirm-master-password').value;
-        const errorEl = document.getElementById('master-setup-error');
+    /**
+     * Redraw everything that shows the category tree after it changes
+     */
+    async refreshCategories() {
+        await UI.renderCategories();
+        UI.renderCategoryOptions('category-parent', document.getElementById('category-parent').value,
+            { exclude: document.getElementById('category-id').value || null, none: 'Top level' });
+        UI.updateSectionTitle();
+        await UI.renderCredentials();
+    },
 
-        if (password !== confirm) {
-            errorEl.textContent = 'Passwords do not match';
-            errorEl.classList.remove('hidden');
+    /**
+     * Search the current category, or show all of it for an empty query
+     */
+    async setSearch(query) {
+        const input = document.getElementById('search-input');
+        if (input.value.trim() !== query) input.value = query;
+
+        AppState.searchQuery = query;
+        document.getElementById('clear-search').classList.toggle('hidden', !query);
+        UI.updateSectionTitle();
+        await UI.renderCredentials();
+    },
+
+    /**
+     * Put a suggestion in place of the word being typed and search
+     */
+    async acceptSearchSuggestion(index) {
+        const suggestion = AppState.searchSuggestions[index];
+        const input = document.getElementById('search-input');
+        const before = input.value.slice(0, suggestion.start) + suggestion.insert;
+
+        input.value = before + input.value.slice(input.selectionEnd);
+        input.setSelectionRange(before.length, before.length);
+        UI.renderSearchSuggestions();
+        await this.setSearch(input.value.trim());
+    },
+
+    /**
+     * Switch the credential list to a category, 'all' or 'trash'. A search
+     * stays in place and is applied to the new category.
+     */
+    showCategory(category) {
+        AppState.currentCategory = category;
+        document.querySelectorAll('.category-item').forEach(b => b.classList.toggle('active', b.dataset.category === category));
+        UI.updateSectionTitle();
+    },
+
+    async openBackups() {
+        const preferences = await Preferences.get();
+        document.getElementById('backup-interval').value = preferences.backupIntervalHours;
+        document.getElementById('backup-kept').value = preferences.backupsKept;
+        await UI.renderBackups();
+        Modal.open('backups-modal');
+    },
+
+    async saveBackupSettings() {
+        const backupIntervalHours = parseInt(document.getElementById('backup-interval').value, 10);
+        const backupsKept = parseInt(document.getElementById('backup-kept').value, 10);
+
+        if (!CONFIG.BACKUP.INTERVAL_HOURS.includes(backupIntervalHours)) {
+            Toast.show('Choose how often to take a snapshot', 'error');
             return;
         }
-
-        const strength = PasswordStrength.calculate(password);
-        if (strength.score < 4) {
-            errorEl.textContent = 'Please use a stronger password';
-            errorEl.classList.remove('hidden');
+        if (isNaN(backupsKept) || backupsKept < 1 || backupsKept > CONFIG.MAX_BACKUPS_KEPT) {
+            Toast.show(`Snapshots kept must be between 1 and ${CONFIG.MAX_BACKUPS_KEPT}`, 'error');
             return;
         }
 
         try {
-            // Generate salt and hash
-            const salt = await CryptoUtils.generateSalt();
-            const hash = await CryptoUtils.hash(password + CryptoUtils.arrayBufferToBase64(salt));
+            await Preferences.set({ backupIntervalHours, backupsKept });
+            await Backups.prune();
+            await Backups.start();
+            await AuditLog.add('Settings Changed', backupIntervalHours
+                ? `Automatic snapshots every ${backupIntervalHours} hour(s), keeping ${backupsKept}`
+                : `Automatic snapshots off, keeping ${backupsKept}`);
+            await UI.renderBackups();
+            Toast.show('Backup settings saved', 'success');
+        } catch (error) {
+            console.error('Failed to save backup settings:', error);
+            Toast.show('Failed to save backup settings', 'error');
+        }
+    },
 
-            // Store master password hash and salt
-            await Storage.put(CONFIG.STORES.SETTINGS, {
-                key: 'masterPasswordHash',
-                hash,
-                salt: CryptoUtils.arrayBufferToBase64(salt),
-                created: Date.now()
-            });
+    async backUpNow() {
+        try {
+            // Clicking is a user gesture, so a folder that lost its permission can ask again
+            await Backups.folder({ request: true });
+            const snapshot = await Backups.create({ force: true });
+            await UI.renderBackups();
+            Toast.show(`Snapshot of ${snapshot.count} credential(s) saved`, 'success');
+        } catch (error) {
+            console.error('Failed to take snapshot:', error);
+            Toast.show('Failed to take snapshot: ' + error.message, 'error');
+        }
+    },
 
-            // Derive encryption key
-            AppState.masterKey = await CryptoUtils.deriveKey(password, salt);
-            AppState.isUnlocked = true;
+    /**
+     * Open a snapshot in the import preview. Conflicts start on the
+     * snapshot's version, since restoring it is the point.
+     */
+    async restoreSnapshot(id) {
+        const snapshot = await Storage.get(CONFIG.STORES.BACKUPS, id);
+        const json = JSON.stringify(await Backups.toFile(snapshot));
+        const file = new File([json], Backups.fileName(snapshot), { type: 'application/json' });
+
+        Modal.close('backups-modal');
+        UI.resetImport();
+        document.getElementById('import-format').value = 'credentialsaverSnapshot';
+        Modal.open('import-modal');
+        await this.previewImport(file, { prefer: 'theirs' });
+    },
 
-            // Close modal and show main app
-            Modal.close('master-password-modal');
-            document.getElementById('main-app').classList.remove('hidden');
+    async downloadSnapshot(id) {
+        const snapshot = await Storage.get(CONFIG.STORES.BACKUPS, id);
+        const blob = new Blob([JSON.stringify(await Backups.toFile(snapshot), null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
 
-            // Start inactivity timer
-            InactivityTimer.start();
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = Backups.fileName(snapshot);
+        a.click();
 
-            // Render credentials
-            await UI.renderCredentials();
+        URL.revokeObjectURL(url);
+    },
 
-            // Add audit log
-            await AuditLog.add('Master Password Created', 'Master password was set up');
+    async deleteSnapshot(id) {
+        const snapshot = await Storage.get(CONFIG.STORES.BACKUPS, id);
+        if (!confirm(`Delete the snapshot from ${new Date(snapshot.created).toLocaleString()}?`)) return;
 
-            Toast.show('Master password created successfully!', 'success');
+        await Backups.remove(snapshot, await Backups.folder());
+        await AuditLog.add('Snapshot Deleted', `Snapshot of ${snapshot.count} credential(s) from ${new Date(snapshot.created).toLocaleString()}`);
+        await UI.renderBackups();
+        Toast.show('Snapshot deleted', 'success');
+    },
+
+    async openKdfSettings() {
+        const settings = await Storage.get(CONFIG.STORES.SETTINGS, 'masterPasswordHash');
+        const kdf = settings.kdf || CONFIG.KDF.LEGACY;
+
+        document.getElementById('kdf-settings-form').reset();
+        document.getElementById('kdf-current').textContent = UI.describeKdf(kdf);
+        document.getElementById('kdf-error').classList.add('hidden');
+        document.getElementById('kdf-benchmark-result').classList.add('hidden');
+
+        // Start from the defaults for the other algorithm so switching is sensible
+        this.fillKdfForm(kdf.name === 'Argon2id' ? CONFIG.KDF.DEFAULT : CONFIG.KDF.ARGON2ID);
+        this.fillKdfForm(kdf);
+
+        Modal.open('kdf-settings-modal');
+    },
+
+    async runKdfBenchmark() {
+        const btn = document.getElementById('kdf-benchmark-btn');
+        const resultEl = document.getElementById('kdf-benchmark-result');
+
+        btn.disabled = true;
+        resultEl.textContent = 'Measuring this device...';
+        resultEl.classList.remove('hidden');
+
+        try {
+            const { kdf, estimatedMs } = await CryptoUtils.suggestKdf(document.getElementById('kdf-algorithm').value);
+            this.fillKdfForm(kdf);
+            resultEl.textContent = `Suggested: ${UI.describeKdf(kdf)} (about ${(estimatedMs / 1000).toFixed(1)} s to unlock on this device)`;
         } catch (error) {
-            console.error('Failed to setup master password:', error);
-            errorEl.textContent = 'Failed to create master password';
-            errorEl.classList.remove('hidden');
+            console.error('KDF benchmark failed:', error);
+            resultEl.textContent = 'Benchmark failed: ' + error.message;
+        } finally {
+            btn.disabled = false;
         }
     },
 
-    async unlock() {
-        const password = document.getElementById('master-password-input').value;
-        const errorEl = document.getElementById('master-password-error');
+    /**
+     * Derive the master key from a password and unwrap an extractable copy
+     * of the vault key for re-wrapping. Returns null if the password is wrong.
+     */
+    async unwrapForRewrap(settings, password) {
+        const masterKey = await CryptoUtils.deriveKey(password,
+            CryptoUtils.base64ToArrayBuffer(settings.salt), settings.kdf || CONFIG.KDF.LEGACY);
 
         try {
-            // Get stored hash and salt
-            const settings = await Storage.get(CONFIG.STORES.SETTINGS, 'masterPasswordHash');
-            if (!settings) {
-                throw new Error('No master password found');
-            }
-
-            // Verify password
-            const salt = CryptoUtils.base64ToArrayBuffer(settings.salt);
-            const hash = await CryptoUtils.hash(password + CryptoUtils.arrayBufferToBase64(salt));
+            return await CryptoUtils.unwrapKey(settings.wrappedKey, masterKey, true);
+        } catch (e) {
+            return null;
+        }
+    },
 
-            if (hash !== settings.hash) {
-                errorEl.textContent = 'Incorrect master password';
-                errorEl.classList.remove('hidden');
-                return;
+    /**
+     * Unwrap the vault key with the master key, or return null if the
+     * password is wrong. Vaults from before envelope encryption are verified
+     * with their key-check blob (or the original SHA-256 hash) and migrated.
+     */
+    async openVaultKey(settings, password, masterKey) {
+        if (settings.wrappedKey) {
+            try {
+                return await CryptoUtils.unwrapKey(settings.wrappedKey, masterKey);
+            } catch (e) {
+                return null;
             }
+        }
 
-            // Derive encryption key
-            AppState.masterKey = await CryptoUtils.deriveKey(password, salt);
-            AppState.isUnlocked = true;
-
-            // Close modal and show main app
-            Modal.close('master-password-modal');
-            document.getElementById('main-app').classList.remove('hidden');
-            document.getElementById('master-password-input').value = '';
-            errorEl.classList.add('hidden');
+        const valid = settings.keyCheck
+            ? await CryptoUtils.verifyKeyCheck(settings.keyCheck, masterKey)
+            : await CryptoUtils.hash(password + settings.salt) === settings.hash;
 
-            // Start inactivity timer
-            InactivityTimer.start();
+        return valid ? this.migrateToVaultKey(settings, masterKey) : null;
+    },
 
-            // Render credentials
-            await UI.renderCredentials();
+    /**
+     * Move a vault whose records are encrypted directly with the master key
+     * onto a random vault key. Records and the wrapped key are written in one
+     * transaction, so an interrupted migration leaves the old vault intact.
+     */
+    async migrateToVaultKey(settings, masterKey) {
+        const vaultKey = await CryptoUtils.generateVaultKey();
+        const operations = await CredentialManager.reencryptOperations(masterKey, vaultKey);
+
+        const migrated = {
+            ...settings,
+            kdf: settings.kdf || CONFIG.KDF.LEGACY,
+            wrappedKey: await CryptoUtils.wrapKey(vaultKey, masterKey),
+            modified: Date.now()
+        };
+        delete migrated.hash;
+        delete migrated.keyCheck;
 
-            // Add audit log
-            await AuditLog.add('Unlocked', 'Application was unlocked');
+        operations.push({ type: 'put', store: CONFIG.STORES.SETTINGS, value: migrated });
+        await Storage.batch(operations);
 
-            Toast.show('Welcome back!', 'success');
-        } catch (error) {
-            console.error('Failed to unlock:', error);
-            errorEl.textContent = 'Failed to unlock';
-            errorEl.classList.remove('hidden');
-        }
+        return CryptoUtils.unwrapKey(migrated.wrappedKey, masterKey);
     },
 
     lock() {
         AppState.isUnlocked = false;
-        AppState.masterKey = null;
+        AppState.vaultKey = null;
+        AppState.manifestKey = null;
+        AppState.integrityProblems = [];
+        CredentialManager.clearCache();
         AppState.credentials = [];
+        AppState.cardList = null;
+        document.getElementById('credential-list').innerHTML = '';
+        AppState.breaches.clear();
+        AppState.breachCache.clear();
+        AppState.passwordPolicies = [];
+        AppState.categories = DEFAULT_CATEGORIES.map(category => ({ ...category }));
+        AppState.tags = [];
+        UI.hideSearchSuggestions();
+        UI.resetImport();
+        this.resetExportForm();
+        Toast.dismissActions();
         InactivityTimer.stop();
+        TotpTicker.stop();
+        Backups.stop();
 
+        UI.renderVaultSwitcher();
         document.getElementById('main-app').classList.add('hidden');
         Modal.open('master-password-modal');
     },
 
+    /**
+     * Parse an import file and show its preview
+     */
+    async previewImport(file, options = {}) {
+        try {
+            const format = document.getElementById('import-format').value;
+            const preview = await ImportExport.readImport(file, format, options);
+            AppState.pendingImport = { ...preview, file };
+
+            if (preview.locked) {
+                UI.showImportPassphrase();
+            } else {
+                UI.renderImportPreview(preview);
+            }
+        } catch (error) {
+            if (options.passphrase) {
+                // Keep the passphrase prompt open so it can be retyped
+                UI.showImportPassphrase(error.message);
+                return;
+            }
+            UI.resetImport();
+            Toast.show('Failed to import: ' + error.message, 'error');
+        }
+    },
+
+    /**
+     * Download an export in the format chosen in the export modal
+     */
+    async exportCredentials() {
+        const format = document.querySelector('input[name="export-format"]:checked').value;
+        const encrypted = document.getElementById('export-encrypted').checked;
+        const passphrase = document.getElementById('export-passphrase').value;
+        const errorEl = document.getElementById('export-error');
+
+        const showError = (message) => {
+            errorEl.textContent = message;
+            errorEl.classList.remove('hidden');
+        };
+
+        if (format === 'kdbx' || (format === 'json' && encrypted)) {
+            if (passphrase !== document.getElementById('export-passphrase-confirm').value) {
+                showError('Passphrases do not match');
+                return;
+            }
+            const strength = PasswordStrength.calculate(passphrase);
+            if (strength.score < PasswordStrength.MIN_SCORE) {
+                showError(`Please use a stronger passphrase. ${PasswordStrength.advice(strength)}`);
+                return;
+            }
+        }
+
+        try {
+            if (format === 'json') {
+                await ImportExport.exportToJson(encrypted ? passphrase : null);
+            } else if (format === 'kdbx') {
+                await ImportExport.exportToKdbx(passphrase, document.getElementById('export-kdbx-kdf').value);
+            } else {
+                await ImportExport.exportToCsv();
+            }
+        } catch (error) {
+            showError('Export failed: ' + error.message);
+            return;
+        }
+
+        this.resetExportForm();
+        Modal.close('export-modal');
+        Toast.show('Credentials exported successfully', 'success');
+    },
+
+    /**
+     * Clear the export passphrase fields
+     */
+    resetExportForm() {
+        document.getElementById('export-passphrase').value = '';
+        document.getElementById('export-passphrase-confirm').value = '';
+        document.getElementById('export-error').classList.add('hidden');
+    },
+
+    /**
+     * Save the previewed import
+     */
+    async confirmImport() {
+        const preview = AppState.pendingImport;
+        if (!preview) return;
+
+        try {
+            const counts = await ImportExport.commitImport(preview);
+            UI.resetImport();
+            const summary = ImportExport.describeImport(counts);
+            document.getElementById('import-summary').textContent =
+                `${summary.charAt(0).toUpperCase()}${summary.slice(1)}.`;
+            document.getElementById('import-results').classList.remove('hidden');
+            await UI.renderCredentials();
+            Toast.show(`Import complete: ${summary}`, 'success');
+        } catch (error) {
+            Toast.show('Failed to import: ' + error.message, 'error');
+        }
+    },
+
     async saveCredential() {
         const id = document.getElementById('credential-id').value;
+        const type = document.getElementById('credential-type').value;
         const name = document.getElementById('credential-name').value;
-        const username = document.getElementById('credential-username').value;
-        const password = document.getElementById('credential-password').value;
-        const website = document.getElementById('credential-website').value;
         const category = document.getElementById('credential-category').value;
+        const tags = Tags.parse(document.getElementById('credential-tags').value);
         const notes = document.getElementById('credential-notes').value;
         const favorite = document.getElementById('credential-favorite').checked;
 
-        const credential = {
-            name,
-            username,
-            password,
-            website: website || null,
+        const credential = { type, name };
+
+        if (type === 'login') {
+            const website = document.getElementById('credential-website').value;
+            const totp = document.getElementById('credential-totp').value.trim();
+
+            credential.username = document.getElementById('credential-username').value;
+            credential.password = document.getElementById('credential-password').value;
+            credential.website = website || null;
+            credential.totp = totp || null;
+            credential.policyId = document.getElementById('credential-policy').value || null;
+        } else {
+            Object.assign(credential, UI.readTypeFields());
+        }
+
+        Object.assign(credential, {
             category,
+            tags,
             notes: notes || null,
+            customFields: UI.readCustomFields(),
             favorite
-        };
+        });
+
+        const error = CredentialTypes.validate(credential);
+        if (error) {
+            Toast.show(error, 'error');
+            return;
+        }
 
         try {
             if (id) {
@@ -1712,27 +9112,111 @@ const App = {
         }
     },
 
-    openPasswordGenerator() {
+    /**
+     * Open the generator. With a policy id, random mode follows that policy.
+     */
+    async openPasswordGenerator(policyId) {
+        const select = document.getElementById('generator-policy');
+        AppState.passwordPolicies = await UI.renderPolicyOptions('generator-policy',
+            policyId === undefined ? select.value : policyId);
+        if (policyId) {
+            document.getElementById('generator-mode').value = 'random';
+        }
+
+        this.applyGeneratorPolicy();
         Modal.open('password-generator-modal');
         this.generatePassword();
     },
 
-    generatePassword() {
-        const length = parseInt(document.getElementById('password-length').value);
-        const uppercase = document.getElementById('include-uppercase').checked;
-        const lowercase = document.getElementById('include-lowercase').checked;
-        const numbers = document.getElementById('include-numbers').checked;
-        const symbols = document.getElementById('include-symbols').checked;
+    /**
+     * Set the random mode controls to the chosen policy and lock them, or
+     * unlock them when no policy is chosen
+     */
+    applyGeneratorPolicy() {
+        const policy = AppState.passwordPolicies.find(p => p.id === document.getElementById('generator-policy').value);
+        const lengthInput = document.getElementById('password-length');
+        const summary = document.getElementById('generator-policy-summary');
+        const controls = {
+            'include-uppercase': 'uppercase',
+            'include-lowercase': 'lowercase',
+            'include-numbers': 'numbers',
+            'include-symbols': 'symbols',
+            'exclude-lookalikes': 'excludeLookalikes'
+        };
 
-        const password = PasswordGenerator.generate({
-            length,
-            uppercase,
-            lowercase,
-            numbers,
-            symbols
+        const custom = document.getElementById('custom-characters');
+
+        // Keep the user's own settings while a policy is applied, and put
+        // them back when it is cleared
+        let own = AppState.generatorOwnSettings;
+        if (policy && !own) {
+            own = AppState.generatorOwnSettings = {
+                checked: Object.fromEntries(Object.keys(controls).map(id => [id, document.getElementById(id).checked])),
+                characters: custom.value,
+                length: lengthInput.value
+            };
+        } else if (!policy) {
+            AppState.generatorOwnSettings = null;
+        }
+
+        for (const [id, key] of Object.entries(controls)) {
+            const checkbox = document.getElementById(id);
+            checkbox.disabled = Boolean(policy);
+            if (policy) {
+                checkbox.checked = Boolean(policy[key]);
+            } else if (own) {
+                checkbox.checked = own.checked[id];
+            }
+        }
+
+        custom.disabled = Boolean(policy);
+        if (policy) {
+            custom.value = policy.characters || '';
+        } else if (own) {
+            custom.value = own.characters;
+        }
+
+        lengthInput.min = policy ? policy.minLength : 8;
+        lengthInput.max = policy ? policy.maxLength : 64;
+        lengthInput.value = policy ? policy.maxLength
+            : Math.min(Math.max(own ? own.length : lengthInput.value, 8), 64);
+        document.getElementById('length-value').textContent = lengthInput.value;
+
+        summary.classList.toggle('hidden', !policy);
+        summary.textContent = policy ? PasswordPolicies.describe(policy) : '';
+    },
+
+    generatePassword() {
+        const mode = document.getElementById('generator-mode').value;
+        PasswordGenerator.MODES.forEach(name => {
+            document.getElementById(`generator-${name}-options`).classList.toggle('hidden', name !== mode);
         });
 
+        const options = { mode };
+        if (mode === 'passphrase') {
+            options.words = parseInt(document.getElementById('passphrase-words').value);
+            options.separator = document.getElementById('passphrase-separator').value;
+            options.capitalize = document.getElementById('passphrase-capitalize').value;
+            options.digit = document.getElementById('passphrase-digit').checked;
+        } else if (mode === 'pronounceable') {
+            options.length = parseInt(document.getElementById('pronounceable-length').value);
+        } else if (mode === 'pin') {
+            options.length = parseInt(document.getElementById('pin-length').value);
+        } else {
+            options.length = parseInt(document.getElementById('password-length').value);
+            options.uppercase = document.getElementById('include-uppercase').checked;
+            options.lowercase = document.getElementById('include-lowercase').checked;
+            options.numbers = document.getElementById('include-numbers').checked;
+            options.symbols = document.getElementById('include-symbols').checked;
+            options.excludeLookalikes = document.getElementById('exclude-lookalikes').checked;
+            options.characters = document.getElementById('custom-characters').value;
+        }
+
+        const password = PasswordGenerator.generate(options);
+
         document.getElementById('generated-password').value = password;
+        document.getElementById('generator-entropy').textContent =
+            `Entropy: ${Math.floor(PasswordGenerator.entropy(options))} bits`;
 
         PasswordStrength.updateIndicator(password,
             document.getElementById('gen-strength-fill'),
@@ -1748,6 +9232,16 @@ const App = {
         Modal.open('delete-modal');
     },
 
+    async copyTotpCode(credential) {
+        try {
+            const code = await Totp.generate(Totp.parse(credential.totp));
+            this.copyToClipboard(code);
+            Toast.show('Code copied to clipboard', 'success');
+        } catch (error) {
+            Toast.show('Failed to generate code', 'error');
+        }
+    },
+
     async copyToClipboard(text) {
         try {
             await navigator.clipboard.writeText(text);
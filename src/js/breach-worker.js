@@ -0,0 +1,228 @@
+/**
+ * CredentialSaver - Breached Password Lookups
+ *
+ * Loads a locally supplied Have I Been Pwned hash list or Bloom filter into
+ * IndexedDB and looks up SHA-1 hashes in it. Runs as a Web Worker; the page
+ * also loads it as a plain script so lookups can fall back to the main
+ * thread where workers are unavailable (pages opened from file://).
+ */
+
+const BreachCheck = {
+    // Bloom filter files: "CSBLOOM1", uint32 k, uint64 m (bits), uint64 n
+    // (entries), all little-endian, then ceil(m / 8) bytes of bits
+    BLOOM_MAGIC: 'CSBLOOM1',
+    BLOOM_HEADER_LENGTH: 28,
+    // Lines parsed before they are written to IndexedDB
+    BATCH_LINES: 200000,
+
+    /**
+     * Replace the stored list with the given files. Text files hold one hash
+     * per line: a full 40-character SHA-1 ("HASH:COUNT", the downloadable
+     * list) or a 35-character suffix in range files named after their
+     * 5-character prefix ("5BAA6.txt"). A single Bloom filter file is stored
+     * as it is. Calls onProgress with the fraction read so far.
+     */
+    async load(files, { dbName, store }, onProgress = () => {}) {
+        const db = await this.open(dbName);
+        try {
+            await this.request(db.transaction(store, 'readwrite').objectStore(store).clear());
+
+            if (files.length === 1 && await this.isBloom(files[0])) {
+                return await this.loadBloom(db, store, files[0]);
+            }
+
+            const total = files.reduce((sum, file) => sum + file.size, 0) || 1;
+            let read = 0;
+            let count = 0;
+            let pending = new Map();
+            let pendingLines = 0;
+
+            for (const file of files) {
+                const prefix = (file.name.match(/^([0-9a-f]{5})\.txt$/i) || [])[1];
+                const reader = file.stream().getReader();
+                const decoder = new TextDecoder();
+                let rest = '';
+
+                for (;;) {
+                    const { done, value } = await reader.read();
+                    const text = rest + (done ? decoder.decode() : decoder.decode(value, { stream: true }));
+                    const lines = text.split('\n');
+                    rest = done ? '' : lines.pop();
+
+                    for (const line of lines) {
+                        const entry = this.parseLine(line, prefix, file.name);
+                        if (!entry) continue;
+
+                        if (!pending.has(entry.prefix)) pending.set(entry.prefix, []);
+                        pending.get(entry.prefix).push(`${entry.suffix}:${entry.count}`);
+                        pendingLines++;
+                        count++;
+                    }
+
+                    if (pendingLines >= this.BATCH_LINES || done) {
+                        await this.flush(db, store, pending);
+                        pending = new Map();
+                        pendingLines = 0;
+                    }
+
+                    if (done) break;
+                    read += value.length;
+                    onProgress(read / total);
+                }
+            }
+
+            if (count === 0) {
+                throw new Error('No SHA-1 hashes found in the file');
+            }
+            return { kind: 'hashes', count };
+        } finally {
+            db.close();
+        }
+    },
+
+    /**
+     * Parse one line into { prefix, suffix, count }, or null for blank lines
+     */
+    parseLine(line, filePrefix, fileName) {
+        const trimmed = line.trim();
+        if (!trimmed) return null;
+
+        const match = trimmed.match(/^([0-9a-f]{40}|[0-9a-f]{35})(?::(\d+))?$/i);
+        if (!match) {
+            throw new Error(`${fileName}: "${trimmed.slice(0, 50)}" is not a SHA-1 hash`);
+        }
+
+        const hash = match[1].toUpperCase();
+        const count = match[2] ? Number(match[2]) : 0;
+        if (hash.length === 40) {
+            return { prefix: hash.slice(0, 5), suffix: hash.slice(5), count };
+        }
+        if (!filePrefix) {
+            throw new Error(`${fileName}: range files must be named after their prefix, such as 5BAA6.txt`);
+        }
+        return { prefix: filePrefix.toUpperCase(), suffix: hash, count };
+    },
+
+    /**
+     * Append parsed lines to their prefix records
+     */
+    async flush(db, store, pending) {
+        if (pending.size === 0) return;
+
+        const objectStore = db.transaction(store, 'readwrite').objectStore(store);
+        await Promise.all([...pending].map(async ([prefix, lines]) => {
+            const existing = await this.request(objectStore.get(prefix));
+            const data = (existing ? existing.data : '') + lines.join('\n') + '\n';
+            await this.request(objectStore.put({ key: prefix, data }));
+        }));
+    },
+
+    async isBloom(file) {
+        const header = await file.slice(0, this.BLOOM_MAGIC.length).text();
+        return header === this.BLOOM_MAGIC;
+    },
+
+    async loadBloom(db, store, file) {
+        const header = new DataView(await file.slice(0, this.BLOOM_HEADER_LENGTH).arrayBuffer());
+        const k = header.getUint32(8, true);
+        const m = header.getBigUint64(12, true);
+        const n = Number(header.getBigUint64(20, true));
+
+        if (k < 1 || k > 64 || m < 8n || BigInt(file.size - this.BLOOM_HEADER_LENGTH) !== (m + 7n) / 8n) {
+            throw new Error('The Bloom filter header does not match the file');
+        }
+
+        const bits = file.slice(this.BLOOM_HEADER_LENGTH);
+        await this.request(db.transaction(store, 'readwrite').objectStore(store)
+            .put({ key: 'bloom', bits, k, m: m.toString(), n }));
+        return { kind: 'bloom', count: n, k, m: Number(m) };
+    },
+
+    /**
+     * Look up upper-case hex SHA-1 hashes. Returns { hash: { count } } for
+     * the hashes found; count is null when the list does not record it.
+     */
+    async check(hashes, { dbName, store }) {
+        const db = await this.open(dbName);
+        try {
+            const objectStore = () => db.transaction(store, 'readonly').objectStore(store);
+            const bloom = await this.request(objectStore().get('bloom'));
+            const results = {};
+
+            if (bloom) {
+                for (const hash of hashes) {
+                    if (await this.inBloom(bloom, hash)) results[hash] = { count: null };
+                }
+                return results;
+            }
+
+            const byPrefix = new Map();
+            hashes.forEach(hash => {
+                const prefix = hash.slice(0, 5);
+                if (!byPrefix.has(prefix)) byPrefix.set(prefix, []);
+                byPrefix.get(prefix).push(hash);
+            });
+
+            for (const [prefix, group] of byPrefix) {
+                const record = await this.request(objectStore().get(prefix));
+                if (!record) continue;
+
+                const data = '\n' + record.data;
+                for (const hash of group) {
+                    const at = data.indexOf(`\n${hash.slice(5)}:`);
+                    if (at === -1) continue;
+                    const count = parseInt(data.slice(at + 37, data.indexOf('\n', at + 1)), 10);
+                    results[hash] = { count: count > 0 ? count : null };
+                }
+            }
+            return results;
+        } finally {
+            db.close();
+        }
+    },
+
+    /**
+     * Double hashing over the SHA-1: bit j is (h1 + j * h2) mod m, where h1
+     * and h2 are the first and second 8 bytes read as big-endian integers
+     */
+    async inBloom(bloom, hash) {
+        const m = BigInt(bloom.m);
+        const h1 = BigInt('0x' + hash.slice(0, 16));
+        const h2 = BigInt('0x' + hash.slice(16, 32));
+
+        for (let j = 0n; j < BigInt(bloom.k); j++) {
+            const bit = Number((h1 + j * h2) % m);
+            const offset = Math.floor(bit / 8);
+            const byte = new Uint8Array(await bloom.bits.slice(offset, offset + 1).arrayBuffer())[0];
+            if (!(byte & (1 << (bit % 8)))) return false;
+        }
+        return true;
+    },
+
+    open(dbName) {
+        return this.request(indexedDB.open(dbName));
+    },
+
+    request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+};
+
+// Messages are { id, type: 'load' | 'check', files | hashes, db }; replies
+// carry the same id with a result, an error message or load progress
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+    self.onmessage = async ({ data }) => {
+        const { id, type, db } = data;
+        try {
+            const result = type === 'load'
+                ? await BreachCheck.load(data.files, db, (progress) => self.postMessage({ id, progress }))
+                : await BreachCheck.check(data.hashes, db);
+            self.postMessage({ id, result });
+        } catch (error) {
+            self.postMessage({ id, error: error.message });
+        }
+    };
+}
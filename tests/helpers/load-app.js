@@ -0,0 +1,129 @@
+/**
+ * CredentialSaver - Test Loader
+ *
+ * Runs the app's scripts in a fresh vm context, the way index.html loads
+ * them, with Node's WebCrypto in place of the browser's and an in-memory
+ * IndexedDB. The DOM is a stub: the tests drive the modules directly and
+ * App.init() never runs.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { webcrypto } = require('crypto');
+const { IDBFactory, IDBKeyRange } = require('fake-indexeddb');
+
+const SCRIPTS = [
+    'vendor/argon2.umd.min.js',
+    'vendor/eff-large-wordlist.js',
+    'breach-worker.js',
+    'strength-words.js',
+    'app.js'
+];
+
+/**
+ * An element that accepts any property or call, for code paths that touch
+ * the page while a test is running
+ */
+function stubElement() {
+    const target = function () {};
+    return new Proxy(target, {
+        get(_, prop) {
+            if (prop === Symbol.toPrimitive) return () => '';
+            if (prop === 'then') return undefined;
+            return target[prop] !== undefined ? target[prop] : stubElement();
+        },
+        set(_, prop, value) {
+            target[prop] = value;
+            return true;
+        },
+        apply: () => stubElement()
+    });
+}
+
+function memoryStorage() {
+    const items = new Map();
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key),
+        clear: () => items.clear()
+    };
+}
+
+/**
+ * Load the app and return its context. Top-level constants such as `Totp`
+ * are read with `app.run('Totp')`. Pass `globals` to add or replace browser
+ * APIs. Each load has its own empty IndexedDB.
+ */
+function loadApp(globals = {}) {
+    const context = vm.createContext({
+        console,
+        crypto: webcrypto,
+        // Node's WebCrypto only accepts buffers from its own realm
+        ArrayBuffer,
+        DataView,
+        Uint8Array,
+        Uint16Array,
+        Uint32Array,
+        Int8Array,
+        Int32Array,
+        Float64Array,
+        BigUint64Array,
+        TextEncoder,
+        TextDecoder,
+        URL,
+        URLSearchParams,
+        Blob,
+        File,
+        Response,
+        CompressionStream,
+        DecompressionStream,
+        structuredClone,
+        atob,
+        btoa,
+        setTimeout,
+        clearTimeout,
+        setInterval,
+        clearInterval,
+        queueMicrotask,
+        performance,
+        indexedDB: new IDBFactory(),
+        IDBKeyRange,
+        localStorage: memoryStorage(),
+        sessionStorage: memoryStorage(),
+        navigator: { userAgent: 'node', clipboard: { writeText: async () => {} } },
+        document: stubElement(),
+        matchMedia: () => ({ matches: false, addEventListener() {} }),
+        confirm: () => true,
+        alert() {},
+        ...globals
+    });
+    context.window = context;
+    context.self = context;
+
+    for (const script of SCRIPTS) {
+        const file = path.join(__dirname, '../../src/js', script);
+        vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+    }
+
+    return {
+        context,
+        run: (code) => vm.runInContext(code, context)
+    };
+}
+
+/**
+ * Open an empty, unlocked vault with a random vault key, the way
+ * tools/benchmark.js does, without going through the master password form
+ */
+async function openVault(app, name = 'CredentialSaverTest') {
+    const AppState = app.run('AppState');
+
+    await app.run('Storage').init(name);
+    AppState.vaultKey = await app.run('CryptoUtils').generateVaultKey();
+    AppState.isUnlocked = true;
+    await app.run('VaultIntegrity').init();
+}
+
+module.exports = { loadApp, openVault };
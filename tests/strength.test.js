@@ -0,0 +1,108 @@
+/**
+ * Strength estimates for common passwords, substitutions and keyboard
+ * patterns, and the score master passwords must reach
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./helpers/load-app');
+
+const app = loadApp();
+const PasswordStrength = app.run('PasswordStrength');
+const StrengthWords = app.run('StrengthWords');
+
+// Arrays and objects made inside the app's context have its prototypes
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+// Patterns found in each password: pattern, token and the details that set its guesses
+const summary = (result) => plain(result.sequence.map(match =>
+    [match.pattern, match.token, match.word || match.columns || ''].join(' ')));
+
+test('Password123! is a common password with a symbol added', () => {
+    const result = PasswordStrength.calculate('Password123!');
+
+    assert.strictEqual(result.score, 1);
+    assert.strictEqual(result.label, 'Weak');
+    assert.deepStrictEqual(summary(result), ['dictionary Password123 password123', 'bruteforce ! ']);
+    assert.strictEqual(result.warning, 'This is similar to a commonly used password');
+});
+
+test('words from the ranked lists are matched at their rank', () => {
+    const VECTORS = [
+        ['dolphin', 'passwords'],
+        ['sunflower', 'passwords'],
+        ['business', 'english'],
+        ['troubadour', 'tvAndFilm'],
+        ['jennifer', 'femaleNames'],
+        ['smith', 'surnames']
+    ];
+
+    for (const [word, dictionary] of VECTORS) {
+        const [match] = PasswordStrength.calculate(word).sequence;
+        assert.strictEqual(match.dictionary, dictionary, word);
+        assert.strictEqual(match.rank, StrengthWords[dictionary].indexOf(word) + 1, word);
+    }
+});
+
+test('l33t substitutions are undone before looking words up', () => {
+    const result = PasswordStrength.calculate('p@ssw0rd');
+    const [match] = result.sequence;
+
+    assert.strictEqual(result.score, 0);
+    assert.strictEqual(match.l33t, true);
+    assert.strictEqual(match.word, 'password');
+    assert.deepStrictEqual(plain(match.sub), { '@': 'a', '0': 'o' });
+    assert.ok(result.suggestions.includes("Predictable substitutions like '@' instead of 'a' don't help very much"));
+
+    const [trombone] = PasswordStrength.calculate('Tr0mb0n3').sequence;
+    assert.strictEqual(trombone.word, 'trombone');
+});
+
+test('keyboard walks follow rows, columns and diagonals', () => {
+    const spatial = (password) => plain(PasswordStrength.spatialMatches(password)
+        .map(match => [match.token, match.columns, match.turns]));
+
+    assert.deepStrictEqual(spatial('qwerty'), [['qwerty', 1, 1]]);
+    assert.deepStrictEqual(spatial('zse4'), [['zse4', 1, 1]]);
+    assert.deepStrictEqual(spatial('1qaz'), [['1qaz', 1, 1]]);
+    assert.deepStrictEqual(spatial('zaq12wsx'), [['zaq12wsx', 1, 3]]);
+
+    // Columns typed one after another are a single pattern
+    assert.deepStrictEqual(spatial('qazwsxedcrfvtgb').pop(), ['qazwsxedcrfvtgb', 5, 1]);
+    assert.deepStrictEqual(spatial('qweasdzxc').pop(), ['qweasdzxc', 3, 1]);
+    assert.deepStrictEqual(spatial('789456123').pop(), ['789456123', 3, 1]);
+
+    // Not side by side, or not the same shape
+    assert.deepStrictEqual(spatial('qazrfvwsx').map(([token]) => token), ['qaz', 'rfv', 'wsx']);
+    assert.deepStrictEqual(spatial('qazwsxc').map(([token]) => token), ['qaz', 'wsxc']);
+
+    for (const [password, columns] of [['zaqxswcdevfr', 4], ['!QAZ@WSX#EDC', 3]]) {
+        const result = PasswordStrength.calculate(password);
+        assert.deepStrictEqual(summary(result), [`spatial ${password} ${columns}`]);
+        assert.strictEqual(result.score, 1, password);
+        assert.strictEqual(result.warning, 'Keyboard patterns like "qazwsx" are easy to guess');
+    }
+});
+
+test('passwords below MIN_SCORE are refused with advice, those at it are not', () => {
+    assert.strictEqual(PasswordStrength.MIN_SCORE, 3);
+
+    const WEAK = [
+        'Password123!', 'sunflower2', 'dolphins99', 'qazwsxedcrfvtgb', 'monkeybusiness',
+        'Tr0mb0n3', 'zaqxswcdevfr', 'P@ssw0rd2024', 'troubadour1'
+    ];
+    for (const password of WEAK) {
+        const result = PasswordStrength.calculate(password);
+        assert.ok(result.score < PasswordStrength.MIN_SCORE, `${password} rated ${result.label}`);
+        assert.ok(result.suggestions.length > 0, password);
+        assert.match(PasswordStrength.advice(result), /\.$/);
+    }
+
+    const STRONG = ['correct horse battery staple', 'x7#Kp2!vQ9mZ$rL4', 'gravel Otter plinth 94 sundial'];
+    for (const password of STRONG) {
+        const result = PasswordStrength.calculate(password);
+        assert.ok(result.score >= PasswordStrength.MIN_SCORE, `${password} rated ${result.label}`);
+        assert.strictEqual(result.warning, '');
+        assert.deepStrictEqual(plain(result.suggestions), []);
+    }
+});
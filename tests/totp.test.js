@@ -0,0 +1,35 @@
+/**
+ * TOTP codes against the RFC 6238 Appendix B test vectors
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./helpers/load-app');
+
+const Totp = loadApp().run('Totp');
+
+// The RFC's ASCII seeds, base32-encoded as an authenticator app would receive them
+const SECRETS = {
+    SHA1: 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ',
+    SHA256: 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZA',
+    SHA512: 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNA'
+};
+
+const VECTORS = [
+    [59, { SHA1: '94287082', SHA256: '46119246', SHA512: '90693936' }],
+    [1111111109, { SHA1: '07081804', SHA256: '68084774', SHA512: '25091201' }],
+    [1111111111, { SHA1: '14050471', SHA256: '67062674', SHA512: '99943326' }],
+    [1234567890, { SHA1: '89005924', SHA256: '91819424', SHA512: '93441116' }],
+    [2000000000, { SHA1: '69279037', SHA256: '90698825', SHA512: '38618901' }],
+    [20000000000, { SHA1: '65353130', SHA256: '77737706', SHA512: '47863826' }]
+];
+
+for (const algorithm of Object.keys(SECRETS)) {
+    test(`RFC 6238 ${algorithm} vectors`, async () => {
+        const config = Totp.parse(`otpauth://totp/Test?secret=${SECRETS[algorithm]}&algorithm=${algorithm}&digits=8`);
+
+        for (const [time, codes] of VECTORS) {
+            assert.strictEqual(await Totp.generate(config, time * 1000), codes[algorithm], `T = ${time}`);
+        }
+    });
+}
@@ -0,0 +1,151 @@
+/**
+ * CredentialSaver - Vault Benchmark
+ *
+ * Serve the project root (npm start) and open
+ * http://localhost:8000/tools/benchmark.html. Each run fills a separate
+ * database with synthetic credentials, times the steps that scale with the
+ * size of the vault, and deletes the database again.
+ */
+
+const Benchmark = {
+    DB_NAME: 'CredentialSaverBenchmark',
+    BATCH_SIZE: 500,
+    SITES: ['github', 'gmail', 'amazon', 'netflix', 'bank', 'intranet', 'twitter', 'shop'],
+
+    /**
+     * Run a step and add its time to the results table
+     */
+    async time(label, step) {
+        const start = performance.now();
+        const result = await step();
+        const row = document.createElement('tr');
+
+        row.innerHTML = `<td></td><td>${(performance.now() - start).toFixed(1)} ms</td>`;
+        row.firstChild.textContent = label;
+        document.getElementById('benchmark-results').appendChild(row);
+        return result;
+    },
+
+    /**
+     * A synthetic login; every tenth has a TOTP secret and every third a tag
+     */
+    credential(i) {
+        const site = this.SITES[i % this.SITES.length];
+        const password = CryptoUtils.arrayBufferToBase64(crypto.getRandomValues(new Uint8Array(12)));
+
+        return {
+            type: 'login',
+            name: `${site} ${i}`,
+            username: `user${i}@example.com`,
+            password,
+            website: `https://${site}${i}.example.com`,
+            totp: i % 10 === 0 ? 'JBSWY3DPEHPK3PXP' : null,
+            category: DEFAULT_CATEGORIES[i % DEFAULT_CATEGORIES.length].id,
+            tags: i % 3 === 0 ? ['prod'] : [],
+            notes: `Synthetic credential ${i}`,
+            customFields: []
+        };
+    },
+
+    /**
+     * Seal and store the credentials in batches, then sign one manifest
+     * covering them all
+     */
+    async fill(count) {
+        const entries = {};
+
+        for (let start = 0; start < count; start += this.BATCH_SIZE) {
+            const size = Math.min(this.BATCH_SIZE, count - start);
+            const records = await Promise.all(Array.from({ length: size }, (_, j) => {
+                const now = Date.now();
+                return CredentialManager.seal(crypto.randomUUID(), 1, this.credential(start + j),
+                    { favorite: (start + j) % 50 === 0, created: now, modified: now });
+            }));
+
+            await Storage.batch(records.map(record => ({ type: 'put', store: CONFIG.STORES.CREDENTIALS, value: record })));
+            records.forEach(record => { entries[record.id] = record.version; });
+        }
+
+        await Storage.batch([await VaultIntegrity.sign(entries)]);
+    },
+
+    deleteDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.deleteDatabase(this.DB_NAME);
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    async run(count) {
+        const list = document.getElementById('credential-list');
+
+        await this.deleteDatabase();
+        await Storage.init(this.DB_NAME);
+
+        AppState.vaultKey = await CryptoUtils.generateVaultKey();
+        AppState.isUnlocked = true;
+        await VaultIntegrity.init();
+
+        try {
+            await this.time(`Encrypt and store ${count.toLocaleString()} credentials`, () => this.fill(count));
+
+            const records = await Storage.getAll(CONFIG.STORES.CREDENTIALS);
+            await this.time('Decrypt one record at a time', async () => {
+                for (const record of records) await CredentialManager.open(record);
+            });
+
+            CredentialManager.clearCache();
+            const credentials = await this.time('First getAll (parallel decryption)', () => CredentialManager.getAll());
+            await this.time('getAll from the cache', () => CredentialManager.getAll());
+            await this.time('getByCategory (work)', () => CredentialManager.getByCategory('work'));
+            await this.time('Search "github 42"', () => CredentialManager.search('github 42'));
+            await this.time('Search "tag:prod is:favorite"', () => CredentialManager.search('tag:prod is:favorite'));
+
+            AppState.credentials = credentials;
+            await this.time('Render every card', () => {
+                list.innerHTML = credentials.map(cred => UI.renderCredentialCard(cred)).join('');
+                return list.offsetHeight;
+            });
+            await this.time('Render the cards in view', () => {
+                UI.renderCardList(credentials, cred => UI.renderCredentialCard(cred));
+                return list.offsetHeight;
+            });
+
+            const [first] = credentials;
+            await this.time('Update one credential, then getAll', async () => {
+                await CredentialManager.update(first._meta.id, { ...first, notes: 'Edited' });
+                return CredentialManager.getAll();
+            });
+        } finally {
+            CredentialManager.clearCache();
+            AppState.vaultKey = null;
+            AppState.manifestKey = null;
+            AppState.isUnlocked = false;
+            Storage.close();
+            await this.deleteDatabase();
+        }
+    }
+};
+
+// Loaded at the end of the page, after the app's DOMContentLoaded handler
+// has been blocked, so set up straight away
+const runButton = document.getElementById('benchmark-run');
+
+document.querySelector('.credential-section').addEventListener('scroll', () => {
+    UI.scheduleListWindow();
+}, { passive: true });
+
+runButton.addEventListener('click', async () => {
+    runButton.disabled = true;
+    document.getElementById('benchmark-results').innerHTML = '';
+
+    try {
+        await Benchmark.run(parseInt(document.getElementById('benchmark-count').value, 10) || 10000);
+    } catch (error) {
+        console.error('Benchmark failed:', error);
+        alert('Benchmark failed: ' + error.message);
+    } finally {
+        runButton.disabled = false;
+    }
+});
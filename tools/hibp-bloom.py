@@ -0,0 +1,66 @@
+#!/usr/bin/env python3
+"""Build a CredentialSaver Bloom filter from Have I Been Pwned SHA-1 files.
+
+Usage: python3 tools/hibp-bloom.py OUTPUT.bloom INPUT.txt [INPUT.txt ...] [--fp 0.001]
+
+Inputs are the downloadable list ("HASH:COUNT" per line) or range files
+named after their 5-character prefix ("5BAA6.txt", "SUFFIX:COUNT" per line).
+The output is read by src/js/breach-worker.js:
+
+    "CSBLOOM1", uint32 k, uint64 m (bits), uint64 n (entries), little-endian,
+    followed by ceil(m / 8) bytes. Bit j of a hash is (h1 + j * h2) mod m,
+    where h1 and h2 are its first and second 8 bytes, big-endian; bit i is
+    bit (i % 8) of byte (i // 8).
+"""
+
+import argparse
+import math
+import os
+import re
+import struct
+
+
+def hashes(paths):
+    for path in paths:
+        prefix = re.fullmatch(r'([0-9a-fA-F]{5})\.txt', os.path.basename(path))
+        with open(path, encoding='ascii') as f:
+            for line in f:
+                value = line.strip().split(':')[0]
+                if len(value) == 40:
+                    yield bytes.fromhex(value)
+                elif len(value) == 35 and prefix:
+                    yield bytes.fromhex(prefix.group(1) + value)
+                elif value:
+                    raise SystemExit(f'{path}: "{value[:50]}" is not a SHA-1 hash')
+
+
+def main():
+    parser = argparse.ArgumentParser(description=__doc__.split('\n')[0])
+    parser.add_argument('output')
+    parser.add_argument('inputs', nargs='+')
+    parser.add_argument('--fp', type=float, default=0.001, help='false positive rate (default 0.001)')
+    args = parser.parse_args()
+
+    n = sum(1 for _ in hashes(args.inputs))
+    if n == 0:
+        raise SystemExit('No SHA-1 hashes found')
+    m = math.ceil(-n * math.log(args.fp) / math.log(2) ** 2)
+    k = max(1, round(m / n * math.log(2)))
+    bits = bytearray((m + 7) // 8)
+
+    for digest in hashes(args.inputs):
+        h1 = int.from_bytes(digest[0:8], 'big')
+        h2 = int.from_bytes(digest[8:16], 'big')
+        for j in range(k):
+            bit = (h1 + j * h2) % m
+            bits[bit // 8] |= 1 << (bit % 8)
+
+    with open(args.output, 'wb') as f:
+        f.write(struct.pack('<8sIQQ', b'CSBLOOM1', k, m, n))
+        f.write(bits)
+
+    print(f'{n} hashes, {m} bits ({len(bits) / 2 ** 20:.1f} MiB), {k} hash functions')
+
+
+if __name__ == '__main__':
+    main()